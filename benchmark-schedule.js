@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Compare schedule-data.min.json with the compact format (lib/compact-schedule.mjs): file size, raw and
+// gzipped as served, and the time to turn each into schedule data
+// The JSON is measured as the file is; when it predates the trips table, also as process-gtfs.js
+// would write it now (trips table and longer schedule rows), which is what the compact file encodes
+// Usage: node benchmark-schedule.js [schedule-data.min.json] [runs]
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Older files (no trips table) are brought to what process-gtfs.js writes today
+async function loadCurrentFormat(text) {
+  const { ensureTrips } = await import('./lib/trips.mjs');
+  const { buildSchedule } = await import('./lib/compact-schedule.mjs');
+  const data = JSON.parse(text);
+  if (data.trips) return { data, converted: false };
+
+  ensureTrips(data);
+  data.services = data.services || ['weekday', 'weekend', 'modified'].map(id => ({ id, days: '0000000', start: null, end: null, add: [], remove: [] }));
+  data.schedule = buildSchedule(data);
+  return { data, converted: true };
+}
+
+// Median milliseconds of `runs` calls (after a few warm-up ones)
+function time(fn, runs) {
+  for (let i = 0; i < 5; i++) fn();
+  const times = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return times.sort((a, b) => a - b)[Math.floor(runs / 2)];
+}
+
+async function main() {
+  const file = process.argv[2] || 'schedule-data.min.json';
+  const runs = Number(process.argv[3]) || 50;
+  const { encodeSchedule } = await import('./lib/schedule-encoder.mjs');
+  const { decodeSchedule } = await import('./lib/compact-schedule.mjs');
+
+  const json = fs.readFileSync(file);
+  const { data, converted } = await loadCurrentFormat(json.toString());
+  const rebuilt = converted && Buffer.from(JSON.stringify(data));
+  const compact = encodeSchedule(data);
+  const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+  if (converted) console.log(`${file} has no trips table: "JSON + trips" is the JSON as process-gtfs.js would write it now\n`);
+  console.log('Format         Size       Gzipped    Parse (median)');
+  [
+    ['JSON', json, () => JSON.parse(json.toString())],
+    ...(converted ? [['JSON + trips', rebuilt, () => JSON.parse(rebuilt.toString())]] : []),
+    ['Compact', compact, () => decodeSchedule(compact)]
+  ].forEach(([name, bytes, parse]) => {
+    console.log(`${name.padEnd(15)}${kb(bytes.length).padEnd(11)}${kb(zlib.gzipSync(bytes).length).padEnd(11)}${time(parse, runs).toFixed(2)} ms`);
+  });
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+// Compare two schedule data files and report what changed between timetables
+// Usage: node diff-schedule.js <old.json> <new.json> [--json report.json] [--markdown report.md]
+// Without output options the Markdown report is printed to stdout
+
+const fs = require('fs');
+
+// The app's modules (ES modules, so imported on first use)
+async function loadLib() {
+  const [schedule, feed] = await Promise.all([import('./lib/schedule.mjs'), import('./lib/feed.mjs')]);
+  return { ...schedule, ...feed };
+}
+
+// Train type names and direction names of a schedule's feed (see getFeed in lib/feed.mjs: Caltrain's
+// for schedule data without one)
+function getFeedNames(feed) {
+  return {
+    routeNames: feed.routeTypes.map(t => t.name),
+    directions: Object.fromEntries(Object.entries(feed.directions).map(([dir, d]) => [dir, d.name.toLowerCase()]))
+  };
+}
+const LEGACY_SERVICES = ['weekday', 'weekend', 'modified'];
+const HOLIDAY_TYPES = { 1: 'weekend schedule', 2: 'modified schedule' };
+const MAX_HIGHLIGHTS = 12;  // Lines shown in the in-app "What's new" note
+
+// YYYYMMDD -> YYYY-MM-DD
+function formatDate(dateStr) {
+  return dateStr ? `${dateStr.slice(0, 4)}-${dateStr.slice(4, 6)}-${dateStr.slice(6, 8)}` : '?';
+}
+
+function formatDelta(delta) {
+  return `${delta > 0 ? '+' : ''}${delta} min`;
+}
+
+// Service name for a schedule row (older files use 0/1/2 service types)
+function serviceName(data, svc) {
+  return data.services ? (data.services[svc]?.id ?? String(svc)) : (LEGACY_SERVICES[svc] ?? String(svc));
+}
+
+// Group schedule rows by train number:
+// trainNum -> {routeType, direction, services: [...], stops: {stationId: [minutes]}}
+// directions: dir -> name, as getFeedNames gives them
+function indexTrains(data, directions) {
+  const trains = {};
+  Object.entries(data.schedule).forEach(([stationId, dirs]) => {
+    Object.entries(dirs).forEach(([dir, rows]) => {
+      rows.forEach(([time, trainNum, routeType, svc]) => {
+        if (!trains[trainNum]) {
+          trains[trainNum] = { routeType, direction: directions[dir], services: new Set(), stops: {} };
+        }
+        const train = trains[trainNum];
+        train.services.add(serviceName(data, svc));
+        if (!train.stops[stationId]) train.stops[stationId] = [];
+        if (!train.stops[stationId].includes(time)) train.stops[stationId].push(time);
+      });
+    });
+  });
+  Object.values(trains).forEach(train => {
+    train.services = [...train.services].sort();
+    Object.values(train.stops).forEach(times => times.sort((a, b) => a - b));
+  });
+  return trains;
+}
+
+function compareTrainNums(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+// Compare two schedule data objects
+async function diffSchedules(oldData, newData) {
+  const { formatTime, getFeed } = await loadLib();
+  const stationNames = {};
+  [...oldData.stations, ...newData.stations].forEach(s => stationNames[s.id] = s.name);
+  const stationName = id => stationNames[id] || id;
+
+  // Stations
+  const oldStationIds = new Set(oldData.stations.map(s => s.id));
+  const newStationIds = new Set(newData.stations.map(s => s.id));
+  const stations = {
+    added: newData.stations.filter(s => !oldStationIds.has(s.id)).map(s => ({ id: s.id, name: s.name })),
+    removed: oldData.stations.filter(s => !newStationIds.has(s.id)).map(s => ({ id: s.id, name: s.name }))
+  };
+
+  // Trains
+  const oldTrains = indexTrains(oldData, getFeedNames(getFeed(oldData)).directions);
+  const { routeNames, directions } = getFeedNames(getFeed(newData));
+  const newTrains = indexTrains(newData, directions);
+  const describe = (trainNum, train) => ({
+    trainNum,
+    routeType: routeNames[train.routeType] || routeNames[0],
+    direction: train.direction,
+    services: train.services
+  });
+  const trains = {
+    added: Object.keys(newTrains).filter(n => !oldTrains[n]).sort(compareTrainNums)
+      .map(n => describe(n, newTrains[n])),
+    removed: Object.keys(oldTrains).filter(n => !newTrains[n]).sort(compareTrainNums)
+      .map(n => describe(n, oldTrains[n]))
+  };
+
+  // Per-station time changes for trains in both timetables
+  const timeShifts = [];
+  Object.keys(newTrains).filter(n => oldTrains[n]).sort(compareTrainNums).forEach(trainNum => {
+    const oldStops = oldTrains[trainNum].stops;
+    const newStops = newTrains[trainNum].stops;
+    const stationIds = [...new Set([...Object.keys(oldStops), ...Object.keys(newStops)])];
+    const changes = [];
+    stationIds.forEach(stationId => {
+      const before = oldStops[stationId] || [];
+      const after = newStops[stationId] || [];
+      if (JSON.stringify(before) === JSON.stringify(after)) return;
+      changes.push({
+        station: stationId,
+        name: stationName(stationId),
+        old: before,
+        new: after,
+        // Simple shift when the train calls once in both timetables
+        delta: before.length === 1 && after.length === 1 ? after[0] - before[0] : null
+      });
+    });
+    if (changes.length > 0) {
+      timeShifts.push({ trainNum, stationsServed: stationIds.length, changes });
+    }
+  });
+
+  // Holidays (date -> 1 = weekend schedule, 2 = modified schedule)
+  const oldHolidays = oldData.holidays || {};
+  const newHolidays = newData.holidays || {};
+  const holidays = {
+    added: Object.keys(newHolidays).filter(d => !(d in oldHolidays)).sort()
+      .map(date => ({ date, type: newHolidays[date] })),
+    removed: Object.keys(oldHolidays).filter(d => !(d in newHolidays)).sort()
+      .map(date => ({ date, type: oldHolidays[date] })),
+    changed: Object.keys(newHolidays).filter(d => d in oldHolidays && oldHolidays[d] !== newHolidays[d]).sort()
+      .map(date => ({ date, old: oldHolidays[date], new: newHolidays[date] }))
+  };
+
+  // Validity window
+  const validity = {
+    old: { from: oldData.validFrom, to: oldData.validTo },
+    new: { from: newData.validFrom, to: newData.validTo },
+    changed: oldData.validFrom !== newData.validFrom || oldData.validTo !== newData.validTo
+  };
+
+  const report = { validity, stations, trains, timeShifts, holidays };
+  report.summary = summarize(report);
+  report.highlights = highlights(report, formatTime).slice(0, MAX_HIGHLIGHTS);
+  return report;
+}
+
+function hasChanges(report) {
+  const { validity, stations, trains, timeShifts, holidays } = report;
+  return validity.changed ||
+    stations.added.length + stations.removed.length > 0 ||
+    trains.added.length + trains.removed.length > 0 ||
+    timeShifts.length > 0 ||
+    holidays.added.length + holidays.removed.length + holidays.changed.length > 0;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// One-line summary, e.g. for a commit subject
+function summarize(report) {
+  if (!hasChanges(report)) return 'No schedule changes';
+  const parts = [];
+  const { stations, trains, timeShifts, holidays, validity } = report;
+  if (trains.added.length) parts.push(`${plural(trains.added.length, 'train')} added`);
+  if (trains.removed.length) parts.push(`${plural(trains.removed.length, 'train')} removed`);
+  if (timeShifts.length) parts.push(`${plural(timeShifts.length, 'train')} retimed`);
+  if (stations.added.length) parts.push(`${plural(stations.added.length, 'station')} added`);
+  if (stations.removed.length) parts.push(`${plural(stations.removed.length, 'station')} removed`);
+  const holidayCount = holidays.added.length + holidays.removed.length + holidays.changed.length;
+  if (holidayCount) parts.push(`${plural(holidayCount, 'holiday')} changed`);
+  if (validity.changed) parts.push(`valid ${formatDate(validity.new.from)} to ${formatDate(validity.new.to)}`);
+  return parts.join(', ');
+}
+
+// Describe one train's time changes, e.g. "all 24 stops +2 min" or "Palo Alto 7:04am → 7:06am"
+// (formatTime of lib/schedule.mjs)
+function describeShift(shift, formatTime) {
+  const deltas = new Set(shift.changes.map(c => c.delta));
+  if (deltas.size === 1 && !deltas.has(null) && shift.changes.length === shift.stationsServed) {
+    return `all ${shift.stationsServed} stops ${formatDelta(shift.changes[0].delta)}`;
+  }
+  return shift.changes.map(c => {
+    if (c.old.length === 0) return `now stops at ${c.name} (${c.new.map(formatTime).join(', ')})`;
+    if (c.new.length === 0) return `no longer stops at ${c.name}`;
+    const change = `${c.old.map(formatTime).join(', ')} → ${c.new.map(formatTime).join(', ')}`;
+    return `${c.name} ${change}${c.delta !== null ? ` (${formatDelta(c.delta)})` : ''}`;
+  }).join('; ');
+}
+
+function describeTrain(t) {
+  return `Train ${t.trainNum} (${t.routeType}, ${t.direction}, ${t.services.join('/')})`;
+}
+
+// Short human-readable lines, most significant first
+function highlights(report, formatTime) {
+  const lines = [];
+  const { validity, stations, trains, timeShifts, holidays } = report;
+  if (validity.changed) {
+    lines.push(`Timetable valid ${formatDate(validity.new.from)} to ${formatDate(validity.new.to)}`);
+  }
+  stations.added.forEach(s => lines.push(`New station: ${s.name}`));
+  stations.removed.forEach(s => lines.push(`Station no longer served: ${s.name}`));
+  trains.added.forEach(t => lines.push(`New: ${describeTrain(t)}`));
+  trains.removed.forEach(t => lines.push(`Removed: ${describeTrain(t)}`));
+  timeShifts.forEach(shift => lines.push(`Train ${shift.trainNum}: ${describeShift(shift, formatTime)}`));
+  holidays.added.forEach(h => lines.push(`${formatDate(h.date)}: ${HOLIDAY_TYPES[h.type] || 'special schedule'}`));
+  holidays.changed.forEach(h => lines.push(`${formatDate(h.date)}: now ${HOLIDAY_TYPES[h.new] || 'special schedule'}`));
+  holidays.removed.forEach(h => lines.push(`${formatDate(h.date)}: regular schedule`));
+  return lines;
+}
+
+// Full Markdown report
+async function formatMarkdown(report) {
+  const { formatTime } = await loadLib();
+  const { validity, stations, trains, timeShifts, holidays } = report;
+  const lines = ['## Schedule changes', '', report.summary, ''];
+  if (!hasChanges(report)) return lines.join('\n');
+
+  const section = (title, items) => {
+    if (items.length === 0) return;
+    lines.push(`### ${title}`, '', ...items.map(item => `- ${item}`), '');
+  };
+
+  section('Validity', validity.changed ? [
+    `${formatDate(validity.old.from)} to ${formatDate(validity.old.to)} → ${formatDate(validity.new.from)} to ${formatDate(validity.new.to)}`
+  ] : []);
+  section(`Stations added (${stations.added.length})`, stations.added.map(s => s.name));
+  section(`Stations removed (${stations.removed.length})`, stations.removed.map(s => s.name));
+  section(`Trains added (${trains.added.length})`, trains.added.map(describeTrain));
+  section(`Trains removed (${trains.removed.length})`, trains.removed.map(describeTrain));
+  section(`Time changes (${timeShifts.length})`, timeShifts.map(shift => `Train ${shift.trainNum}: ${describeShift(shift, formatTime)}`));
+  section('Holidays', [
+    ...holidays.added.map(h => `${formatDate(h.date)} added: ${HOLIDAY_TYPES[h.type] || 'special schedule'}`),
+    ...holidays.changed.map(h => `${formatDate(h.date)} changed: ${HOLIDAY_TYPES[h.old] || '?'} → ${HOLIDAY_TYPES[h.new] || '?'}`),
+    ...holidays.removed.map(h => `${formatDate(h.date)} removed`)
+  ]);
+  return lines.join('\n');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args.splice(idx, 2)[1] : null;
+  };
+  const jsonOut = option('--json');
+  const markdownOut = option('--markdown');
+
+  if (args.length !== 2) {
+    console.error('Usage: node diff-schedule.js <old.json> <new.json> [--json report.json] [--markdown report.md]');
+    process.exit(2);
+  }
+
+  const [oldData, newData] = args.map(file => JSON.parse(fs.readFileSync(file, 'utf-8')));
+  const report = await diffSchedules(oldData, newData);
+  const markdown = await formatMarkdown(report);
+
+  if (jsonOut) fs.writeFileSync(jsonOut, JSON.stringify(report, null, 2));
+  if (markdownOut) fs.writeFileSync(markdownOut, markdown + '\n');
+  if (!jsonOut && !markdownOut) console.log(markdown);
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { diffSchedules, formatMarkdown };
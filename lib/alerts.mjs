@@ -0,0 +1,107 @@
+// Caltrain service alerts from the 511.org SIRI SituationExchange (SX) feed
+// Parsing and matching only; fetching and caching live in the app
+
+export const ALERTS_URL = 'https://api.511.org/transit/servicealerts';
+
+// Most severe first (SIRI severity values; unknown ranks like normal)
+const SEVERITY_RANK = { verySevere: 4, severe: 3, normal: 2, unknown: 2, slight: 1, noImpact: 0 };
+
+// 511 JSON wraps single items as objects instead of one-element arrays
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// SIRI text: a string, {value, lang} or a list of translations (English preferred)
+function getText(field) {
+  const options = asArray(field);
+  if (options.length === 0) return '';
+  const english = options.find(t => typeof t === 'object' && /^en/i.test(t.lang || ''));
+  const chosen = english || options[0];
+  return (typeof chosen === 'string' ? chosen : chosen.value ?? chosen['#text'] ?? '').trim();
+}
+
+function parseTime(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Response body (text with the 511 byte order mark, or parsed JSON) -> alerts
+// [{id, summary, description, severity, url, periods: [{start, end}], stops, trains, networkWide}]
+// - periods: validity in ms since epoch (null = open ended)
+// - stops: affected 511 stop codes; trains: affected train numbers
+// - networkWide: no specific stops or trains (applies to every trip)
+export function parseAlertsResponse(body) {
+  const json = typeof body === 'string' ? JSON.parse(body.replace(/^\uFEFF/, '')) : body;
+  const delivery = (json?.Siri || json)?.ServiceDelivery?.SituationExchangeDelivery;
+  const situations = asArray(asArray(delivery)[0]?.Situations?.PtSituationElement);
+
+  return situations.map(situation => {
+    const affects = situation.Affects || {};
+    const stops = asArray(affects.StopPoints?.AffectedStopPoint)
+      .map(stop => String(stop.StopPointRef ?? '').trim())
+      .filter(Boolean);
+    const trains = asArray(affects.VehicleJourneys?.AffectedVehicleJourney)
+      .map(journey => String(journey.FramedVehicleJourneyRef?.DatedVehicleJourneyRef ?? journey.DatedVehicleJourneyRef ?? '').trim())
+      .filter(Boolean);
+
+    return {
+      id: String(situation.SituationNumber ?? situation.CreationTime ?? ''),
+      summary: getText(situation.Summary),
+      description: getText(situation.Description),
+      severity: situation.Severity || 'unknown',
+      url: asArray(situation.InfoLinks?.InfoLink)[0]?.Uri || null,
+      periods: asArray(situation.ValidityPeriod).map(p => ({ start: parseTime(p.StartTime), end: parseTime(p.EndTime) })),
+      stops,
+      trains,
+      networkWide: stops.length === 0 && trains.length === 0
+    };
+  }).filter(alert => alert.summary);
+}
+
+// In effect at a moment (ms); alerts without a validity period always are
+export function isActive(alert, time) {
+  if (alert.periods.length === 0) return true;
+  return alert.periods.some(p => (p.start === null || p.start <= time) && (p.end === null || time <= p.end));
+}
+
+// 511 stop code -> station id, from DATA.stops511 (station ids are accepted too)
+function stopCodeIndex(data) {
+  const index = {};
+  data.stations.forEach(s => index[s.id] = s.id);
+  Object.entries(data.stops511 || {}).forEach(([stationId, codes]) => {
+    Object.values(codes).forEach(code => index[code] = stationId);
+  });
+  return index;
+}
+
+// Alerts that affect a trip at a moment: network-wide ones, ones at any station from `from`
+// to `to` (inclusive), and ones naming any of `trainNums`
+// Returns copies with `stations` (affected station ids on the trip), most severe first
+export function matchAlerts(alerts, data, { from, to, trainNums = [], time = Date.now() }) {
+  const order = data.stations.map(s => s.id);
+  const fromIdx = order.indexOf(from);
+  const toIdx = order.includes(to) ? order.indexOf(to) : fromIdx;
+  const onTrip = new Set(fromIdx < 0 ? [] : order.slice(Math.min(fromIdx, toIdx), Math.max(fromIdx, toIdx) + 1));
+  const trainSet = new Set(trainNums.map(String));
+  const codes = stopCodeIndex(data);
+
+  return alerts
+    .filter(alert => isActive(alert, time))
+    .map(alert => ({
+      ...alert,
+      stations: [...new Set(alert.stops.map(code => codes[code]).filter(id => onTrip.has(id)))]
+    }))
+    .filter(alert => alert.networkWide || alert.stations.length > 0 || alert.trains.some(n => trainSet.has(n)))
+    .sort((a, b) => (SEVERITY_RANK[b.severity] ?? 2) - (SEVERITY_RANK[a.severity] ?? 2));
+}
+
+// Train number -> alerts naming that train, for per-train icons
+export function alertsByTrain(alerts) {
+  const byTrain = new Map();
+  alerts.forEach(alert => alert.trains.forEach(trainNum => {
+    if (!byTrain.has(trainNum)) byTrain.set(trainNum, []);
+    byTrain.get(trainNum).push(alert);
+  }));
+  return byTrain;
+}
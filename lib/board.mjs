@@ -0,0 +1,118 @@
+// Departure board: every train leaving a station in both directions, no destination needed. The app
+// shows it when no destination is picked, and full screen (kiosk) for a wall-mounted tablet, set up
+// in the URL:
+//   ?board=palo-alto    station (name slug or id)
+//   &rows=10            departures per direction (1-20)
+//   &refresh=30         seconds between refreshes (15-600)
+//   &dir=n              one direction only (n or s)
+//   &types=express      train types listed (as in lib/url-state.mjs)
+
+import { findStation, stationSlug, parseTypesParam, ROUTE_TYPE_NAMES } from './url-state.mjs';
+import { formatTime, describeEta, describeLiveStatus } from './schedule.mjs';
+import { getRouteType } from './train-list.mjs';
+
+export const BOARD_DEFAULTS = { rows: 8, refresh: 30, directions: ['n', 's'], types: null };
+
+export const DIRECTION_NAMES = { n: 'Northbound', s: 'Southbound' };
+
+// Whole number from a URL value, kept within min-max (fallback when missing or not a number)
+function readNumber(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+}
+
+// Board params -> {station, rows, refresh, directions, types}, or null when the URL names no board
+// (or a station that doesn't exist)
+export function parseBoardParams(search, stations, typeNames = ROUTE_TYPE_NAMES) {
+  const params = new URLSearchParams(search);
+  const station = findStation(stations, params.get('board'));
+  if (!station) return null;
+
+  const dir = params.get('dir');
+  return {
+    station,
+    rows: readNumber(params.get('rows'), 1, 20, BOARD_DEFAULTS.rows),
+    refresh: readNumber(params.get('refresh'), 15, 600, BOARD_DEFAULTS.refresh),
+    directions: dir === 'n' || dir === 's' ? [dir] : BOARD_DEFAULTS.directions,
+    types: parseTypesParam(params.get('types'), typeNames)
+  };
+}
+
+// Query string of a board (as parseBoardParams returns), leaving out defaults
+export function buildBoardParams(board, stations, typeNames = ROUTE_TYPE_NAMES) {
+  const params = new URLSearchParams();
+  const station = stations.find(s => s.id === board.station);
+  params.set('board', station ? stationSlug(station) : board.station);
+  if (board.rows && board.rows !== BOARD_DEFAULTS.rows) params.set('rows', String(board.rows));
+  if (board.refresh && board.refresh !== BOARD_DEFAULTS.refresh) params.set('refresh', String(board.refresh));
+  if (board.directions?.length === 1) params.set('dir', board.directions[0]);
+  if (board.types?.length > 0) params.set('types', board.types.map(t => typeNames[t]).join(','));
+  return params.toString();
+}
+
+// Last station of a trip (null without a trips table entry)
+function getTerminus(data, tripIdx) {
+  const stops = data.trips?.[tripIdx]?.[4];
+  return stops ? data.stations[stops[stops.length - 1][0]].id : null;
+}
+
+// Next departures from a station by direction: {n: [...], s: [...]}, each
+// {time, trainNum, routeType, direction, terminus, trip}, at most `limit` from `minutes` on
+// Trains ending at the station only arrive there, so they're left out
+export function getDepartures(data, station, { activeServices, minutes, limit = BOARD_DEFAULTS.rows, types = null, directions = BOARD_DEFAULTS.directions }) {
+  const departures = {};
+  directions.forEach(dir => {
+    const list = [];
+    for (const [time, trainNum, routeType, svc, , trip = null] of data.schedule[station]?.[dir] || []) {
+      if (list.length >= limit) break;
+      if (time < minutes || !activeServices.has(svc)) continue;
+      if (types?.length > 0 && !types.includes(routeType)) continue;
+      const terminus = getTerminus(data, trip);
+      if (terminus === station) continue;
+      list.push({ time, trainNum, routeType, direction: dir, terminus, trip });
+    }
+    departures[dir] = list;
+  });
+  return departures;
+}
+
+// One departure: time, train, where it's going, type, then live status and time to go
+function renderDeparture(d, view) {
+  const eta = view.currentMinutes == null ? null : d.time - view.currentMinutes;
+  const live = view.liveStatuses?.[d.direction]?.[d.trainNum];
+  const status = describeLiveStatus(live, eta, view.stationName);
+  const { text: etaText, className: etaClass } = describeEta(eta);
+  const route = getRouteType(d.routeType, view.routeTypes);
+
+  return `
+    <tr class="board-row${live?.cancelled ? ' cancelled' : ''}" data-train="${d.direction}|${d.time}|${d.trainNum}">
+      <td class="board-time">${formatTime(d.time)}</td>
+      <td class="board-train">${d.trainNum}</td>
+      <td class="board-terminus">${d.terminus ? view.stationName(d.terminus) : ''}</td>
+      <td><span class="train-type ${route.class}">${route.name}</span></td>
+      <td class="board-status">${status ? `<span class="live-status ${status.className}">${status.text}</span>` : ''}<span class="train-eta ${etaClass}">${etaText}</span></td>
+    </tr>
+  `;
+}
+
+// The board: a table of departures per platform, side by side
+// view: {minutes (start of the board), currentMinutes (null: no ETAs), liveStatuses ({n, s} of
+// trainNum -> status), stationName(id), routeTypes and directionNames ({n, s}) of the feed (optional)}
+export function renderBoard(departures, view) {
+  return Object.entries(departures).map(([dir, list]) => {
+    const name = (view.directionNames || DIRECTION_NAMES)[dir];
+    const empty = view.currentMinutes == null
+      ? `No ${name.toLowerCase()} trains after ${formatTime(view.minutes)}`
+      : `No more ${name.toLowerCase()} trains today`;
+    return `
+      <section class="board-direction" data-direction="${dir}">
+        <h2 class="board-heading" id="board-${dir}">${name} platform</h2>
+        ${list.length === 0 ? `<div class="no-trains">${empty}</div>` : `
+        <table class="board-table" aria-labelledby="board-${dir}">
+          <thead><tr><th scope="col">Departs</th><th scope="col">Train</th><th scope="col">To</th><th scope="col">Type</th><th scope="col">Status</th></tr></thead>
+          <tbody>${list.map(d => renderDeparture(d, view)).join('')}</tbody>
+        </table>`}
+      </section>
+    `;
+  }).join('');
+}
@@ -0,0 +1,145 @@
+// Compact schedule file (schedule-data.bin, written by process-gtfs.js): the same data as
+// schedule-data.min.json in a few percent of the bytes. Per-station rows are not stored but rebuilt
+// from the trips table, and trips share stop patterns and running times
+// (node benchmark-schedule.js compares size and decoding time).
+//
+// Layout (numbers are unsigned LEB128 varints, "int" ones zigzag-encoded, strings are a byte length
+// then UTF-8):
+//   'CTQS', format version
+//   meta          string: JSON of every other field, with trips (and tripIds, and schedule when it
+//                 can be rebuilt) set to null
+//   train numbers count, strings
+//   patterns      count, each: stop count, station indexes (the first, then int deltas)
+//   profiles      count, each: pattern, then per stop: int minutes from the previous departure to the
+//                 arrival (0 for the first stop), int dwell (departure - arrival; 0 when there's no arrival)
+//   trips         count, each: train number, route type, service, direction (0 'n', 1 's'), profile,
+//                 start (arrival at the first stop)
+//   tripIds       count, sorted, each: characters shared with the previous id, rest of the id, trip
+
+export const MAGIC = 'CTQS';
+export const FORMAT_VERSION = 1;
+export const DIRECTIONS = ['n', 's'];
+
+const textDecoder = new TextDecoder();
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  uint() {
+    let result = 0;
+    let scale = 1;
+    let byte;
+    do {
+      if (this.pos >= this.bytes.length) throw new Error('Truncated schedule file');
+      byte = this.bytes[this.pos++];
+      result += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  int() {
+    const n = this.uint();
+    return n % 2 ? -(n + 1) / 2 : n / 2;
+  }
+
+  string() {
+    const length = this.uint();
+    if (this.pos + length > this.bytes.length) throw new Error('Truncated schedule file');
+    const text = textDecoder.decode(this.bytes.subarray(this.pos, this.pos + length));
+    this.pos += length;
+    return text;
+  }
+
+  list(readItem) {
+    const count = this.uint();
+    const items = new Array(count);
+    for (let i = 0; i < count; i++) items[i] = readItem(i);
+    return items;
+  }
+}
+
+// Whether bytes look like a compact schedule file
+export function isCompactSchedule(bytes) {
+  return bytes.length >= 4 && String.fromCharCode(...bytes.subarray(0, 4)) === MAGIC;
+}
+
+// Per-station rows from the trips table, ordered like process-gtfs.js writes them:
+// by departure, train number, then service id
+export function buildSchedule(data) {
+  const schedule = {};
+  data.trips.forEach(([trainNum, routeType, svc, dir, stops], index) => {
+    stops.forEach(([stationIdx, departure, arrival]) => {
+      const id = data.stations[stationIdx].id;
+      if (!schedule[id]) schedule[id] = { n: [], s: [] };
+      schedule[id][dir].push([departure, trainNum, routeType, svc, arrival ?? null, index]);
+    });
+  });
+
+  const serviceId = svc => data.services?.[svc]?.id ?? '';
+  Object.values(schedule).forEach(dirs => Object.values(dirs).forEach(rows => rows.sort((a, b) =>
+    a[0] - b[0] || a[1].localeCompare(b[1]) || serviceId(a[3]).localeCompare(serviceId(b[3]))
+  )));
+  return schedule;
+}
+
+// Compact schedule file (Uint8Array) -> schedule data, as in schedule-data.min.json
+export function decodeSchedule(bytes) {
+  if (!isCompactSchedule(bytes)) throw new Error('Not a compact schedule file');
+  const reader = new Reader(bytes);
+  reader.pos = MAGIC.length;
+  const version = reader.uint();
+  if (version !== FORMAT_VERSION) throw new Error(`Unsupported schedule file version ${version}`);
+
+  const data = JSON.parse(reader.string());
+  const trainNums = reader.list(() => reader.string());
+
+  const patterns = reader.list(() => {
+    let station = 0;
+    return reader.list(i => (station = i === 0 ? reader.uint() : station + reader.int()));
+  });
+
+  // Running times as [departure, arrival?] offsets from the start
+  const profiles = reader.list(() => {
+    const pattern = patterns[reader.uint()];
+    let departure = 0;
+    const offsets = pattern.map(() => {
+      const arrival = departure + reader.int();
+      const dwell = reader.int();
+      departure = arrival + dwell;
+      return dwell === 0 ? [departure] : [departure, arrival];
+    });
+    return { pattern, offsets };
+  });
+
+  data.trips = reader.list(() => {
+    const trainNum = trainNums[reader.uint()];
+    const routeType = reader.uint();
+    const svc = reader.uint();
+    const dir = DIRECTIONS[reader.uint()];
+    const { pattern, offsets } = profiles[reader.uint()];
+    const start = reader.uint();
+    const stops = pattern.map((station, i) => {
+      const [departure, arrival] = offsets[i];
+      return arrival === undefined ? [station, start + departure] : [station, start + departure, start + arrival];
+    });
+    return [trainNum, routeType, svc, dir, stops];
+  });
+
+  if (data.tripIds === null) {
+    data.tripIds = {};
+    let previous = '';
+    reader.list(() => {
+      const shared = reader.uint();
+      const id = previous.slice(0, shared) + reader.string();
+      data.tripIds[id] = reader.uint();
+      previous = id;
+    });
+  }
+
+  if (data.schedule === null) data.schedule = buildSchedule(data);
+  return data;
+}
@@ -0,0 +1,98 @@
+// Delay history: live delays seen for each train at each station, kept to tell dependable trains apart
+// An observation is {id, date, trainNum, station, departure, delay, cancelled, observedAt}:
+// - date: service day (YYYY-MM-DD); departure: scheduled minutes after its midnight
+// - delay: minutes late when last seen before leaving (negative = early); cancelled: the train didn't run
+// - observedAt: when it was seen (ms)
+// One observation per train, station and day: later sightings replace earlier ones, so what's kept is
+// the last prediction before the train left. The app stores them in IndexedDB; this is the logic only.
+
+// Observations older than this are dropped; stats cover the last STATS_DAYS
+export const HISTORY_DAYS = 90;
+export const STATS_DAYS = 30;
+
+// Up to this many minutes late still counts as on time
+export const ON_TIME_MINUTES = 5;
+
+// Delays are only recorded for trains leaving within the hour (earlier predictions are guesses)
+const RECORD_WITHIN = 60;
+
+export function getObservationId({ date, trainNum, station }) {
+  return `${date}|${station}|${trainNum}`;
+}
+
+// Observations from live statuses (trainNum -> {delay, cancelled}) seen at `station` for the trains
+// listed on service day `date` ([{time, trainNum, legs?}], currentMinutes: minutes now)
+export function createObservations(statuses, trains, { date, station, currentMinutes, now = Date.now() }) {
+  const observations = [];
+  trains.forEach(t => {
+    const trainNum = t.legs ? t.legs[0].trainNum : t.trainNum;
+    const status = statuses?.[trainNum];
+    if (!status || t.time - currentMinutes > RECORD_WITHIN) return;
+    if (status.delay == null && !status.cancelled) return;
+
+    const observation = {
+      date, trainNum: String(trainNum), station, departure: t.time,
+      delay: status.cancelled ? null : status.delay, cancelled: !!status.cancelled, observedAt: now
+    };
+    observations.push({ id: getObservationId(observation), ...observation });
+  });
+  return observations;
+}
+
+// YYYY-MM-DD `days` before a YYYY-MM-DD date
+function daysBefore(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d - days)).toISOString().slice(0, 10);
+}
+
+// Observations still kept on service day `today` (YYYY-MM-DD)
+export function pruneHistory(history, today, days = HISTORY_DAYS) {
+  const first = daysBefore(today, days - 1);
+  return history.filter(o => o.date >= first);
+}
+
+// Reliability of a train at a station over the last `days` service days up to `today`:
+// {days, averageDelay, onTimeShare (0-1), cancelled}, or null when it was never seen
+// Cancellations count as not on time and are left out of the average delay
+export function getReliability(history, { trainNum, station, today, days = STATS_DAYS }) {
+  const first = daysBefore(today, days - 1);
+  const seen = history.filter(o =>
+    o.trainNum === String(trainNum) && o.station === station && o.date >= first && o.date <= today);
+  if (seen.length === 0) return null;
+
+  const ran = seen.filter(o => !o.cancelled);
+  const onTime = ran.filter(o => o.delay <= ON_TIME_MINUTES);
+  return {
+    days: seen.length,
+    averageDelay: ran.length > 0 ? ran.reduce((sum, o) => sum + o.delay, 0) / ran.length : null,
+    onTimeShare: onTime.length / seen.length,
+    cancelled: seen.length - ran.length
+  };
+}
+
+// "Train 137 is on average 4 min late, on time 70% of the past 30 days (12 days seen)"
+export function describeReliability(stats, trainNum, days = STATS_DAYS) {
+  const seen = `${stats.days} day${stats.days === 1 ? '' : 's'} seen`;
+  if (stats.averageDelay === null) return `Train ${trainNum} was cancelled every time in the past ${days} days (${seen})`;
+
+  const average = Math.round(stats.averageDelay);
+  const delay = average > 0 ? `${average} min late` : average < 0 ? `${-average} min early` : 'on time';
+  const cancelled = stats.cancelled > 0 ? `, cancelled ${stats.cancelled}` : '';
+  return `Train ${trainNum} is on average ${delay}, on time ${Math.round(stats.onTimeShare * 100)}% of the past ${days} days (${seen}${cancelled})`;
+}
+
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// History as CSV, oldest first (stationName: id -> name)
+export function historyToCsv(history, stationName = id => id) {
+  const rows = [...history]
+    .sort((a, b) => a.date.localeCompare(b.date) || a.departure - b.departure || a.station.localeCompare(b.station))
+    .map(o => [o.date, o.trainNum, stationName(o.station), o.departure, o.delay, o.cancelled ? 'yes' : 'no',
+      new Date(o.observedAt).toISOString()]);
+  return [['date', 'train', 'station', 'scheduled_minutes', 'delay_minutes', 'cancelled', 'observed_at'], ...rows]
+    .map(row => row.map(csvField).join(','))
+    .join('\n') + '\n';
+}
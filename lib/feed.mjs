@@ -0,0 +1,48 @@
+// Feed: the rail line the schedule data is for, and what the app shows differently per line.
+// process-gtfs.js writes it into the schedule data as `feed`, from the line's config in feeds/*.json
+// (leaving out what only the generator needs):
+// - id, name ("Caltrain"), timeZone of the timetable, defaultStation id, holidayUrl (null: none)
+// - routeTypes: train types by route type number, {name, slug (in URLs), color, background}
+// - directions: {n, s} -> {name ("Northbound"), label (direction buttons)}; n trains run to the
+//   first station
+// - realtime: {agency} code of the 511.org feeds (null: no live status)
+
+import { TIME_ZONE } from './schedule.mjs';
+
+// Caltrain, for schedule data written before feeds were configurable (same as feeds/caltrain.json)
+export const DEFAULT_FEED = {
+  id: 'caltrain',
+  name: 'Caltrain',
+  timeZone: TIME_ZONE,
+  defaultStation: 'palo_alto',
+  holidayUrl: 'https://www.caltrain.com/schedules/holiday-service-schedules',
+  routeTypes: [
+    { name: 'Local', slug: 'local', color: '#6B7280', background: '#E5E7EB' },
+    { name: 'Limited', slug: 'limited', color: '#0891B2', background: '#CFFAFE' },
+    { name: 'Express', slug: 'express', color: '#E31837', background: '#FEE2E2' },
+    { name: 'S. County', slug: 'south-county', color: '#6B7280', background: '#E5E7EB' }
+  ],
+  directions: {
+    n: { name: 'Northbound', label: 'North (SF)' },
+    s: { name: 'Southbound', label: 'South (SJ)' }
+  },
+  realtime: { agency: 'CT' }
+};
+
+// Feed of schedule data (Caltrain when it has none)
+export function getFeed(data) {
+  return { ...DEFAULT_FEED, ...data?.feed };
+}
+
+// Slugs of the train types, by route type (for the types URL param)
+export function getTypeNames(feed) {
+  return feed.routeTypes.map(t => t.slug);
+}
+
+// CSS of the train type badges (class type-<slug>, see getRouteType in lib/train-list.mjs)
+export function getRouteTypeStyles(feed) {
+  const safe = value => String(value).replace(/[^#a-zA-Z0-9(),.% -]/g, '');
+  return feed.routeTypes
+    .map(t => `.type-${safe(t.slug)} { background: ${safe(t.background)}; color: ${safe(t.color)}; }`)
+    .join('\n');
+}
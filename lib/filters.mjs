@@ -0,0 +1,51 @@
+// Train list filters: {types, maxDuration, arriveBefore, direct}
+// - types: route types to list (see getRouteType in lib/train-list.mjs), null or [] for all
+// - maxDuration: longest ride in minutes (first departure to last arrival with transfers), null for any
+// - arriveBefore: 'HH:MM' to arrive by, null for any
+// - direct: only trains that need no transfer
+// Saved trips keep their own (see getTripFilters); other views keep them until the app is closed
+
+import { SERVICE_DAY_START } from './schedule.mjs';
+import { filterByTypes } from './saved-trips.mjs';
+
+export const FILTER_DEFAULTS = { types: null, maxDuration: null, arriveBefore: null, direct: false };
+
+export function hasFilters(filters) {
+  return !!(filters.types?.length || filters.maxDuration || filters.arriveBefore || filters.direct);
+}
+
+// 'HH:MM' -> minutes into the service day (times before 3am are past 24:00, like late-night arrivals)
+export function toServiceMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const minutes = h * 60 + m;
+  return minutes < SERVICE_DAY_START ? minutes + 1440 : minutes;
+}
+
+// Trains (or journeys) passing every filter; order is kept, so buckets split the same way
+export function filterTrains(trains, filters) {
+  const arriveBy = filters.arriveBefore ? toServiceMinutes(filters.arriveBefore) : null;
+  return filterByTypes(trains, filters.types).filter(t =>
+    (!filters.maxDuration || t.duration <= filters.maxDuration) &&
+    (arriveBy == null || t.arrival <= arriveBy) &&
+    (!filters.direct || !t.legs || t.legs.length === 1)
+  );
+}
+
+// A saved trip's filters, one way: an arrival time only makes sense in one direction, so the
+// way back (`reversed`) has its own
+export function getTripFilters(trip, reversed = false) {
+  return {
+    types: trip.types ?? null,
+    maxDuration: trip.maxDuration ?? null,
+    arriveBefore: (reversed ? trip.returnArriveBefore : trip.arriveBefore) ?? null,
+    direct: !!trip.direct
+  };
+}
+
+// Saved trip with filters changed (see getTripFilters)
+export function setTripFilters(trip, reversed, changes) {
+  const { arriveBefore, ...rest } = changes;
+  const updated = { ...trip, ...rest };
+  if (arriveBefore !== undefined) updated[reversed ? 'returnArriveBefore' : 'arriveBefore'] = arriveBefore;
+  return updated;
+}
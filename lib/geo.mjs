@@ -0,0 +1,43 @@
+// Nearest station from the GTFS coordinates (DATA.stations entries carry lat/lon)
+
+const EARTH_RADIUS = 6371000;   // meters
+const WALK_SPEED = 80;          // meters per minute (about 3 mph)
+const METERS_PER_MILE = 1609.344;
+
+// Great-circle distance in meters between two {lat, lon} points
+export function distanceMeters(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Whether stations have coordinates (older schedule files don't)
+export function hasCoordinates(stations) {
+  return stations.length > 0 && stations.every(s => Number.isFinite(s.lat) && Number.isFinite(s.lon));
+}
+
+// Closest station to a {lat, lon} position
+// Returns {station, distance} (meters), or null if no station has coordinates
+export function findNearestStation(stations, position) {
+  let nearest = null;
+  stations.forEach(station => {
+    if (!Number.isFinite(station.lat) || !Number.isFinite(station.lon)) return;
+    const distance = distanceMeters(position, station);
+    if (!nearest || distance < nearest.distance) nearest = { station, distance };
+  });
+  return nearest;
+}
+
+// "0.4 mi · 8 min walk" (feet under a tenth of a mile); straight-line distance, so walks may run longer
+export function formatWalkingDistance(meters) {
+  const miles = meters / METERS_PER_MILE;
+  const distance = miles < 0.1
+    ? `${Math.max(50, Math.round(meters * 3.28084 / 50) * 50)} ft`
+    : `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+  const minutes = Math.max(1, Math.round(meters / WALK_SPEED));
+  if (minutes > 60) return distance;  // Not walking distance
+  return `${distance} · ${minutes} min walk`;
+}
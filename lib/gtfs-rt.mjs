@@ -0,0 +1,156 @@
+// GTFS-Realtime feeds (TripUpdates and VehiclePositions)
+// Field numbers follow gtfs-realtime.proto; alerts are not decoded (see alerts.mjs for 511 alerts)
+
+import { decodeMessage } from './protobuf.mjs';
+
+// Enum values used below (TripDescriptor and StopTimeUpdate ScheduleRelationship)
+const TRIP_CANCELED = 3;
+const STOP_SKIPPED = 1;
+const STOP_NO_DATA = 2;
+
+const TripDescriptor = {
+  1: ['tripId', 'string'],
+  2: ['startTime', 'string'],
+  3: ['startDate', 'string'],
+  4: ['scheduleRelationship', 'enum'],
+  5: ['routeId', 'string'],
+  6: ['directionId', 'uint']
+};
+
+const VehicleDescriptor = {
+  1: ['id', 'string'],
+  2: ['label', 'string'],
+  3: ['licensePlate', 'string']
+};
+
+const StopTimeEvent = {
+  1: ['delay', 'int32'],
+  2: ['time', 'int64'],
+  3: ['uncertainty', 'int32']
+};
+
+const StopTimeUpdate = {
+  1: ['stopSequence', 'uint'],
+  2: ['arrival', StopTimeEvent],
+  3: ['departure', StopTimeEvent],
+  4: ['stopId', 'string'],
+  5: ['scheduleRelationship', 'enum']
+};
+
+const TripUpdate = {
+  1: ['trip', TripDescriptor],
+  2: ['stopTimeUpdate', StopTimeUpdate, 'repeated'],
+  3: ['vehicle', VehicleDescriptor],
+  4: ['timestamp', 'uint'],
+  5: ['delay', 'int32']
+};
+
+const Position = {
+  1: ['latitude', 'float'],
+  2: ['longitude', 'float'],
+  3: ['bearing', 'float'],
+  4: ['odometer', 'double'],
+  5: ['speed', 'float']
+};
+
+const VehiclePosition = {
+  1: ['trip', TripDescriptor],
+  2: ['position', Position],
+  3: ['currentStopSequence', 'uint'],
+  4: ['currentStatus', 'enum'],
+  5: ['timestamp', 'uint'],
+  7: ['stopId', 'string'],
+  8: ['vehicle', VehicleDescriptor]
+};
+
+const FeedEntity = {
+  1: ['id', 'string'],
+  2: ['isDeleted', 'bool'],
+  3: ['tripUpdate', TripUpdate],
+  4: ['vehicle', VehiclePosition]
+};
+
+const FeedHeader = {
+  1: ['gtfsRealtimeVersion', 'string'],
+  2: ['incrementality', 'enum'],
+  3: ['timestamp', 'uint']
+};
+
+const FeedMessage = {
+  1: ['header', FeedHeader],
+  2: ['entity', FeedEntity, 'repeated']
+};
+
+// Decode a FeedMessage (Uint8Array or ArrayBuffer)
+export function decodeFeed(bytes) {
+  return decodeMessage(bytes, FeedMessage);
+}
+
+// Train number for a trip descriptor: via DATA.tripIds (GTFS trip_id -> trips index) when the
+// schedule has it, else the vehicle label, else the trip_id itself (Caltrain uses train numbers)
+function getTrainNum(data, trip, vehicle) {
+  const index = data.tripIds?.[trip?.tripId];
+  if (index !== undefined && data.trips?.[index]) return data.trips[index][0];
+  return vehicle?.label || trip?.tripId || null;
+}
+
+// GTFS stop_id -> station id: platform stop codes from DATA.stops511, or the station id itself
+function stopIndex(data) {
+  const index = {};
+  data.stations.forEach(s => index[s.id] = s.id);
+  Object.entries(data.stops511 || {}).forEach(([stationId, codes]) => {
+    Object.values(codes).forEach(code => index[code] = stationId);
+  });
+  return index;
+}
+
+// Live status per train for a ride from `from` to `to` in `direction` ('n' or 's')
+// Returns { trainNum: {delay, cancelled, skipped} }
+// - delay: minutes at `from`, from its own update or carried over from the last update before it
+//   (GTFS-RT propagation); null when unknown
+// - skipped: station ids among from/to the train no longer stops at
+// VehiclePositions entities decode too, but carry no delay, so only trip updates produce a status
+export function getTripStatuses(feed, data, { from, to, direction }) {
+  const stations = stopIndex(data);
+  const order = {};
+  data.stations.forEach((s, i) => order[s.id] = i);
+  // Distance travelled towards `from`: northbound trains run from high to low station index
+  const progress = stationId => direction === 'n' ? -order[stationId] : order[stationId];
+
+  const statuses = {};
+  feed.entity.forEach(entity => {
+    const update = entity.tripUpdate;
+    if (entity.isDeleted || !update) return;
+
+    const trainNum = getTrainNum(data, update.trip, update.vehicle);
+    if (!trainNum) return;
+
+    let delay = update.delay ?? null;
+    let delayProgress = -Infinity;
+    const skipped = [];
+    update.stopTimeUpdate.forEach(stu => {
+      const station = stations[stu.stopId];
+      if (!station || !(station in order)) return;
+      if (stu.scheduleRelationship === STOP_SKIPPED) {
+        if (station === from || station === to) skipped.push(station);
+        return;
+      }
+      if (stu.scheduleRelationship === STOP_NO_DATA) return;
+
+      // Latest update at or before the origin wins
+      const event = station === from ? (stu.departure ?? stu.arrival) : (stu.arrival ?? stu.departure);
+      const at = progress(station);
+      if (event?.delay !== undefined && at <= progress(from) && at > delayProgress) {
+        delay = event.delay;
+        delayProgress = at;
+      }
+    });
+
+    statuses[trainNum] = {
+      delay: delay === null ? null : Math.round(delay / 60),
+      cancelled: update.trip?.scheduleRelationship === TRIP_CANCELED,
+      skipped
+    };
+  });
+  return statuses;
+}
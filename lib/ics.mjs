@@ -0,0 +1,208 @@
+// iCalendar (RFC 5545) export of trains: one-off trips and recurring commutes
+// Times are written in the feed's time zone, with the zone's definition included so calendars
+// that don't know it still place events correctly
+
+import { TIME_ZONE, getZonedDate, getUtcOffset, getTimeZoneName } from './schedule.mjs';
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];  // Order of service `days` strings
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Escape TEXT values (backslash, semicolon, comma, newline)
+export function escapeText(text) {
+  return String(text).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line to 75 octets, continuation lines starting with a space
+// (counts UTF-8 bytes and never splits a character)
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;  // Continuations lose one octet to the space
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// YYYYMMDD -> UTC Date at midnight (used for calendar arithmetic only)
+function parseDateKey(key) {
+  return new Date(Date.UTC(+key.slice(0, 4), +key.slice(4, 6) - 1, +key.slice(6, 8)));
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+}
+
+// Index into a `days` string (0 = Monday)
+function weekdayIndex(key) {
+  return (parseDateKey(key).getUTCDay() + 6) % 7;
+}
+
+// Local date-time on a service day: minutes past its midnight (late-night trains run past 24:00)
+// Returns 'YYYYMMDDTHHMMSS'
+export function formatLocalTime(dateKey, minutes) {
+  const day = addDays(dateKey, Math.floor(minutes / 1440));
+  const m = minutes % 1440;
+  return `${day}T${String(Math.floor(m / 60)).padStart(2, '0')}${String(m % 60).padStart(2, '0')}00`;
+}
+
+// UTC 'YYYYMMDDTHHMMSSZ' for a service day and minutes in `timeZone`
+function formatUtcTime(dateKey, minutes, timeZone) {
+  return formatStamp(getZonedDate(+dateKey.slice(0, 4), +dateKey.slice(4, 6), +dateKey.slice(6, 8), 0, minutes, timeZone));
+}
+
+function formatStamp(date) {
+  return `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+}
+
+// UTC offset in minutes -> '+0530', '-0800'
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Moments (ms) the UTC offset of `timeZone` changes from `start` to `end`, found day by day
+// and then to the minute
+function getOffsetChanges(timeZone, start, end) {
+  const offsetAt = time => getUtcOffset(new Date(time), timeZone);
+  const changes = [];
+  for (let time = start; time < end; time += DAY) {
+    if (offsetAt(time) === offsetAt(time + DAY)) continue;
+    let [before, after] = [time, time + DAY];
+    while (after - before > MINUTE) {
+      const middle = before + Math.floor((after - before) / MINUTE / 2) * MINUTE;
+      if (offsetAt(middle) === offsetAt(before)) before = middle;
+      else after = middle;
+    }
+    changes.push(after);
+  }
+  return changes;
+}
+
+// VTIMEZONE lines for `timeZone` over whole years `fromYear` to `toYear`, from the browser's
+// time zone data: the offset on January 1st, then one observance per change of offset
+// (DAYLIGHT when ahead of the zone's lowest offset in those years, else STANDARD)
+function buildTimeZone(timeZone, fromYear, toYear) {
+  const start = getZonedDate(fromYear, 1, 1, 0, 0, timeZone).getTime();
+  const end = getZonedDate(toYear + 1, 1, 1, 0, 0, timeZone).getTime();
+  const observances = [start, ...getOffsetChanges(timeZone, start, end)].map((time, i, times) => {
+    const offset = getUtcOffset(new Date(time), timeZone);
+    const previous = i === 0 ? offset : getUtcOffset(new Date(times[i] - MINUTE), timeZone);
+    // Local time the change happens at, on the clocks before it
+    const local = new Date(time + previous * MINUTE).toISOString().replace(/[-:]/g, '').slice(0, 15);
+    return { local, offset, previous, name: getTimeZoneName(new Date(time), timeZone) };
+  });
+  const lowest = Math.min(...observances.map(o => o.offset));
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observances.flatMap(({ local, offset, previous, name }) => {
+      const type = offset > lowest ? 'DAYLIGHT' : 'STANDARD';
+      return [
+        `BEGIN:${type}`,
+        `TZOFFSETFROM:${formatOffset(previous)}`,
+        `TZOFFSETTO:${formatOffset(offset)}`,
+        `TZNAME:${name}`,
+        `DTSTART:${local}`,
+        `END:${type}`
+      ];
+    }),
+    'END:VTIMEZONE'
+  ];
+}
+
+// Service days from `start` to `until` (YYYYMMDD, inclusive) the `days` pattern runs on
+// ('1111100' = weekdays), without `except` dates
+export function getServiceDates({ days, start, until, except = [] }) {
+  const skip = new Set(except);
+  const dates = [];
+  for (let key = start; key <= until; key = addDays(key, 1)) {
+    if (days[weekdayIndex(key)] === '1' && !skip.has(key)) dates.push(key);
+  }
+  return dates;
+}
+
+// Of `dates` (YYYYMMDD, e.g. DATA.holidays keys), those that would be repeats of a commute:
+// on its days, from `start` to `until`. Sorted, without duplicates
+export function getExceptionDates(dates, { days, start, until }) {
+  return [...new Set(dates)]
+    .filter(key => key >= start && key <= until && days[weekdayIndex(key)] === '1')
+    .sort();
+}
+
+// VEVENT lines for a trip:
+// {uid, summary, description, location, date (service day YYYYMMDD), departure, arrival (minutes),
+//  repeat?: {days, until, except}}
+// With `repeat`, the event recurs on `days` of service (shifted a day for trains after midnight)
+// until the service day `until`, skipping `except` service days; it starts on the first
+// service day from `date` it runs on. Returns null when it never runs
+function buildEvent(trip, stamp, timeZone) {
+  const { uid, summary, description, location, departure, arrival, repeat } = trip;
+  let date = trip.date;
+  const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${stamp}`];
+
+  if (repeat) {
+    const first = getServiceDates({ days: repeat.days, start: date, until: repeat.until, except: repeat.except })[0];
+    if (!first) return null;
+    date = first;
+  }
+  lines.push(`DTSTART;TZID=${timeZone}:${formatLocalTime(date, departure)}`);
+  lines.push(`DTEND;TZID=${timeZone}:${formatLocalTime(date, arrival)}`);
+
+  if (repeat) {
+    // Trains after midnight run on the calendar day after their service day
+    const shift = Math.floor(departure / 1440);
+    const byDay = WEEKDAYS.filter((_, i) => repeat.days[(i - shift + 7) % 7] === '1');
+    lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${byDay.join(',')};UNTIL=${formatUtcTime(repeat.until, departure, timeZone)}`);
+    const except = getExceptionDates(repeat.except || [], { days: repeat.days, start: date, until: repeat.until });
+    if (except.length > 0) {
+      lines.push(`EXDATE;TZID=${timeZone}:${except.map(key => formatLocalTime(key, departure)).join(',')}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+  return lines;
+}
+
+// Calendar file for trips (see buildEvent), CRLF line endings
+// timeZone: of the service days and times (the feed's); name: of the app, in the PRODID
+export function buildCalendar(trips, { now = new Date(), timeZone = TIME_ZONE, name = 'Caltrain Quick' } = {}) {
+  const stamp = formatStamp(now);
+  const events = trips.map(trip => buildEvent(trip, stamp, timeZone)).filter(Boolean);
+  // The zone's definition covers the years of the events (a day more for trains after midnight)
+  const dates = trips.flatMap(trip => [trip.date, trip.repeat?.until].filter(Boolean)).sort();
+  const years = dates.length > 0 ? [dates[0], addDays(dates[dates.length - 1], 1)].map(key => +key.slice(0, 4)) : [now.getUTCFullYear(), now.getUTCFullYear()];
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${name}//Train export//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...buildTimeZone(timeZone, ...years),
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,104 @@
+// Live train status providers
+// A provider turns one live feed into per-train status for a ride:
+//   fetchStatus({data, from, to, direction, apiKey, agency, feedUrl, proxyUrl, fetch}) -> { trainNum: {delay, cancelled, skipped} } or null
+// - delay: minutes late at `from` (negative = early), null when unknown
+// - cancelled: the train won't run
+// - skipped: station ids among from/to the train won't stop at
+// Providers return null when they can't answer (not configured, network or feed errors).
+
+import { decodeFeed, getTripStatuses } from './gtfs-rt.mjs';
+
+export const DEFAULT_PROVIDER = '511';
+
+// {apiKey} in a feed URL is replaced with the saved 511.org key, {agency} with the feed's 511 agency code
+export const DEFAULT_GTFS_RT_URL = 'https://api.511.org/transit/tripupdates?api_key={apiKey}&agency={agency}';
+
+// 511.org agency code of Caltrain, for callers that don't name one
+const DEFAULT_AGENCY = 'CT';
+
+// 511 StopMonitoring response (JSON with a byte order mark, or parsed) -> statuses
+export function parseStopMonitoring(body) {
+  const json = typeof body === 'string' ? JSON.parse(body.replace(/^\uFEFF/, '')) : body;
+  const visits = json?.ServiceDelivery?.StopMonitoringDelivery?.MonitoredStopVisit || [];
+
+  const statuses = {};
+  visits.forEach(visit => {
+    const journey = visit.MonitoredVehicleJourney;
+    const call = journey?.MonitoredCall;
+    if (!call) return;
+
+    const trainNum = journey.FramedVehicleJourneyRef?.DatedVehicleJourneyRef;
+    if (!trainNum) return;
+    const aimed = call.AimedDepartureTime || call.AimedArrivalTime;
+    const expected = call.ExpectedDepartureTime || call.ExpectedArrivalTime;
+
+    statuses[trainNum] = {
+      delay: aimed && expected ? Math.round((new Date(expected).getTime() - new Date(aimed).getTime()) / 60000) : null,
+      cancelled: call.DepartureStatus === 'cancelled' || call.ArrivalStatus === 'cancelled',
+      skipped: []
+    };
+  });
+  return statuses;
+}
+
+export const providers = {
+  '511': {
+    name: '511.org',
+    // 511 StopMonitoring for the origin platform
+    async fetchStatus({ data, from, direction, apiKey, agency = DEFAULT_AGENCY, fetch = globalThis.fetch }) {
+      const stopId = data.stops511?.[from]?.[direction];
+      if (!apiKey || !agency || !stopId) return null;
+      try {
+        // The key is in the URL (511 takes it no other way): keep it out of caches and referrers
+        const response = await fetch(`https://api.511.org/transit/StopMonitoring?api_key=${apiKey}&agency=${encodeURIComponent(agency)}&stopCode=${stopId}&format=json`,
+          { cache: 'no-store', referrerPolicy: 'no-referrer' });
+        if (!response.ok) return null;
+        return parseStopMonitoring(await response.text());
+      } catch (e) {
+        console.error('Failed to fetch live status:', e);
+        return null;
+      }
+    }
+  },
+
+  proxy: {
+    name: '511.org (via proxy)',
+    // 511 StopMonitoring through live-proxy.js, which holds the key and caches per stop
+    async fetchStatus({ data, from, direction, agency = DEFAULT_AGENCY, proxyUrl, fetch = globalThis.fetch }) {
+      const stopId = data.stops511?.[from]?.[direction];
+      if (!proxyUrl || !agency || !stopId) return null;
+      try {
+        const response = await fetch(`${proxyUrl.replace(/\/+$/, '')}/delays?agency=${encodeURIComponent(agency)}&stopCode=${stopId}`);
+        if (!response.ok) return null;
+        return (await response.json()).trains || null;
+      } catch (e) {
+        console.error('Failed to fetch live status from proxy:', e);
+        return null;
+      }
+    }
+  },
+
+  'gtfs-rt': {
+    name: 'GTFS-Realtime feed',
+    // Protobuf TripUpdates feed (VehiclePositions in the same feed are ignored)
+    async fetchStatus({ data, from, to, direction, apiKey, agency = DEFAULT_AGENCY, feedUrl = DEFAULT_GTFS_RT_URL, fetch = globalThis.fetch }) {
+      if (feedUrl.includes('{apiKey}') && !apiKey) return null;
+      if (feedUrl.includes('{agency}') && !agency) return null;
+      try {
+        const url = feedUrl.replace('{apiKey}', encodeURIComponent(apiKey || '')).replace('{agency}', encodeURIComponent(agency));
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const feed = decodeFeed(new Uint8Array(await response.arrayBuffer()));
+        return getTripStatuses(feed, data, { from, to, direction });
+      } catch (e) {
+        console.error('Failed to fetch GTFS-Realtime feed:', e);
+        return null;
+      }
+    }
+  }
+};
+
+// Provider by id (a key of providers), falling back to 511
+export function getProvider(id) {
+  return providers[id] || providers[DEFAULT_PROVIDER];
+}
@@ -0,0 +1,177 @@
+// Transfer-aware journey planner
+// Works only on the per-station schedules in DATA.schedule, so it runs fully offline.
+
+import { planTrips } from './schedule.mjs';
+
+export const TRANSFER_DEFAULTS = {
+  maxTransfers: 1,  // 0 = direct trains only
+  minTransfer: 3,   // Minutes needed to change trains
+  maxWait: 60       // Don't suggest waiting longer than this for a connection
+};
+
+const END_OF_DAY = 24 * 60 + 120;  // Until 2am, like the direct train list
+
+// Rebuild each train's stops for one direction from the per-station schedule
+// Returns {trips: Map(key -> {key, trainNum, routeType, index, stops}), departures, order}
+// - index: position in DATA.trips (row[5]), for the stopping pattern
+// - stops: [{station, order, arrival, departure}] in travel order
+// - departures: stationId -> [{trip, idx, departure}] sorted by departure
+// - order: stationId -> index in DATA.stations (north to south)
+export function buildTripIndex(data, direction, activeServices) {
+  const order = {};
+  data.stations.forEach((s, i) => order[s.id] = i);
+
+  const trips = new Map();
+  Object.entries(data.schedule).forEach(([stationId, dirs]) => {
+    if (!(stationId in order)) return;
+    (dirs[direction] || []).forEach(row => {
+      const [departure, trainNum, routeType, svc] = row;
+      if (!activeServices.has(svc)) return;
+      const key = `${trainNum}|${svc}`;
+      if (!trips.has(key)) trips.set(key, { key, trainNum, routeType, index: row[5], stops: [] });
+      trips.get(key).stops.push({ station: stationId, order: order[stationId], arrival: row[4] ?? departure, departure });
+    });
+  });
+
+  const departures = {};
+  trips.forEach(trip => {
+    trip.stops.sort((a, b) => a.departure - b.departure);
+    trip.stops.forEach((stop, idx) => {
+      if (!departures[stop.station]) departures[stop.station] = [];
+      departures[stop.station].push({ trip, idx, departure: stop.departure });
+    });
+  });
+  Object.values(departures).forEach(list => list.sort((a, b) => a.departure - b.departure));
+
+  return { trips, departures, order };
+}
+
+// Ride a trip from stop i to stop j
+function makeLeg(trip, i, j) {
+  return {
+    trainNum: trip.trainNum,
+    routeType: trip.routeType,
+    trip: trip.index,
+    from: trip.stops[i].station,
+    to: trip.stops[j].station,
+    departure: trip.stops[i].departure,
+    arrival: trip.stops[j].arrival
+  };
+}
+
+// Prefer earlier arrival, then fewer transfers
+function better(a, b) {
+  if (!a) return b;
+  const arrivalA = a[a.length - 1].arrival;
+  const arrivalB = b[b.length - 1].arrival;
+  if (arrivalB !== arrivalA) return arrivalB < arrivalA ? b : a;
+  return b.length < a.length ? b : a;
+}
+
+// Shape legs like a direct trip from findTrips, plus legs and transfer details
+function toJourney(legs) {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  return {
+    time: first.departure,
+    trainNum: first.trainNum,
+    routeType: first.routeType,
+    arrival: last.arrival,
+    duration: last.arrival - first.departure,
+    legs,
+    transfers: legs.slice(1).map((leg, i) => ({ station: leg.from, wait: leg.departure - legs[i].arrival }))
+  };
+}
+
+// A is dominated by B when B leaves no earlier, arrives no later and needs no more transfers
+function dominates(b, a) {
+  const transfersA = a.legs ? a.legs.length - 1 : 0;
+  const transfersB = b.legs ? b.legs.length - 1 : 0;
+  return b.time >= a.time && b.arrival <= a.arrival && transfersB <= transfersA &&
+    (b.time > a.time || b.arrival < a.arrival || transfersB < transfersA);
+}
+
+// Itineraries with one or more same-direction transfers between two stations
+// Only returns journeys that beat every direct train (and every simpler journey)
+// leaving at the same time or later. Options: see TRANSFER_DEFAULTS
+export function findTransferTrips(data, { from, to, direction, activeServices, minutes = 0, ...options }) {
+  const { maxTransfers, minTransfer, maxWait } = { ...TRANSFER_DEFAULTS, ...options };
+  if (maxTransfers < 1) return [];
+
+  const index = buildTripIndex(data, direction, activeServices);
+  const fromOrder = index.order[from];
+  const toOrder = index.order[to];
+  if (fromOrder === undefined || toOrder === undefined) return [];
+
+  // Transfer stations must lie strictly between origin and destination
+  const towards = Math.sign(toOrder - fromOrder);
+  const isBetween = order => (order - fromOrder) * towards > 0 && (toOrder - order) * towards > 0;
+
+  // Best legs to the destination after boarding trip at stop idx with up to `left` transfers
+  const memo = new Map();
+  function bestFrom(trip, idx, left) {
+    const memoKey = `${trip.key}|${idx}|${left}`;
+    if (memo.has(memoKey)) return memo.get(memoKey);
+
+    let best = null;
+    for (let i = idx + 1; i < trip.stops.length; i++) {
+      const stop = trip.stops[i];
+      if (stop.station === to) {
+        best = better(best, [makeLeg(trip, idx, i)]);
+        break;
+      }
+      if (left === 0 || !isBetween(stop.order)) continue;
+
+      // Change trains here
+      for (const next of index.departures[stop.station]) {
+        if (next.departure < stop.arrival + minTransfer || next.trip === trip) continue;
+        if (next.departure > stop.arrival + maxWait) break;
+        const rest = bestFrom(next.trip, next.idx, left - 1);
+        if (rest) best = better(best, [makeLeg(trip, idx, i), ...rest]);
+      }
+    }
+
+    memo.set(memoKey, best);
+    return best;
+  }
+
+  const candidates = [];
+  const direct = [];
+  (index.departures[from] || []).forEach(({ trip, idx, departure }) => {
+    if (departure < minutes || departure > END_OF_DAY) return;
+
+    const destIdx = trip.stops.findIndex((stop, i) => i > idx && stop.station === to);
+    if (destIdx >= 0) direct.push({ time: departure, arrival: trip.stops[destIdx].arrival });
+
+    const legs = bestFrom(trip, idx, maxTransfers);
+    if (legs && legs.length > 1) candidates.push(toJourney(legs));
+  });
+
+  return candidates.filter(journey =>
+    !direct.some(d => dominates(d, journey)) &&
+    !candidates.some(other => other !== journey && dominates(other, journey))
+  );
+}
+
+// Direction of travel between two stations: 'n' towards the first station, 's' away from it
+// (null for the same station or one that isn't in the data)
+export function getDirection(data, from, to) {
+  const fromIdx = data.stations.findIndex(s => s.id === from);
+  const toIdx = data.stations.findIndex(s => s.id === to);
+  if (fromIdx < 0 || toIdx < 0 || fromIdx === toIdx) return null;
+  return toIdx < fromIdx ? 'n' : 's';
+}
+
+// The train list between two stations for a plan, as the app and the command-line client show it:
+// direct trains plus journeys with transfers where they're faster (see planTrips in lib/schedule.mjs)
+// minutes: the plan time; mode: 'depart'/'now' (from then on) or 'arrive' (by then); options: see TRANSFER_DEFAULTS
+export function planJourney(data, { from, to, direction, activeServices, minutes, mode = 'depart', sortBy = 'depart', ...options }) {
+  const transferTrips = findTransferTrips(data, {
+    from, to, direction, activeServices,
+    minutes: mode === 'arrive' ? 0 : minutes,
+    ...options
+  });
+  const originTrains = data.schedule[from]?.[direction] || [];
+  const destTrains = data.schedule[to]?.[direction] || [];
+  return planTrips(originTrains, destTrains, activeServices, minutes, mode, sortBy, transferTrips);
+}
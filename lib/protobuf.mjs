@@ -0,0 +1,130 @@
+// Minimal protocol buffers decoder (proto2/proto3 wire format), enough for GTFS-Realtime
+// Messages are described by schemas: { fieldNumber: [name, type, 'repeated'?] }, where type is
+// 'string', 'bytes', 'bool', 'uint', 'int32', 'int64', 'enum', 'float', 'double' or a nested schema.
+// Unknown fields are skipped, so newer feeds with extensions still decode.
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH = 2;
+const WIRE_FIXED32 = 5;
+
+class Reader {
+  constructor(bytes, start = 0, end = bytes.length) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = start;
+    this.end = end;
+  }
+
+  need(count) {
+    if (this.pos + count > this.end) throw new Error('Truncated protobuf message');
+  }
+
+  // Varints are read as BigInt so 64-bit and negative (10 byte) values keep every bit
+  varint() {
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      this.need(1);
+      byte = this.bytes[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  fixed32() {
+    this.need(4);
+    const value = this.view.getFloat32(this.pos, true);
+    this.pos += 4;
+    return value;
+  }
+
+  fixed64() {
+    this.need(8);
+    const value = this.view.getFloat64(this.pos, true);
+    this.pos += 8;
+    return value;
+  }
+
+  length() {
+    const length = Number(this.varint());
+    this.need(length);
+    return length;
+  }
+
+  skip(wireType) {
+    if (wireType === WIRE_VARINT) this.varint();
+    else if (wireType === WIRE_FIXED64) { this.need(8); this.pos += 8; }
+    else if (wireType === WIRE_LENGTH) this.pos += this.length();
+    else if (wireType === WIRE_FIXED32) { this.need(4); this.pos += 4; }
+    else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+  }
+}
+
+const textDecoder = new TextDecoder();
+
+function readValue(reader, type, wireType) {
+  if (typeof type === 'object') {
+    const length = reader.length();
+    const message = decodeFields(reader.bytes, type, reader.pos, reader.pos + length);
+    reader.pos += length;
+    return message;
+  }
+  switch (type) {
+    case 'string':
+    case 'bytes': {
+      const length = reader.length();
+      const bytes = reader.bytes.subarray(reader.pos, reader.pos + length);
+      reader.pos += length;
+      return type === 'string' ? textDecoder.decode(bytes) : bytes;
+    }
+    case 'bool': return reader.varint() !== 0n;
+    case 'uint':
+    case 'enum': return Number(reader.varint());
+    case 'int32': return Number(BigInt.asIntN(32, reader.varint()));
+    case 'int64': return Number(BigInt.asIntN(64, reader.varint()));
+    case 'float': return reader.fixed32();
+    case 'double': return reader.fixed64();
+    default: throw new Error(`Unknown protobuf field type "${type}" (wire type ${wireType})`);
+  }
+}
+
+function decodeFields(bytes, schema, start, end) {
+  const reader = new Reader(bytes, start, end);
+  const message = {};
+  Object.values(schema).forEach(([name, , repeated]) => {
+    if (repeated) message[name] = [];
+  });
+
+  while (reader.pos < reader.end) {
+    const key = Number(reader.varint());
+    const field = schema[key >>> 3];
+    const wireType = key & 7;
+    if (!field) {
+      reader.skip(wireType);
+      continue;
+    }
+
+    const [name, type, repeated] = field;
+    // Packed repeated scalars arrive as one length-delimited run
+    if (repeated && wireType === WIRE_LENGTH && typeof type === 'string' && type !== 'string' && type !== 'bytes') {
+      const length = reader.length();
+      const runEnd = reader.pos + length;
+      while (reader.pos < runEnd) message[name].push(readValue(reader, type, wireType));
+      continue;
+    }
+
+    const value = readValue(reader, type, wireType);
+    if (repeated) message[name].push(value);
+    else message[name] = value;
+  }
+  return message;
+}
+
+// Decode bytes (Uint8Array or ArrayBuffer) as a message of the given schema
+export function decodeMessage(bytes, schema) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  return decodeFields(data, schema, 0, data.length);
+}
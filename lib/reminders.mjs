@@ -0,0 +1,92 @@
+// Departure reminders for starred trains
+// A reminder is {date, trainNum, from, to, departure, delay, cancelled}:
+// - date: service day (YYYY-MM-DD); departure: scheduled minutes after its midnight (past 24:00 after midnight)
+// - delay, cancelled: the live status last notified (null / false until then)
+// The app turns reminders into notifications; the service worker (sw.js) shows them on time
+// Times are on the clocks of the feed's time zone (timeZone arguments, Pacific by default)
+
+import { TIME_ZONE, getZonedDate } from './schedule.mjs';
+
+// lead: minutes of warning before it's time to leave; walk: minutes to walk to each station (by id)
+export const REMINDER_DEFAULTS = { lead: 10, walk: {} };
+
+// Smaller delay changes don't notify again (live predictions wobble by a minute)
+const DELAY_CHANGE_THRESHOLD = 2;
+
+const MINUTE = 60 * 1000;
+
+export function createReminder({ date, trainNum, from, to, departure }) {
+  return { date, trainNum: String(trainNum), from, to, departure, delay: null, cancelled: false };
+}
+
+// One reminder per train and boarding station on a day
+export function getReminderId(reminder) {
+  return `${reminder.date}|${reminder.from}|${reminder.trainNum}`;
+}
+
+// Time (ms) of `minutes` after midnight on a YYYY-MM-DD date, in `timeZone`
+export function toTimestamp(date, minutes, timeZone = TIME_ZONE) {
+  const [y, m, d] = date.split('-').map(Number);
+  return getZonedDate(y, m, d, 0, minutes, timeZone).getTime();
+}
+
+// When the train leaves, with the last notified delay (ms)
+export function getDepartureTime(reminder, timeZone = TIME_ZONE) {
+  return toTimestamp(reminder.date, reminder.departure + (reminder.delay || 0), timeZone);
+}
+
+// When to leave for the station: departure minus the walk there (ms)
+export function getLeaveTime(reminder, settings = REMINDER_DEFAULTS, timeZone = TIME_ZONE) {
+  return getDepartureTime(reminder, timeZone) - (settings.walk[reminder.from] || 0) * MINUTE;
+}
+
+// When to notify: `lead` minutes before it's time to leave (ms)
+export function getNotifyTime(reminder, settings = REMINDER_DEFAULTS, timeZone = TIME_ZONE) {
+  return getLeaveTime(reminder, settings, timeZone) - settings.lead * MINUTE;
+}
+
+// Reminders for trains still to leave (departed ones are dropped)
+export function pruneReminders(reminders, now = Date.now(), timeZone = TIME_ZONE) {
+  return reminders.filter(r => getDepartureTime(r, timeZone) > now);
+}
+
+// Notifications to schedule, soonest first: [{id, tag, at, until, leaveAt, reminder}]
+// - at: when to show it (already past when a train is starred late: show right away)
+// - until: departure; not worth showing after that
+// - id changes with the timing, so a rescheduled reminder shows again; tag is per reminder,
+//   so the new notification replaces the old one
+// Cancelled trains get no "time to leave" notification
+export function planReminders(reminders, settings = REMINDER_DEFAULTS, now = Date.now(), timeZone = TIME_ZONE) {
+  return pruneReminders(reminders, now, timeZone)
+    .filter(r => !r.cancelled)
+    .map(reminder => {
+      const tag = getReminderId(reminder);
+      const at = getNotifyTime(reminder, settings, timeZone);
+      return { id: `${tag}@${at}`, tag, at, until: getDepartureTime(reminder, timeZone), leaveAt: getLeaveTime(reminder, settings, timeZone), reminder };
+    })
+    .sort((a, b) => a.at - b.at);
+}
+
+// Apply live statuses (trainNum -> {delay, cancelled}) seen at station `from` on service day `date`
+// Returns {reminders, changes}: reminders with the new status where it changed enough to tell the
+// user, and changes: [{reminder (updated), previous: {delay, cancelled}}]
+// An unknown delay counts as on time, so a first status of "on time" is not a change
+export function applyLiveStatuses(reminders, statuses, { from, date }) {
+  const changes = [];
+  const updated = reminders.map(reminder => {
+    const status = statuses?.[reminder.trainNum];
+    if (!status || reminder.from !== from || reminder.date !== date || reminder.cancelled) return reminder;
+
+    const previous = { delay: reminder.delay, cancelled: reminder.cancelled };
+    let next = null;
+    if (status.cancelled) {
+      next = { ...reminder, cancelled: true };
+    } else if (status.delay != null && Math.abs(status.delay - (reminder.delay || 0)) >= DELAY_CHANGE_THRESHOLD) {
+      next = { ...reminder, delay: status.delay };
+    }
+    if (!next) return reminder;
+    changes.push({ reminder: next, previous });
+    return next;
+  });
+  return { reminders: updated, changes };
+}
@@ -0,0 +1,89 @@
+// Saved trips: named origin/destination pairs the home screen switches between
+// A saved trip is {id, name, from, to, types, days, start, end, returnAt, maxDuration, arriveBefore, returnArriveBefore, direct}:
+// - types: route types to list (see getRouteType in lib/train-list.mjs), null for all trains
+// - maxDuration, arriveBefore (way out), returnArriveBefore (way back), direct: train list filters,
+//   see lib/filters.mjs
+// - days: days it's used, Monday first like service days ('1111100' = weekdays), null for every day
+// - start, end: 'HH:MM' window it's used in (may wrap past midnight), null for all day
+// - returnAt: 'HH:MM' from which it's shown the other way round (to -> from), null to never reverse
+
+import { SERVICE_DAY_START, TIME_ZONE, getZonedTime, getServiceDay } from './schedule.mjs';
+
+// Version 1 had a single homeStation/destination; version 2 adds saved trips
+export const STATE_VERSION = 2;
+
+export function createSavedTrip(trips, {
+  from, to, name = '', types = null, days = null, start = null, end = null, returnAt = null,
+  maxDuration = null, arriveBefore = null, returnArriveBefore = null, direct = false
+}) {
+  const ids = new Set(trips.map(t => t.id));
+  let n = trips.length + 1;
+  while (ids.has(`trip-${n}`)) n++;
+  return { id: `trip-${n}`, name, from, to, types, days, start, end, returnAt, maxDuration, arriveBefore, returnArriveBefore, direct };
+}
+
+// Bring saved state (parsed localStorage) up to STATE_VERSION
+// Version 1: the home station and destination become the first saved trip
+export function migrateState(saved) {
+  if (!saved || saved.version >= STATE_VERSION) return saved;
+  const trips = [];
+  if (saved.homeStation && saved.destination && saved.homeStation !== saved.destination) {
+    trips.push(createSavedTrip(trips, { from: saved.homeStation, to: saved.destination }));
+  }
+  return { ...saved, version: STATE_VERSION, trips, activeTrip: trips[0]?.id ?? null };
+}
+
+function parseTime(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Minutes since 3am, so windows and return times past midnight sort after the evening
+function serviceMinutes(minutes) {
+  return (minutes - SERVICE_DAY_START + 1440) % 1440;
+}
+
+// Wall-clock minutes since midnight of a moment
+function getMinutes(date, timeZone) {
+  const { hours, minutes } = getZonedTime(date, timeZone);
+  return hours * 60 + minutes;
+}
+
+// Whether a saved trip is meant for a moment (day of the service day, and time window), in Pacific time
+export function isSavedTripFor(trip, date, timeZone = TIME_ZONE) {
+  const minutes = getMinutes(date, timeZone);
+  const weekday = getZonedTime(getServiceDay(date, timeZone), timeZone).weekday;
+  if (trip.days && trip.days[(weekday + 6) % 7] !== '1') return false;
+  if (!trip.start || !trip.end) return true;
+
+  const start = parseTime(trip.start);
+  const end = parseTime(trip.end);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;  // Wraps past midnight
+}
+
+// Whether a saved trip is shown the other way round at a moment (from its return time until
+// the end of the service day)
+export function isReturnTime(trip, date, timeZone = TIME_ZONE) {
+  if (!trip.returnAt) return false;
+  return serviceMinutes(getMinutes(date, timeZone)) >= serviceMinutes(parseTime(trip.returnAt));
+}
+
+// The saved trip for a moment: {trip, reversed}, or null when none is meant for it
+// More specific trips win (a time window beats a day rule, which beats neither), then list order
+export function pickSavedTrip(trips, date, timeZone = TIME_ZONE) {
+  const specificity = trip => (trip.start && trip.end ? 2 : 0) + (trip.days ? 1 : 0);
+  let best = null;
+  trips.forEach(trip => {
+    if (!isSavedTripFor(trip, date, timeZone)) return;
+    if (!best || specificity(trip) > specificity(best)) best = trip;
+  });
+  return best && { trip: best, reversed: isReturnTime(best, date, timeZone) };
+}
+
+// Trains (or journeys, all of whose legs must match) of the preferred route types
+export function filterByTypes(trains, types) {
+  if (!types || types.length === 0) return trains;
+  return trains.filter(t => (t.legs || [t]).every(leg => types.includes(leg.routeType)));
+}
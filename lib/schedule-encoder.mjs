@@ -0,0 +1,119 @@
+// Writes compact schedule files (see lib/compact-schedule.mjs for the layout); used by process-gtfs.js
+// Kept apart from the decoder, which is all the app loads
+
+import { MAGIC, FORMAT_VERSION, DIRECTIONS, buildSchedule } from './compact-schedule.mjs';
+
+const textEncoder = new TextEncoder();
+
+class Writer {
+  constructor() {
+    this.bytes = [];
+  }
+
+  uint(n) {
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Can't store ${n} as an unsigned number`);
+    while (n >= 128) {
+      this.bytes.push((n % 128) | 0x80);
+      n = Math.floor(n / 128);
+    }
+    this.bytes.push(n);
+  }
+
+  int(n) {
+    this.uint(n < 0 ? -2 * n - 1 : 2 * n);
+  }
+
+  string(text) {
+    const encoded = textEncoder.encode(text);
+    this.uint(encoded.length);
+    for (const byte of encoded) this.bytes.push(byte);
+  }
+
+  list(items, writeItem) {
+    this.uint(items.length);
+    items.forEach(writeItem);
+  }
+
+  finish() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+// Same rows per station and direction (station order doesn't matter)
+function sameSchedule(a, b) {
+  const stations = Object.keys(a);
+  return stations.length === Object.keys(b).length &&
+    stations.every(id => b[id] && JSON.stringify(a[id].n) === JSON.stringify(b[id].n) &&
+      JSON.stringify(a[id].s) === JSON.stringify(b[id].s));
+}
+
+// Index of a value in a table, adding it when new (table: {list, index: Map})
+function intern(table, key, value = key) {
+  if (!table.index.has(key)) {
+    table.index.set(key, table.list.length);
+    table.list.push(value);
+  }
+  return table.index.get(key);
+}
+
+// Schedule data (with a trips table) -> compact schedule file (Uint8Array)
+export function encodeSchedule(data) {
+  if (!data.trips) throw new Error('Schedule data needs a trips table to be stored compactly');
+
+  // Rows are only stored when the trips table can't rebuild them exactly
+  const rebuildable = sameSchedule(buildSchedule(data), data.schedule);
+  const meta = Object.fromEntries(Object.entries(data).map(([key, value]) => {
+    if (key === 'trips' || key === 'tripIds') return [key, null];
+    if (key === 'schedule' && rebuildable) return [key, null];
+    return [key, value];
+  }));
+
+  const trainNums = { list: [], index: new Map() };
+  const patterns = { list: [], index: new Map() };
+  const profiles = { list: [], index: new Map() };
+  const trips = data.trips.map(([trainNum, routeType, svc, dir, stops]) => {
+    const stations = stops.map(stop => stop[0]);
+    const pattern = intern(patterns, stations.join(','), stations);
+
+    // Offsets from the start: minutes from the previous departure to the arrival, and dwell
+    const start = stops[0][2] ?? stops[0][1];
+    let previous = start;
+    const times = stops.flatMap(([, departure, arrival = departure]) => {
+      const travel = arrival - previous;
+      previous = departure;
+      return [travel, departure - arrival];
+    });
+    const profile = intern(profiles, `${pattern}:${times.join(',')}`, { pattern, times });
+
+    return [intern(trainNums, trainNum), routeType, svc, DIRECTIONS.indexOf(dir), profile, start];
+  });
+
+  const writer = new Writer();
+  for (const char of MAGIC) writer.bytes.push(char.charCodeAt(0));
+  writer.uint(FORMAT_VERSION);
+  writer.string(JSON.stringify(meta));
+  writer.list(trainNums.list, trainNum => writer.string(trainNum));
+  writer.list(patterns.list, stations => writer.list(stations, (station, i) => {
+    if (i === 0) writer.uint(station);
+    else writer.int(station - stations[i - 1]);
+  }));
+  writer.list(profiles.list, ({ pattern, times }) => {
+    writer.uint(pattern);
+    times.forEach(t => writer.int(t));
+  });
+  writer.list(trips, fields => fields.forEach(n => writer.uint(n)));
+
+  if ('tripIds' in data) {
+    const ids = Object.keys(data.tripIds).sort();
+    let previous = '';
+    writer.list(ids, id => {
+      let shared = 0;
+      while (shared < id.length && id[shared] === previous[shared]) shared++;
+      writer.uint(shared);
+      writer.string(id.slice(shared));
+      writer.uint(data.tripIds[id]);
+      previous = id;
+    });
+  }
+  return writer.finish();
+}
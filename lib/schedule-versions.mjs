@@ -0,0 +1,53 @@
+// Published timetables: schedules.json lists schedule files (compact or JSON) named by a hash of their content,
+//   {timetables: [{version, url, validFrom, validTo}]}   (dates YYYYMMDD)
+// so a file never changes once published and can be cached for good. The list keeps the timetable in
+// effect plus any upcoming ones, letting the app hold on to both and switch over on the day offline.
+// publish-schedule.js adds new files to it; the app picks from the ones the user has downloaded.
+
+export const SCHEDULE_INDEX_URL = 'schedules.json';
+export const SCHEDULE_DIR = 'schedules';
+
+// extension: of the published file ('.bin' for compact schedules, '.json')
+export function getTimetableUrl(version, extension = '.json') {
+  return `${SCHEDULE_DIR}/${version}${extension}`;
+}
+
+// Timetables by effective date, oldest first
+function byValidFrom(timetables) {
+  return [...timetables].sort((a, b) => a.validFrom.localeCompare(b.validFrom) || a.version.localeCompare(b.version));
+}
+
+// The timetable for a service day (YYYYMMDD): the latest one effective by then, or the first when
+// none is yet (null for none at all)
+export function pickTimetable(timetables, dateKey) {
+  const sorted = byValidFrom(timetables);
+  const effective = sorted.filter(t => t.validFrom <= dateKey);
+  return effective[effective.length - 1] || sorted[0] || null;
+}
+
+// Timetables still of use on a day: the one in effect and the upcoming ones
+// (a timetable with the same start as a later-published one is replaced by it)
+export function getNeededTimetables(timetables, dateKey) {
+  const byStart = new Map();
+  timetables.forEach(t => byStart.set(t.validFrom, t));  // Last published wins
+  const current = pickTimetable([...byStart.values()], dateKey);
+  return byValidFrom([...byStart.values()]).filter(t => t === current || t.validFrom > dateKey);
+}
+
+// Add a published timetable to an index ({timetables}, or null for a new one) on a day
+// Returns {index, removed}: removed lists timetables no longer needed (their files can be deleted)
+export function addTimetable(index, timetable, dateKey) {
+  const existing = (index?.timetables || []).filter(t => t.version !== timetable.version);
+  const all = [...existing, timetable];
+  const needed = getNeededTimetables(all, dateKey);
+  return {
+    index: { ...index, timetables: needed },
+    removed: all.filter(t => !needed.includes(t))
+  };
+}
+
+// Published timetables the app doesn't have yet (`saved`) and would use, soonest first
+export function findNewTimetables(index, saved, dateKey) {
+  const versions = new Set(saved.map(t => t.version));
+  return getNeededTimetables(index?.timetables || [], dateKey).filter(t => !versions.has(t.version));
+}
@@ -0,0 +1,290 @@
+// Timetable logic shared by the app (index.html) and the tests: service days and running services,
+// trips between two stations, the train list buckets and the text shown for ETAs and live status.
+//
+// Timetable times are Pacific wall-clock times, so every date and minute is worked out in TIME_ZONE
+// whatever the device is set to (an explicit time zone can be passed instead). Anything that needs
+// "now" takes a clock (see createClock), so tests can fix both the moment and the zone.
+
+export const TIME_ZONE = 'America/Los_Angeles';
+
+// Service day starts at 3am, like the timetable (late-night trains belong to the day before)
+export const SERVICE_DAY_START = 3 * 60;
+
+// Trains listed until 2am (26:00) of the service day
+const END_OF_SERVICE = 24 * 60 + 120;
+
+// {now(): Date, timeZone}; now: Date, timestamp or function returning one (default: the system time)
+export function createClock({ now = () => Date.now(), timeZone = TIME_ZONE } = {}) {
+  return {
+    now: () => new Date(typeof now === 'function' ? now() : now),
+    timeZone
+  };
+}
+
+export const systemClock = createClock();
+
+const zoneFormats = new Map();
+
+// Wall-clock time of a moment: {year, month (1-12), day, hours, minutes, weekday (0 = Sunday)}
+export function getZonedTime(date, timeZone = TIME_ZONE) {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }));
+  }
+  const parts = {};
+  zoneFormats.get(timeZone).formatToParts(date).forEach(p => { parts[p.type] = Number(p.value); });
+  return {
+    year: parts.year, month: parts.month, day: parts.day, hours: parts.hour, minutes: parts.minute,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+}
+
+// Moment of a wall-clock time (month 1-12; days and minutes may overflow, like the Date constructor)
+// Times skipped when clocks spring forward land an hour later
+export function getZonedDate(year, month, day, hours = 0, minutes = 0, timeZone = TIME_ZONE) {
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  // Wall-clock time of a moment, as if it were UTC
+  const wallAt = time => {
+    const z = getZonedTime(new Date(time), timeZone);
+    return Date.UTC(z.year, z.month - 1, z.day, z.hours, z.minutes);
+  };
+  // The UTC offset a moment before the wall-clock time can differ from the one after it: try both
+  const guess = wall - (wallAt(wall) - wall);
+  const time = wall - (wallAt(guess) - guess);
+  return new Date(wallAt(time) === wall ? time : guess);
+}
+
+// Minutes a time zone is ahead of UTC at a moment (-420 for PDT)
+export function getUtcOffset(date, timeZone = TIME_ZONE) {
+  const z = getZonedTime(date, timeZone);
+  return (Date.UTC(z.year, z.month - 1, z.day, z.hours, z.minutes) - Math.floor(date.getTime() / 60000) * 60000) / 60000;
+}
+
+// Short name of a time zone at a moment ('PDT', 'PST')
+export function getTimeZoneName(date, timeZone = TIME_ZONE) {
+  return new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date).find(p => p.type === 'timeZoneName').value;
+}
+
+// Noon on the service day a moment belongs to (the day before when it's before 3am)
+export function getServiceDay(date, timeZone = TIME_ZONE) {
+  const z = getZonedTime(date, timeZone);
+  const before = z.hours * 60 + z.minutes < SERVICE_DAY_START ? 1 : 0;
+  return getZonedDate(z.year, z.month, z.day - before, 12, 0, timeZone);
+}
+
+// Format date as YYYY-MM-DD / HH:MM for the date and time inputs
+export function formatDateInput(date, timeZone = TIME_ZONE) {
+  const z = getZonedTime(date, timeZone);
+  return `${z.year}-${String(z.month).padStart(2, '0')}-${String(z.day).padStart(2, '0')}`;
+}
+
+export function formatTimeInput(date, timeZone = TIME_ZONE) {
+  const z = getZonedTime(date, timeZone);
+  return `${String(z.hours).padStart(2, '0')}:${String(z.minutes).padStart(2, '0')}`;
+}
+
+// Date key (YYYYMMDD) as used by the GTFS calendar and holidays
+export function getDateKey(date, timeZone = TIME_ZONE) {
+  return formatDateInput(date, timeZone).replace(/-/g, '');
+}
+
+// Older data files only carry weekday/weekend/modified service types (0/1/2);
+// describe them as services so the rest of the app has a single code path
+export function normalizeData(data) {
+  if (data.services) return data;
+  const datesOfType = type => Object.keys(data.holidays).filter(d => data.holidays[d] === type);
+  data.services = [
+    { id: 'weekday', days: '1111100', start: null, end: null, add: [], remove: Object.keys(data.holidays) },
+    { id: 'weekend', days: '0000011', start: null, end: null, add: datesOfType(1), remove: datesOfType(2) },
+    { id: 'modified', days: '0000000', start: null, end: null, add: datesOfType(2), remove: [] }
+  ];
+  return data;
+}
+
+// Services running on the service day of a date (GTFS calendar + calendar_dates rules)
+// Returns a Set of indexes into services, as referenced by schedule rows
+export function getActiveServices(date, services, timeZone = TIME_ZONE) {
+  const day = getServiceDay(date, timeZone);
+  const dateStr = getDateKey(day, timeZone);
+  const dow = (getZonedTime(day, timeZone).weekday + 6) % 7;  // Monday = 0, matching the days mask
+  const active = new Set();
+  services.forEach((svc, idx) => {
+    if (svc.remove.includes(dateStr)) return;
+    const inRange = (!svc.start || dateStr >= svc.start) && (!svc.end || dateStr <= svc.end);
+    if ((inRange && svc.days[dow] === '1') || svc.add.includes(dateStr)) {
+      active.add(idx);
+    }
+  });
+  return active;
+}
+
+// Service type of a date's service day, used for labels
+// Returns: 'weekday', 'weekend', or 'modified' (holidays: 1 = weekend schedule, 2 = modified schedule)
+export function getServiceType(date, holidays = {}, timeZone = TIME_ZONE) {
+  const day = getServiceDay(new Date(date), timeZone);
+  const holidayType = holidays[getDateKey(day, timeZone)];
+  if (holidayType === 2) return 'modified';
+  if (holidayType === 1) return 'weekend';
+
+  const weekday = getZonedTime(day, timeZone).weekday;
+  return weekday === 0 || weekday === 6 ? 'weekend' : 'weekday';
+}
+
+// Format minutes to time string (handles times past midnight)
+export function formatTime(minutes) {
+  let h = Math.floor(minutes / 60) % 24;  // Wrap to 0-23 for times past midnight
+  const m = minutes % 60;
+  const ampm = h >= 12 ? 'pm' : 'am';
+  h = h % 12 || 12;
+  return `${h}:${m.toString().padStart(2, '0')}${ampm}`;
+}
+
+// Minutes since the service day's midnight: before 3am it's the previous day's late-night service (24:00+)
+export function getCurrentMinutes(date = new Date(), timeZone = TIME_ZONE) {
+  const z = getZonedTime(date, timeZone);
+  const mins = z.hours * 60 + z.minutes;
+  return mins < SERVICE_DAY_START ? mins + 24 * 60 : mins;
+}
+
+// Get arrival minutes for a schedule row (only stored when it differs from departure)
+export function getArrivalTime(row) {
+  return row[4] ?? row[0];
+}
+
+// Join origin and destination rows by train number and service into trips
+// activeServices is a Set of service indexes (see getActiveServices)
+// Returns [{time, trainNum, routeType, arrival, duration, trip}] in departure order (trip: index into data.trips)
+export function findTrips(originTrains, destTrains, activeServices, currentMinutes) {
+  // Destination rows for running services, keyed by train number and service
+  const destByTrain = new Map();
+  destTrains.forEach(t => {
+    if (activeServices.has(t[3])) destByTrain.set(`${t[1]}|${t[3]}`, t);
+  });
+
+  const trips = [];
+  originTrains.forEach(t => {
+    const [time, trainNum, routeType, svc] = t;
+    if (!activeServices.has(svc) || time < currentMinutes || time > END_OF_SERVICE) return;
+
+    const dest = destByTrain.get(`${trainNum}|${svc}`);
+    if (!dest) return;
+
+    const arrival = getArrivalTime(dest);
+    if (arrival <= time) return; // Destination is behind us
+
+    trips.push({ time, trainNum, routeType, arrival, duration: arrival - time, trip: t[5] });
+  });
+  return trips;
+}
+
+// Flag the trips with the shortest in-train duration (only when durations differ)
+export function markFastest(trips) {
+  const durations = trips.map(t => t.duration);
+  const min = Math.min(...durations);
+  const max = Math.max(...durations);
+  trips.forEach(t => { t.fastest = min < max && t.duration === min; });
+  return trips;
+}
+
+// Order trips by departure (default) or by arrival at the destination
+export function sortTrips(trips, sortBy) {
+  if (sortBy !== 'arrive') return trips;
+  return [...trips].sort((a, b) => a.arrival - b.arrival || a.time - b.time);
+}
+
+// Trips for a plan: "leave at" lists departures from the given minute onwards,
+// "arrive by" lists trips reaching the destination by that minute, latest first
+// transferTrips (from findTransferTrips, searched from the same minute) are merged in
+export function planTrips(originTrains, destTrains, activeServices, minutes, mode, sortBy, transferTrips = []) {
+  const from = mode === 'arrive' ? 0 : minutes;
+  const trips = [...findTrips(originTrains, destTrains, activeServices, from), ...transferTrips]
+    .sort((a, b) => a.time - b.time);
+  if (mode !== 'arrive') {
+    return sortTrips(markFastest(trips), sortBy);
+  }
+  const arriving = trips.filter(t => t.arrival <= minutes);
+  return [...sortTrips(markFastest(arriving), sortBy)].reverse();
+}
+
+export const BUCKET_SIZE = 6;
+
+// Split a train list into [{id, label, trains}]: Next (first 6, always shown), Later (next 6), Rest
+// mode: the plan mode ('arrive' lists go back in time)
+export function splitIntoBuckets(trains, mode) {
+  const labels = mode === 'arrive'
+    ? ['Latest arrivals', 'Earlier', 'Earlier in the day']
+    : ['Next trains', 'Later', 'Rest of day'];
+  return ['nextTrains', 'laterTrains', 'restTrains'].map((id, i) => ({
+    id,
+    label: labels[i],
+    trains: trains.slice(i * BUCKET_SIZE, i === 2 ? undefined : (i + 1) * BUCKET_SIZE)
+  }));
+}
+
+// Time until departure as shown on a train row: {text, className}
+// eta: minutes from now (null when not listing trains from now)
+export function describeEta(eta) {
+  if (eta === null) return { text: '', className: '' };
+  if (eta <= 0) return { text: 'Now', className: 'eta-now' };
+  if (eta <= 10) return { text: `${eta} min`, className: 'eta-soon' };
+  if (eta < 60) return { text: `${eta} min`, className: '' };
+  const hrs = Math.floor(eta / 60);
+  const mins = eta % 60;
+  return { text: mins > 0 ? `${hrs}h ${mins}m` : `${hrs}h`, className: '' };
+}
+
+// Live status badge of a train row: {text, className}, or null for none
+// Cancellations and skipped stops are shown whenever known, delays only for trains within ~1 hour
+// live: {delay, cancelled, skipped} from a live provider (lib/live.mjs); stationName: id -> name
+export function describeLiveStatus(live, eta, stationName = id => id) {
+  if (!live) return null;
+  if (live.cancelled) return { text: 'Cancelled', className: 'status-cancelled' };
+  if (live.skipped?.length > 0) {
+    return { text: `Skips ${live.skipped.map(stationName).join(', ')}`, className: 'status-skips' };
+  }
+
+  const delay = live.delay;
+  if (delay == null || eta === null || eta > 60) return null;
+  if (delay < 0) return { text: `${delay} min`, className: 'status-early' };
+  if (delay === 0) return { text: 'On time', className: 'status-ontime' };
+  return { text: `+${delay} min`, className: 'status-late' };
+}
+
+// Read trip plan from URL params (?date=YYYY-MM-DD&time=HH:MM&mode=depart|arrive)
+// Returns {mode: 'now'|'depart'|'arrive', date, time}; no date or time means "now"
+export function parsePlanParams(search, clock = systemClock) {
+  const params = new URLSearchParams(search);
+  let date = params.get('date');
+  let time = params.get('time');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) date = null;
+  if (!/^\d{1,2}:\d{2}$/.test(time || '')) time = null;
+  if (!date && !time) return { mode: 'now', date: null, time: null };
+
+  const mode = params.get('mode') === 'arrive' ? 'arrive' : 'depart';
+  if (!date) date = formatDateInput(clock.now(), clock.timeZone);
+  // Missing time: whole service day (from 3am for "leave at", until midnight for "arrive by")
+  if (!time) time = mode === 'arrive' ? '23:59' : '03:00';
+  return { mode, date, time: time.padStart(5, '0') };
+}
+
+// Write trip plan into URL params, keeping unrelated params
+export function buildPlanParams(plan, search) {
+  const params = new URLSearchParams(search);
+  ['date', 'time', 'mode'].forEach(k => params.delete(k));
+  if (plan.mode !== 'now') {
+    params.set('date', plan.date);
+    params.set('time', plan.time);
+    params.set('mode', plan.mode);
+  }
+  return params.toString();
+}
+
+// Date the plan refers to (now, or the picked date and time in the clock's time zone)
+export function getPlanDate(plan, clock = systemClock) {
+  if (plan.mode === 'now') return clock.now();
+  const [y, m, d] = plan.date.split('-').map(Number);
+  const [hh, mm] = plan.time.split(':').map(Number);
+  return getZonedDate(y, m, d, hh, mm, clock.timeZone);
+}
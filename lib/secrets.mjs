@@ -0,0 +1,29 @@
+// API keys kept on the device, encrypted: AES-GCM under a key the browser generates as non-extractable,
+// so neither the stored API key nor the key that unlocks it can be read out of storage (a copy of the
+// browser profile, a storage dump). Pages of the app's origin can still use it, so this is no defense
+// against script running in the page: the live status proxy (live-proxy.js) keeps the key off the device.
+// The app keeps both keys in IndexedDB; this is the crypto only (Web Crypto, also in Node).
+
+const ALGORITHM = { name: 'AES-GCM', length: 256 };
+
+// New encryption key, usable but not exportable
+export function createSecretKey(subtle = globalThis.crypto.subtle) {
+  return subtle.generateKey(ALGORITHM, false, ['encrypt', 'decrypt']);
+}
+
+// Text -> {iv, data} (bytes, to store alongside the key)
+export async function encryptSecret(key, text, crypto = globalThis.crypto) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv, data: new Uint8Array(data) };
+}
+
+// {iv, data} -> text, or null when it doesn't decrypt (another key, tampered with)
+export async function decryptSecret(key, sealed, subtle = globalThis.crypto.subtle) {
+  try {
+    const text = await subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+    return new TextDecoder().decode(text);
+  } catch (e) {
+    return null;
+  }
+}
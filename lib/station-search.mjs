@@ -0,0 +1,41 @@
+// Station search for the command-line client (schedule-cli.js): typed names, close enough
+// The app itself only takes exact ids and name slugs (findStation in lib/url-state.mjs).
+
+import { findStation, stationSlug } from './url-state.mjs';
+
+// Stations a typed name could mean, best matches only: the station with that id or name, else those
+// whose name starts with it ("mountain"), whose words start with its words ("diridon"), whose
+// initials start with it ("ssf"), or that are a typo or two away ("millbrea")
+// Returns [] for nothing close, several stations when the name is ambiguous
+export function searchStations(stations, query) {
+  const exact = findStation(stations, query);
+  if (exact) return stations.filter(s => s.id === exact);
+
+  const wanted = stationSlug({ name: query || '' });
+  if (!wanted) return [];
+  const words = wanted.split('-');
+  const tiers = [
+    s => stationSlug(s).startsWith(wanted),
+    s => words.every(w => stationSlug(s).split('-').some(word => word.startsWith(w))),
+    s => stationSlug(s).split('-').map(word => word[0]).join('').startsWith(wanted),
+    s => editDistance(wanted, stationSlug(s).slice(0, wanted.length)) <= (wanted.length < 6 ? 1 : 2)
+  ];
+  for (const matches of tiers) {
+    const found = stations.filter(matches);
+    if (found.length > 0) return found;
+  }
+  return [];
+}
+
+// Levenshtein distance: single-character insertions, deletions and substitutions from a to b
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
@@ -0,0 +1,297 @@
+// Train list: rows and sections for the trips of a plan (buckets from splitIntoBuckets), what screen
+// readers hear about them, and in-place updates of the list so focus and reading position survive the
+// refresh every minute.
+// The app passes what it knows beyond the trips as a view:
+// - currentMinutes: minutes now (null when planning for another time: no ETAs)
+// - liveStatuses: trainNum -> {delay, cancelled, skipped} from the live provider
+// - expandedTrain, expandedSection: key of the row showing its stops, id of the open section
+// - stationName(id), alerts(t) -> [{summary}], starred(t)
+// - renderDetails(t): HTML of an open row's stopping pattern
+// - routeTypes: train types of the feed (optional, Caltrain's by default; see lib/feed.mjs)
+
+import { formatTime, describeEta, describeLiveStatus } from './schedule.mjs';
+import { DEFAULT_FEED } from './feed.mjs';
+
+// Minutes before departure at which the next train is announced again
+const ANNOUNCE_AT = [0, 2, 5, 10, 15];
+
+// Get route type name and class (unknown types show as the first)
+export function getRouteType(type, routeTypes = DEFAULT_FEED.routeTypes) {
+  const route = routeTypes[type] || routeTypes[0];
+  return { name: route.name, class: `type-${route.slug}` };
+}
+
+// Escape text from outside sources (e.g. 511 alerts) before putting it in HTML
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Row key: departure and the trains taken (a train can also start a transfer journey)
+export function getTrainKey(t) {
+  return `${t.time}|${t.legs ? t.legs.map(l => l.trainNum).join('>') : t.trainNum}`;
+}
+
+// Element id of a row's stopping pattern (row keys hold characters ids can't)
+function getDetailsId(t) {
+  return `stops-${getTrainKey(t).replace(/[^\w-]/g, '-')}`;
+}
+
+// Departure time range of a bucket (trips may be in arrival or reverse order)
+export function formatTimeRange(trains) {
+  const times = trains.map(t => t.time);
+  const first = formatTime(Math.min(...times));
+  const last = formatTime(Math.max(...times));
+  return first === last ? first : `${first} - ${last}`;
+}
+
+function getEta(t, view) {
+  return view.currentMinutes == null ? null : t.time - view.currentMinutes;
+}
+
+function getTrainNums(t) {
+  return t.legs ? t.legs.map(l => l.trainNum) : [t.trainNum];
+}
+
+// "in 5 minutes", "in 1 hour 10 minutes"
+function formatMinutes(minutes) {
+  const hrs = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  const parts = [hrs > 0 && `${hrs} hour${hrs === 1 ? '' : 's'}`, (mins > 0 || hrs === 0) && `${mins} minute${mins === 1 ? '' : 's'}`];
+  return `in ${parts.filter(Boolean).join(' ')}`;
+}
+
+// Live status as read out: "5 min late", "on time", "cancelled", "skips Hayward Park"
+function speakStatus(status, live) {
+  if (!status) return null;
+  if (live.cancelled || live.skipped?.length > 0) return status.text.replace(/^\w/, c => c.toLowerCase());
+  if (live.delay === 0) return 'on time';
+  return live.delay < 0 ? `${-live.delay} min early` : `${live.delay} min late`;
+}
+
+// Accessible name of a row, read instead of its badges and abbreviations:
+// "7:43am Express, train 507, arrives 8:22am, 39 min trip, fastest, leaves in 12 minutes, 5 min late"
+export function describeTrain(t, view) {
+  const eta = getEta(t, view);
+  const live = view.liveStatuses?.[t.trainNum];
+  const status = describeLiveStatus(live, eta, view.stationName);
+  const parts = [
+    `${formatTime(t.time)} ${getRouteType(t.routeType, view.routeTypes).name}`,
+    t.legs ? `trains ${getTrainNums(t).join(' then ')}` : `train ${t.trainNum}`,
+    `arrives ${formatTime(t.arrival)}`,
+    `${t.duration} min trip`
+  ];
+  if (t.fastest) parts.push('fastest');
+  (t.transfers || []).forEach(x => parts.push(`change at ${view.stationName(x.station)}, ${x.wait} min wait`));
+  if (eta !== null && !live?.cancelled) parts.push(eta <= 0 ? 'leaving now' : `leaves ${formatMinutes(eta)}`);
+  if (status) parts.push(speakStatus(status, live));
+  if (view.alerts(t).length > 0) parts.push('service alert');
+  return parts.join(', ');
+}
+
+// Render a single train row: a button showing or hiding its stops, and the reminder star
+export function renderTrain(t, view) {
+  const { time, trainNum, routeType, arrival, duration, fastest, legs, transfers } = t;
+  const route = getRouteType(routeType, view.routeTypes);
+  const alerts = view.alerts(t);
+  const alertIcon = alerts.length > 0
+    ? `<span class="alert-icon" title="${escapeHtml(alerts.map(a => a.summary).join('\n'))}">⚠</span>`
+    : '';
+  const eta = getEta(t, view);
+  const { text: etaText, className: etaClass } = describeEta(eta);
+
+  // Live status badge (cancellations, skipped stops, delays of trains leaving soon)
+  const live = view.liveStatuses?.[trainNum];
+  const status = describeLiveStatus(live, eta, view.stationName);
+  const statusBadge = status ? `<span class="live-status ${status.className}">${status.text}</span>` : '';
+
+  // Journeys with a change of train: where to change and how long to wait
+  let transferBadge = '', transferText = '';
+  if (transfers) {
+    transferBadge = `<span class="transfer-badge">${transfers.length} transfer${transfers.length > 1 ? 's' : ''}</span>`;
+    transferText = transfers.map(x =>
+      `<span class="train-transfer">Change at ${view.stationName(x.station)} · ${x.wait} min wait</span>`
+    ).join('');
+  }
+
+  const key = getTrainKey(t);
+  const expanded = view.expandedTrain === key;
+  const starred = view.starred(t);
+  const starButton = `<button type="button" class="star-btn${starred ? ' starred' : ''}" aria-pressed="${starred}" aria-label="Remind me before train ${legs ? legs[0].trainNum : trainNum} leaves">${starred ? '★' : '☆'}</button>`;
+
+  return `
+    <li class="train${expanded ? ' expanded' : ''}${live?.cancelled ? ' cancelled' : ''}" data-train="${key}">
+      <button type="button" class="train-toggle" aria-expanded="${expanded}"${expanded ? ` aria-controls="${getDetailsId(t)}"` : ''} aria-label="${escapeHtml(describeTrain(t, view))}">
+        <span class="train-time">${formatTime(time)}</span>
+        <span class="train-info">
+          <span class="train-number">Train ${getTrainNums(t).join(' → ')}${alertIcon}${statusBadge}</span>
+          <span class="train-type ${route.class}">${route.name}</span>${fastest ? '<span class="fastest-badge">Fastest</span>' : ''}${transferBadge}
+          <span class="train-arrival">Arrives ${formatTime(arrival)} · ${duration} min</span>${transferText}
+        </span>
+        <span class="train-eta ${etaClass}">${etaText}</span>
+      </button>
+      ${starButton}
+      ${expanded ? `<div class="train-stops" id="${getDetailsId(t)}">${view.renderDetails(t)}</div>` : ''}
+    </li>
+  `;
+}
+
+function renderRows(trains, view) {
+  return trains.map(t => renderTrain(t, view)).join('');
+}
+
+// Render a collapsible section: a heading button opening its list
+function renderCollapsibleSection({ id, label, trains }, view) {
+  if (trains.length === 0) return '';
+  const open = view.expandedSection === id;
+
+  return `
+    <section class="train-section" data-section="${id}">
+      <h2 class="section-heading">
+        <button type="button" class="section-toggle${open ? ' open' : ''}" data-section="${id}" aria-expanded="${open}" aria-controls="${id}">
+          <span class="section-toggle-text">
+            <span>${label}</span>
+            <span class="section-count">${trains.length}<span class="sr-only"> trains,</span></span>
+            <span class="section-time">${formatTimeRange(trains)}</span>
+          </span>
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true" focusable="false">
+            <path d="M6 9l6 6 6-6"/>
+          </svg>
+        </button>
+      </h2>
+      <ul class="collapsible-list${open ? ' open' : ''}" id="${id}" role="list" aria-label="${label}">
+        ${renderRows(trains, view)}
+      </ul>
+    </section>
+  `;
+}
+
+// The whole list: next trains (always shown), then the collapsible later ones
+export function renderTrainSections(buckets, view) {
+  const [next, ...collapsible] = buckets;
+  return `
+    <section class="train-section" data-section="${next.id}">
+      <h2 class="section-header" id="${next.id}-label">
+        <span>${next.label}</span>
+        <span class="section-count">${next.trains.length}<span class="sr-only"> trains,</span></span>
+        <span class="section-time">${formatTimeRange(next.trains)}</span>
+      </h2>
+      <ul class="train-list" id="${next.id}" role="list" aria-labelledby="${next.id}-label">
+        ${renderRows(next.trains, view)}
+      </ul>
+    </section>
+    ${collapsible.map(bucket => renderCollapsibleSection(bucket, view)).join('')}
+  `;
+}
+
+// The next train for the live region: {id, text}, or null when there's nothing to say (no ETAs, or
+// the next train is more than 15 minutes away). A new id is a new announcement: when the next train
+// changes, gets within one of ANNOUNCE_AT minutes, or its live status changes.
+export function describeNextTrain(trains, view) {
+  if (view.currentMinutes == null) return null;
+  const upcoming = trains
+    .filter(t => t.time >= view.currentMinutes && !view.liveStatuses?.[t.trainNum]?.cancelled)
+    .sort((a, b) => a.time - b.time);
+  const t = upcoming[0];
+  if (!t) return null;
+
+  const eta = t.time - view.currentMinutes;
+  const stage = ANNOUNCE_AT.find(minutes => eta <= minutes);
+  if (stage === undefined) return null;
+
+  const live = view.liveStatuses?.[t.trainNum];
+  const status = speakStatus(describeLiveStatus(live, eta, view.stationName), live);
+  const when = eta === 0 ? 'leaving now' : formatMinutes(eta);
+  const name = `${formatTime(t.time)} ${getRouteType(t.routeType, view.routeTypes).name}, train ${getTrainNums(t).join(' then ')}`;
+  return {
+    id: `${getTrainKey(t)}|${stage}|${status || ''}`,
+    text: `Next train ${when}: ${name}${status ? `, ${status}` : ''}`
+  };
+}
+
+// Buttons arrow keys move between: row and section toggles, leaving out rows of closed sections
+export function getListControls(container) {
+  return [...container.querySelectorAll('.train-toggle, .section-toggle')]
+    .filter(el => !el.closest('.collapsible-list:not(.open)'));
+}
+
+// Control to focus for a key press on `current` (ArrowUp/ArrowDown, Home, End), or null for other keys
+export function getFocusTarget(controls, current, key) {
+  const index = controls.indexOf(current);
+  if (index === -1 || controls.length === 0) return null;
+  if (key === 'ArrowDown') return controls[Math.min(index + 1, controls.length - 1)];
+  if (key === 'ArrowUp') return controls[Math.max(index - 1, 0)];
+  if (key === 'Home') return controls[0];
+  if (key === 'End') return controls[controls.length - 1];
+  return null;
+}
+
+// Identity of a child across updates: rows by train, sections by id
+function getNodeKey(node) {
+  if (node.nodeType !== 1) return null;
+  const key = node.getAttribute('data-train') || node.getAttribute('data-section') || node.id;
+  return key ? `${node.nodeName}:${key}` : null;
+}
+
+function isSameKind(a, b) {
+  return a.nodeType === b.nodeType && a.nodeName === b.nodeName && getNodeKey(a) === getNodeKey(b);
+}
+
+function patchAttributes(target, source) {
+  [...target.attributes].forEach(({ name }) => {
+    if (!source.hasAttribute(name)) target.removeAttribute(name);
+  });
+  [...source.attributes].forEach(({ name, value }) => {
+    if (target.getAttribute(name) !== value) target.setAttribute(name, value);
+  });
+}
+
+function patchNodes(target, source) {
+  const keyed = new Map();
+  target.childNodes.forEach(node => {
+    const key = getNodeKey(node);
+    if (key) keyed.set(key, node);
+  });
+
+  const sourceKeys = new Set([...source.childNodes].map(getNodeKey).filter(Boolean));
+  const isNeeded = node => keyed.get(getNodeKey(node)) === node && sourceKeys.has(getNodeKey(node));
+
+  let current = target.firstChild;
+  [...source.childNodes].forEach(node => {
+    const key = getNodeKey(node);
+    const match = key ? keyed.get(key) : current && !getNodeKey(current) && isSameKind(current, node) ? current : null;
+    if (!match) {
+      target.insertBefore(node, current);
+      return;
+    }
+    // Drop what's gone from before the match rather than move it: a moved node loses focus
+    while (current && current !== match && !isNeeded(current)) {
+      const next = current.nextSibling;
+      target.removeChild(current);
+      current = next;
+    }
+    if (match === current) current = current.nextSibling;
+    else target.insertBefore(match, current);
+    keyed.delete(key);
+
+    if (match.nodeType === 1) {
+      patchAttributes(match, node);
+      patchNodes(match, node);
+    } else if (match.nodeValue !== node.nodeValue) {
+      match.nodeValue = node.nodeValue;
+    }
+  });
+
+  while (current) {
+    const next = current.nextSibling;
+    target.removeChild(current);
+    current = next;
+  }
+}
+
+// Bring `parent`'s children up to `html`, changing only what differs: nodes that stay (rows by their
+// train, sections by their id) are kept, so focus, selection and screen reader position stay put
+export function patchChildren(parent, html) {
+  const template = parent.ownerDocument.createElement('template');
+  template.innerHTML = html.trim();
+  patchNodes(parent, template.content);
+}
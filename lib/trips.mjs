@@ -0,0 +1,100 @@
+// Trips table: each train's full stop sequence
+// DATA.trips entries are [trainNum, routeType, service, direction('n'/'s'), stops], with stops as
+// [stationIndex, departure, arrival?]; schedule rows point at their trip with row[5]
+
+// Older schedule files have no trips table: rebuild it from the per-station rows
+// (stops ordered by departure) and link each row to its trip. Returns data
+export function ensureTrips(data) {
+  if (data.trips) return data;
+
+  const stationIndex = {};
+  data.stations.forEach((s, i) => stationIndex[s.id] = i);
+
+  const trips = [];
+  const tripIndex = {};
+  Object.entries(data.schedule).forEach(([stationId, dirs]) => {
+    if (!(stationId in stationIndex)) return;
+    Object.entries(dirs).forEach(([dir, rows]) => {
+      rows.forEach(row => {
+        const [departure, trainNum, routeType, svc] = row;
+        const key = `${trainNum}|${svc}|${dir}`;
+        if (!(key in tripIndex)) {
+          tripIndex[key] = trips.length;
+          trips.push([trainNum, routeType, svc, dir, []]);
+        }
+        const stop = [stationIndex[stationId], departure];
+        if (row[4] != null && row[4] !== departure) stop.push(row[4]);
+        trips[tripIndex[key]][4].push(stop);
+
+        if (row.length < 5) row.push(null);
+        row[5] = tripIndex[key];
+      });
+    });
+  });
+  trips.forEach(trip => trip[4].sort((a, b) => a[1] - b[1]));
+
+  data.trips = trips;
+  return data;
+}
+
+// Trip by index, with station ids: {trainNum, routeType, service, direction, stops: [{station, departure, arrival}]}
+export function getTrip(data, index) {
+  const trip = data.trips[index];
+  if (!trip) return null;
+  const [trainNum, routeType, service, direction, stops] = trip;
+  return {
+    trainNum, routeType, service, direction,
+    stops: stops.map(([stationIdx, departure, arrival]) => ({
+      station: data.stations[stationIdx].id,
+      departure,
+      arrival: arrival ?? departure
+    }))
+  };
+}
+
+// Every station the trip passes, in travel order, for the detail view
+// Returns {trainNum, stations: [{id, name, stops, arrival, departure, segment, board, alight}], stopCount, skipped}
+// - stops: false for stations the train runs through without stopping
+// - segment: between from and to (inclusive); board/alight mark the ends
+// - stopCount: stops after boarding up to and including `to`; skipped: stations passed in between
+export function getStoppingPattern(data, index, from, to) {
+  const trip = getTrip(data, index);
+  if (!trip || trip.stops.length === 0) return null;
+
+  const stationIdx = {};
+  data.stations.forEach((s, i) => stationIdx[s.id] = i);
+  const byStation = new Map(trip.stops.map(stop => [stop.station, stop]));
+
+  const first = stationIdx[trip.stops[0].station];
+  const last = stationIdx[trip.stops[trip.stops.length - 1].station];
+  const step = last >= first ? 1 : -1;
+
+  const stations = [];
+  let inSegment = false;
+  let stopCount = 0;
+  let skipped = 0;
+  for (let i = first; i !== last + step; i += step) {
+    const { id, name } = data.stations[i];
+    const stop = byStation.get(id);
+    const board = id === from;
+    const alight = inSegment && id === to;
+    if (board) inSegment = true;
+
+    if (inSegment && !board) {
+      if (stop) stopCount++;
+      else skipped++;
+    }
+    stations.push({
+      id, name,
+      stops: !!stop,
+      arrival: stop ? stop.arrival : null,
+      departure: stop ? stop.departure : null,
+      segment: inSegment,
+      board,
+      alight
+    });
+    if (alight) inSegment = false;
+  }
+
+  return { trainNum: trip.trainNum, stations, stopCount, skipped };
+}
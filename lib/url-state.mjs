@@ -0,0 +1,100 @@
+// The view in the URL, for shared links, back/forward and home screen shortcuts:
+//   ?from=millbrae&to=san-francisco   stations (name slugs; station ids work too)
+//   &return=1                          showing the way back (to -> from)
+//   &types=limited,express             train types listed ("all" to ignore saved trip preferences)
+//   &trip=2                            the 2nd saved trip (home screen shortcuts)
+// The trip plan (date, time, mode) has its own params, see parsePlanParams in lib/schedule.mjs.
+// The departure board (?board=) has its own too, see lib/board.mjs.
+// API keys are never written into URLs: building params always drops them.
+// Train types are named by their slug in the feed (typeNames, Caltrain's by default).
+
+import { DEFAULT_FEED, getTypeNames } from './feed.mjs';
+
+export const ROUTE_TYPE_NAMES = getTypeNames(DEFAULT_FEED);  // By route type
+
+const VIEW_PARAMS = ['from', 'to', 'return', 'types', 'trip'];
+const PRIVATE_PARAMS = ['apikey', 'key'];
+const MAX_SHORTCUTS = 4;  // Android shows about four
+
+// "San Jose Diridon" -> "san-jose-diridon"
+export function stationSlug(station) {
+  return station.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Station id for a URL value (id or name slug, any case), or null
+export function findStation(stations, value) {
+  if (!value) return null;
+  const wanted = value.toLowerCase();
+  const station = stations.find(s => s.id.toLowerCase() === wanted) ||
+    stations.find(s => stationSlug(s) === wanted);
+  return station ? station.id : null;
+}
+
+// `types` param -> null (missing or no known type), [] ("all") or route types
+export function parseTypesParam(value, typeNames = ROUTE_TYPE_NAMES) {
+  if (value === 'all') return [];
+  if (!value) return null;
+  const types = value.split(',').map(name => typeNames.indexOf(name.trim().toLowerCase())).filter(t => t >= 0);
+  return types.length > 0 ? types : null;
+}
+
+// View params -> {from, to, reversed, types, trip}
+// - from, to: station ids (null when missing or unknown; `to` also when it's `from`)
+// - types: null (not in the URL), [] (all) or route types
+// - trip: 1-based saved trip position, or null
+export function parseViewParams(search, stations, typeNames = ROUTE_TYPE_NAMES) {
+  const params = new URLSearchParams(search);
+  const from = findStation(stations, params.get('from'));
+  const to = findStation(stations, params.get('to'));
+
+  const types = parseTypesParam(params.get('types'), typeNames);
+  const trip = Number(params.get('trip'));
+  return {
+    from,
+    to: to !== from ? to : null,
+    reversed: params.get('return') === '1',
+    types,
+    trip: Number.isInteger(trip) && trip > 0 ? trip : null
+  };
+}
+
+// Write a view ({from, to, reversed, types} as parseViewParams returns) into params, keeping
+// unrelated ones (like the trip plan) but never API keys
+export function buildViewParams(view, stations, search = '', typeNames = ROUTE_TYPE_NAMES) {
+  const params = new URLSearchParams(search);
+  [...VIEW_PARAMS, ...PRIVATE_PARAMS].forEach(k => params.delete(k));
+  const slug = id => {
+    const station = stations.find(s => s.id === id);
+    return station ? stationSlug(station) : id;
+  };
+
+  if (view.from) params.set('from', slug(view.from));
+  if (view.to) params.set('to', slug(view.to));
+  if (view.reversed && view.from && view.to) params.set('return', '1');
+  if (view.types) {
+    params.set('types', view.types.length === 0 ? 'all' : view.types.map(t => typeNames[t]).join(','));
+  }
+  return params.toString();
+}
+
+// Web app manifest `shortcuts` for the first saved trips (named by nameOf(trip))
+export function buildShortcuts(trips, nameOf) {
+  return trips.slice(0, MAX_SHORTCUTS).map((trip, i) => ({
+    name: nameOf(trip),
+    short_name: trip.name || nameOf(trip),
+    url: `./?trip=${i + 1}`
+  }));
+}
+
+// Copy of a manifest with the saved trips as shortcuts, every URL absolute against `baseUrl`
+// (a manifest served from a data: URL can't use relative ones)
+export function buildManifest(manifest, trips, baseUrl, nameOf) {
+  const absolute = url => new URL(url, baseUrl).href;
+  return {
+    ...manifest,
+    start_url: absolute(manifest.start_url || './'),
+    scope: absolute(manifest.scope || './'),
+    icons: (manifest.icons || []).map(icon => ({ ...icon, src: absolute(icon.src) })),
+    shortcuts: buildShortcuts(trips, nameOf).map(s => ({ ...s, url: absolute(s.url) }))
+  };
+}
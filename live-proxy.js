@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+// Live status proxy: a small server between the app and 511.org, so the 511 API key stays on the
+// server instead of in every browser (and in every request URL), and the phones of a household or an
+// office share one cache and one rate limit instead of each spending the key's hourly quota.
+// Usage: API_511_KEY=... node live-proxy.js [--port 8511] [--ttl 60] [--limit 60] [--window 3600]
+//   GET /delays?agency=CT&stopCode=70211   live status at a platform: {stopCode, agency, fetchedAt, trains}
+//                                          (trains as the app's live providers return them, see lib/live.mjs)
+//   GET /alerts?agency=CT                  511 service alerts, as 511 sends them
+//   GET /health                            {ok, cached, upstreamCalls}
+// Responses are cached per stop for --ttl seconds. At most --limit calls go to 511 per --window seconds
+// (511's default quota is 60 an hour); past that, cached responses are served however old they are
+// (X-Cache: stale), and stops never fetched get a 429.
+
+const http = require('http');
+const { parseArgs } = require('util');
+
+const DEFAULTS = {
+  upstream: 'https://api.511.org/transit',
+  host: '127.0.0.1',
+  port: 8511,
+  ttl: 60,
+  alertsTtl: 300,
+  timeout: 10,
+  limit: 60,
+  window: 3600,
+  origin: '*',
+  maxEntries: 500
+};
+
+const USAGE = `Usage: API_511_KEY=<key> node live-proxy.js [options]
+
+Options:
+  --port N          Port to listen on (default: ${DEFAULTS.port})
+  --host HOST       Address to listen on (default: ${DEFAULTS.host}; 0.0.0.0 for other devices)
+  --ttl S           Seconds a stop's live status is cached (default: ${DEFAULTS.ttl})
+  --alerts-ttl S    Seconds service alerts are cached (default: ${DEFAULTS.alertsTtl})
+  --timeout S       Seconds to wait for 511 before giving up (default: ${DEFAULTS.timeout})
+  --limit N         Calls to 511 allowed per window (default: ${DEFAULTS.limit})
+  --window S        Rate limit window in seconds (default: ${DEFAULTS.window})
+  --origin URL      Origin allowed to call the proxy from a browser (default: any)
+  --upstream URL    511 transit API (default: ${DEFAULTS.upstream})
+
+The key is read from the environment, not the command line, so it doesn't show in process lists.`;
+
+const OPTIONS = {
+  port: { type: 'string' },
+  host: { type: 'string' },
+  ttl: { type: 'string' },
+  'alerts-ttl': { type: 'string' },
+  timeout: { type: 'string' },
+  limit: { type: 'string' },
+  window: { type: 'string' },
+  origin: { type: 'string' },
+  upstream: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// 511 agency codes and stop codes are short and alphanumeric; anything else never reaches 511
+const AGENCY_PATTERN = /^[A-Za-z0-9]{1,10}$/;
+const STOP_CODE_PATTERN = /^[A-Za-z0-9]{1,20}$/;
+
+// Answers other than 200, with the HTTP status to send (and seconds to wait, for 429)
+function httpError(status, message, retryAfter = null) {
+  return Object.assign(new Error(message), { status, retryAfter });
+}
+
+// Rejects once the signal aborts (so a call times out even where fetch ignores the signal)
+function whenAborted(signal) {
+  return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true }));
+}
+
+// Sliding window limiter: at most `limit` calls in any `windowMs`
+function createRateLimiter(limit, windowMs) {
+  const calls = [];
+  const prune = time => {
+    while (calls.length > 0 && calls[0] <= time - windowMs) calls.shift();
+  };
+  return {
+    // Count a call at `time`, or false when the window is full
+    take(time) {
+      prune(time);
+      if (calls.length >= limit) return false;
+      calls.push(time);
+      return true;
+    },
+    // Seconds until the next call is allowed
+    retryAfter(time) {
+      prune(time);
+      return calls.length < limit ? 0 : Math.max(1, Math.ceil((calls[0] + windowMs - time) / 1000));
+    }
+  };
+}
+
+// The proxy server (not listening yet)
+// options: apiKey (required), upstream, ttl, alertsTtl, timeout, limit, window (seconds), origin (CORS),
+// maxEntries (responses cached), fetch and now() (ms) for tests
+function createProxy(options) {
+  const { apiKey, upstream, ttl, alertsTtl, timeout, limit, window, origin, maxEntries, fetch = globalThis.fetch, now = Date.now } = { ...DEFAULTS, ...options };
+  if (!apiKey) throw new Error('A 511.org API key is required');
+
+  const limiter = createRateLimiter(limit, window * 1000);
+  const cache = new Map();     // key -> {value, fetchedAt, expires}, oldest used first
+  const inFlight = new Map();  // key -> promise of the upstream call under way
+  let upstreamCalls = 0;
+
+  function remember(key, entry) {
+    cache.delete(key);
+    cache.set(key, entry);
+    if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  }
+
+  // Value under `key`: cached while fresh, else loaded once (concurrent requests share the call), else
+  // stale when 511 can't be called (rate limit, errors) -> {value, fetchedAt, state: hit|miss|stale}
+  async function cached(key, ttlSeconds, load) {
+    const time = now();
+    const entry = cache.get(key);
+    if (entry && time < entry.expires) return { ...entry, state: 'hit' };
+    if (inFlight.has(key)) return inFlight.get(key);
+    if (!limiter.take(time)) {
+      if (entry) return { ...entry, state: 'stale' };
+      throw httpError(429, 'Upstream rate limit reached', limiter.retryAfter(time));
+    }
+
+    upstreamCalls++;
+    const call = load()
+      .then(value => {
+        const fresh = { value, fetchedAt: time, expires: time + ttlSeconds * 1000 };
+        remember(key, fresh);
+        return { ...fresh, state: 'miss' };
+      }, e => {
+        console.error(`Upstream call failed (${key}): ${e.message}`);
+        if (entry) return { ...entry, state: 'stale' };
+        throw httpError(502, 'Upstream request failed');
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, call);
+    return call;
+  }
+
+  // 511 response text (the key only ever goes into this URL, never into answers or logs)
+  // A call taking over `timeout` seconds fails, so a hung 511 can't hold up the requests waiting on it
+  async function callUpstream(endpoint, params) {
+    const query = new URLSearchParams({ api_key: apiKey, ...params, format: 'json' });
+    const signal = AbortSignal.timeout(timeout * 1000);
+    const aborted = whenAborted(signal);
+    const response = await Promise.race([fetch(`${upstream.replace(/\/+$/, '')}/${endpoint}?${query}`, { signal }), aborted]);
+    if (!response.ok) throw new Error(`${endpoint} answered ${response.status}`);
+    return Promise.race([response.text(), aborted]);
+  }
+
+  function readAgency(params) {
+    const agency = params.get('agency') || 'CT';
+    if (!AGENCY_PATTERN.test(agency)) throw httpError(400, 'Invalid agency');
+    return agency;
+  }
+
+  const routes = {
+    async '/delays'(params) {
+      const agency = readAgency(params);
+      const stopCode = params.get('stopCode');
+      if (!stopCode || !STOP_CODE_PATTERN.test(stopCode)) throw httpError(400, 'Invalid or missing stopCode');
+      const { parseStopMonitoring } = await import('./lib/live.mjs');
+      const result = await cached(`delays|${agency}|${stopCode}`, ttl, async () =>
+        parseStopMonitoring(await callUpstream('StopMonitoring', { agency, stopCode })));
+      return { ...result, ttl, body: { stopCode, agency, fetchedAt: new Date(result.fetchedAt).toISOString(), trains: result.value } };
+    },
+
+    async '/alerts'(params) {
+      const agency = readAgency(params);
+      const result = await cached(`alerts|${agency}`, alertsTtl, async () =>
+        JSON.parse((await callUpstream('servicealerts', { agency })).replace(/^\uFEFF/, '')));
+      return { ...result, ttl: alertsTtl, body: result.value };
+    },
+
+    async '/health'() {
+      return { state: 'hit', ttl: 0, body: { ok: true, cached: cache.size, upstreamCalls } };
+    }
+  };
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+      'Access-Control-Allow-Origin': origin,
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(origin !== '*' && { Vary: 'Origin' }),
+      ...headers
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  return http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Methods': 'GET', 'Access-Control-Max-Age': '86400' });
+      return res.end();
+    }
+    const url = new URL(req.url, 'http://localhost');
+    const route = Object.hasOwn(routes, url.pathname) ? routes[url.pathname] : null;
+    if (!route) return send(res, 404, { error: 'Not found' });
+    if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, OPTIONS' });
+
+    try {
+      const { body, state, fetchedAt, ttl: maxAge } = await route(url.searchParams);
+      const age = fetchedAt == null ? 0 : Math.floor((now() - fetchedAt) / 1000);
+      send(res, 200, body, {
+        'Cache-Control': state === 'stale' || maxAge === 0 ? 'no-cache' : `max-age=${Math.max(0, maxAge - age)}`,
+        'X-Cache': state
+      });
+    } catch (e) {
+      if (!e.status) console.error('Proxy error:', e);
+      send(res, e.status || 500, { error: e.status ? e.message : 'Internal error' },
+        e.retryAfter ? { 'Retry-After': String(e.retryAfter) } : {});
+    }
+  });
+}
+
+// Whole number option at least `min`
+function readNumber(value, name, fallback, min = 1) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new Error(`--${name} must be a whole number of at least ${min}`);
+  return n;
+}
+
+function main() {
+  let options;
+  try {
+    ({ values: options } = parseArgs({ args: process.argv.slice(2), options: OPTIONS }));
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    options = {
+      apiKey: process.env.API_511_KEY,
+      host: options.host || DEFAULTS.host,
+      port: readNumber(options.port, 'port', DEFAULTS.port, 0),
+      ttl: readNumber(options.ttl, 'ttl', DEFAULTS.ttl, 0),
+      alertsTtl: readNumber(options['alerts-ttl'], 'alerts-ttl', DEFAULTS.alertsTtl, 0),
+      timeout: readNumber(options.timeout, 'timeout', DEFAULTS.timeout),
+      limit: readNumber(options.limit, 'limit', DEFAULTS.limit),
+      window: readNumber(options.window, 'window', DEFAULTS.window),
+      origin: options.origin || DEFAULTS.origin,
+      upstream: options.upstream || DEFAULTS.upstream
+    };
+    if (!options.apiKey) throw new Error('Set API_511_KEY to your 511.org API key');
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const server = createProxy(options);
+  server.listen(options.port, options.host, () => {
+    const { address, port } = server.address();
+    console.log(`Live status proxy on http://${address}:${port} (cache ${options.ttl}s, ${options.limit} calls to 511 per ${options.window}s)`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createProxy, createRateLimiter };
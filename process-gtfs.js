@@ -1,234 +1,596 @@
 #!/usr/bin/env node
-// Script to process GTFS data into a compact JSON format for the webapp
+// Script to process GTFS data into compact schedule files for the webapp: JSON (schedule-data.min.json)
+// and the smaller binary format of lib/compact-schedule.mjs (schedule-data.bin)
+// Usage: node process-gtfs.js [gtfs-dir] [--config feeds/<agency>.json]   (defaults to ./gtfs, Caltrain)
 
 const fs = require('fs');
 const path = require('path');
 
 const GTFS_DIR = path.join(__dirname, 'gtfs');
 
-function parseCSV(filename) {
-  const content = fs.readFileSync(path.join(GTFS_DIR, filename), 'utf-8');
-  const lines = content.trim().split('\n');
-  const headers = lines[0].split(',');
-  return lines.slice(1).map(line => {
-    const values = line.split(',');
+// Agency-specific rules (feeds/*.json): train types and their colors, which stops are stations and
+// how to name and order them, GTFS direction_id of each direction, and realtime stop codes
+const DEFAULT_CONFIG = require('./feeds/caltrain.json');
+
+// Station orders a config can ask for; the first station is the end 'n' trains run towards
+// ("trips" orders stations as the longest 's' trip calls at them, for lines that bend; see getMainStations)
+const STATION_ORDERS = {
+  'north-to-south': (a, b) => b.lat - a.lat,
+  'south-to-north': (a, b) => a.lat - b.lat,
+  'east-to-west': (a, b) => b.lon - a.lon,
+  'west-to-east': (a, b) => a.lon - b.lon
+};
+
+// Files and columns the generator relies on. GTFS requires calendar.txt and/or
+// calendar_dates.txt, so each is optional on its own (checked in loadFeed)
+const FEED_FILES = {
+  stops: { file: 'stops.txt', required: true, columns: ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'location_type', 'parent_station'] },
+  routes: { file: 'routes.txt', required: true, columns: ['route_id', 'route_short_name'] },
+  trips: { file: 'trips.txt', required: true, columns: ['route_id', 'service_id', 'trip_id', 'trip_short_name', 'direction_id'] },
+  stopTimes: { file: 'stop_times.txt', required: true, columns: ['trip_id', 'departure_time', 'stop_id', 'stop_sequence'] },
+  calendar: { file: 'calendar.txt', required: false, columns: ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'] },
+  calendarDates: { file: 'calendar_dates.txt', required: false, columns: ['service_id', 'date', 'exception_type'] }
+};
+
+// Parse CSV text per RFC 4180: quoted fields (with commas, "" escapes and line
+// breaks), CRLF/LF line endings and a leading UTF-8 BOM.
+// Returns row objects keyed by header; the header list is available as rows.columns
+function parseCSV(content) {
+  const text = content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      record.push(field);
+      field = '';
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const lines = records.filter(r => r.length > 1 || r[0] !== '');
+  const headers = (lines[0] || []).map(h => h.trim());
+  const rows = lines.slice(1).map(values => {
     const obj = {};
     headers.forEach((h, i) => obj[h] = values[i] || '');
     return obj;
   });
+  rows.columns = headers;
+  return rows;
 }
 
-// Parse all necessary files
-const stops = parseCSV('stops.txt');
-const trips = parseCSV('trips.txt');
-const stopTimes = parseCSV('stop_times.txt');
-const calendar = parseCSV('calendar.txt');
-const calendarDates = parseCSV('calendar_dates.txt');
-const routes = parseCSV('routes.txt');
-
-// Get main stations (parent stations only, excluding elevators and shuttles)
-const mainStations = stops.filter(s =>
-  s.location_type === '1' &&
-  !s.stop_name.includes('Shuttle') &&
-  !s.stop_name.includes('Elevator')
-).map(s => ({
-  id: s.stop_id,
-  name: s.stop_name.replace(' Station', '').replace(' Caltrain', ''),
-  lat: parseFloat(s.stop_lat),
-  lon: parseFloat(s.stop_lon)
-})).sort((a, b) => b.lat - a.lat); // Sort north to south
-
-// Map stop_id to parent station
-const stopToStation = {};
-stops.forEach(s => {
-  if (s.parent_station) {
-    stopToStation[s.stop_id] = s.parent_station;
-  }
-});
-
-// Build station to 511 API stop IDs mapping (for real-time data)
-const stationTo511Stops = {};
-stops.forEach(s => {
-  if (s.parent_station && s.stop_id.match(/^\d+$/)) {
-    // Platform stops have numeric IDs like 70011, 70012
-    const stationId = s.parent_station;
-    if (!stationTo511Stops[stationId]) {
-      stationTo511Stops[stationId] = {};
+// Read the feed tables from a GTFS directory
+// Returns {tables, errors}; missing optional files become empty tables
+function loadFeed(dir) {
+  const tables = {};
+  const errors = [];
+
+  Object.entries(FEED_FILES).forEach(([name, spec]) => {
+    const file = path.join(dir, spec.file);
+    if (!fs.existsSync(file)) {
+      if (spec.required) errors.push(`${spec.file}: required file is missing`);
+      tables[name] = Object.assign([], { columns: [], missing: true });
+      return;
     }
-    // Northbound stops end in 1, Southbound end in 2
-    if (s.stop_name.includes('Northbound')) {
-      stationTo511Stops[stationId].n = s.stop_id;
-    } else if (s.stop_name.includes('Southbound')) {
-      stationTo511Stops[stationId].s = s.stop_id;
+
+    try {
+      tables[name] = parseCSV(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+      errors.push(`${spec.file}: ${e.message}`);
+      tables[name] = Object.assign([], { columns: [] });
+      return;
     }
+
+    const missingColumns = spec.columns.filter(c => !tables[name].columns.includes(c));
+    if (missingColumns.length > 0) {
+      errors.push(`${spec.file}: missing required column(s) ${missingColumns.join(', ')}`);
+    }
+  });
+
+  if (tables.calendar.missing && tables.calendarDates.missing) {
+    errors.push('calendar.txt / calendar_dates.txt: at least one of them is required');
   }
-});
-
-// Map trip_id to service info
-const tripInfo = {};
-trips.forEach(t => {
-  tripInfo[t.trip_id] = {
-    serviceId: t.service_id,
-    direction: parseInt(t.direction_id), // 0 = northbound, 1 = southbound
-    headsign: t.trip_headsign,
-    routeId: t.route_id,
-    trainNum: t.trip_short_name
-  };
-});
-
-// Map route_id to route type
-const routeInfo = {};
-routes.forEach(r => {
-  routeInfo[r.route_id] = {
-    name: r.route_short_name,
-    color: r.route_color
-  };
-});
-
-// Build service calendar
-const services = {};
-calendar.forEach(c => {
-  services[c.service_id] = {
-    weekday: c.monday === '1',
-    weekend: c.saturday === '1',
-    startDate: c.start_date,
-    endDate: c.end_date
+
+  return { tables, errors };
+}
+
+// Convert GTFS time (HH:MM:SS, may exceed 24:00) to minutes since midnight
+function parseTime(str) {
+  const [h, m] = str.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Round a latitude/longitude to 5 decimals (about 1 meter)
+function roundCoord(value) {
+  return Math.round(value * 1e5) / 1e5;
+}
+
+// Stations in the order the longest 's' trip calls at them, then any it skips (in feed order)
+function orderByTrips(stations, stops, { trips = [], stopTimes = [] }, config) {
+  const parentOf = {};
+  stops.forEach(s => { parentOf[s.stop_id] = s.parent_station || s.stop_id; });
+
+  const southId = String(config.directions.s.directionId);
+  const southTrips = new Set(trips.filter(t => t.direction_id === southId).map(t => t.trip_id));
+  const callsByTrip = {};
+  stopTimes.forEach(st => {
+    if (southTrips.has(st.trip_id)) (callsByTrip[st.trip_id] ||= []).push(st);
+  });
+  const longest = Object.values(callsByTrip).reduce((a, b) => (b.length > a.length ? b : a), []);
+  const order = longest
+    .sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence))
+    .map(st => parentOf[st.stop_id]);
+
+  const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+  return stations.sort((a, b) => rank(a.id) - rank(b.id));
+}
+
+// Main stations (parent stations, leaving out names with any of config.stations.exclude, e.g. elevators
+// and shuttles), in config.stations.order: a named order, "trips" (needs the trips and stopTimes
+// tables) or a list of station ids
+function getMainStations(stops, config = DEFAULT_CONFIG, tables = {}) {
+  const { exclude = [], stripFromNames = [], order = 'north-to-south' } = config.stations || {};
+  const stations = stops.filter(s =>
+    s.location_type === '1' &&
+    !exclude.some(text => s.stop_name.includes(text))
+  ).map(s => ({
+    id: s.stop_id,
+    name: stripFromNames.reduce((name, text) => name.replace(text, ''), s.stop_name),
+    lat: parseFloat(s.stop_lat),
+    lon: parseFloat(s.stop_lon)
+  }));
+
+  if (Array.isArray(order)) {
+    return order.map(id => stations.find(s => s.id === id)).filter(Boolean);
+  }
+  if (order === 'trips') return orderByTrips(stations, stops, tables, config);
+  if (!STATION_ORDERS[order]) throw new Error(`Unknown station order "${order}"`);
+  return stations.sort(STATION_ORDERS[order]);
+}
+
+// What the app needs of a config, written into the schedule data as `feed` (see lib/feed.mjs)
+function getAppFeed(config) {
+  const { id, name, timeZone, defaultStation, holidayUrl, routeTypes, directions, realtime } = config;
+  return {
+    id, name, timeZone,
+    defaultStation: defaultStation ?? null,
+    holidayUrl: holidayUrl ?? null,
+    routeTypes: routeTypes.map(({ routes, ...type }) => type),
+    directions: Object.fromEntries(Object.entries(directions).map(([dir, { directionId, ...labels }]) => [dir, labels])),
+    realtime: { agency: realtime?.agency ?? null }
   };
-});
-
-// Holiday exceptions
-const holidays = {};
-calendarDates.forEach(cd => {
-  if (!holidays[cd.date]) holidays[cd.date] = {};
-  holidays[cd.date][cd.service_id] = {
-    type: parseInt(cd.exception_type), // 1 = added, 2 = removed
-    name: cd.holiday_name
+}
+
+// Check the feed for problems that would produce a broken schedule
+// Returns {errors, warnings}; errors must stop the build
+function validateFeed({ stops, routes, trips, stopTimes, calendar, calendarDates }, config = DEFAULT_CONFIG) {
+  const errors = [];
+  const warnings = [];
+  const MAX_REPORTED = 10;  // Per check, so a systematic problem doesn't flood the log
+
+  const report = (list, problems, summary) => {
+    problems.slice(0, MAX_REPORTED).forEach(p => list.push(p));
+    if (problems.length > MAX_REPORTED) {
+      list.push(`... and ${problems.length - MAX_REPORTED} more ${summary}`);
+    }
   };
-});
 
-// Build schedule: station -> direction -> [{time, trainNum, routeType, serviceType}]
-const schedule = {};
+  const stopIds = new Set(stops.map(s => s.stop_id));
+  const routeIds = new Set(routes.map(r => r.route_id));
+  const tripIds = new Set(trips.map(t => t.trip_id));
+  const serviceIds = new Set([...calendar, ...calendarDates].map(c => c.service_id));
 
-stopTimes.forEach(st => {
-  const trip = tripInfo[st.trip_id];
-  if (!trip) return;
+  // Dangling references (rows are numbered from 1, after the header)
+  report(errors, stops
+    .map((s, i) => s.parent_station && !stopIds.has(s.parent_station)
+      ? `stops.txt row ${i + 1}: parent_station "${s.parent_station}" not found` : null)
+    .filter(Boolean), 'dangling parent_station references');
+  report(errors, trips
+    .map((t, i) => !routeIds.has(t.route_id)
+      ? `trips.txt row ${i + 1}: route_id "${t.route_id}" not found in routes.txt` : null)
+    .filter(Boolean), 'dangling route_id references');
+  report(errors, trips
+    .map((t, i) => !serviceIds.has(t.service_id)
+      ? `trips.txt row ${i + 1}: service_id "${t.service_id}" not found in calendar.txt or calendar_dates.txt` : null)
+    .filter(Boolean), 'dangling service_id references');
+  report(errors, stopTimes
+    .map((st, i) => !tripIds.has(st.trip_id)
+      ? `stop_times.txt row ${i + 1}: trip_id "${st.trip_id}" not found in trips.txt` : null)
+    .filter(Boolean), 'dangling trip_id references');
+  report(errors, stopTimes
+    .map((st, i) => !stopIds.has(st.stop_id)
+      ? `stop_times.txt row ${i + 1}: stop_id "${st.stop_id}" not found in stops.txt` : null)
+    .filter(Boolean), 'dangling stop_id references');
 
-  const stationId = stopToStation[st.stop_id];
-  if (!stationId) return;
+  // Times must be well-formed and never go backwards along a trip
+  const TIME_PATTERN = /^\d{1,2}:\d{2}:\d{2}$/;
+  const badTimes = [];
+  const byTrip = {};
+  stopTimes.forEach((st, i) => {
+    if (!TIME_PATTERN.test(st.departure_time) || (st.arrival_time && !TIME_PATTERN.test(st.arrival_time))) {
+      badTimes.push(`stop_times.txt row ${i + 1}: invalid time "${st.arrival_time}"/"${st.departure_time}" (expected HH:MM:SS)`);
+      return;
+    }
+    if (!byTrip[st.trip_id]) byTrip[st.trip_id] = [];
+    byTrip[st.trip_id].push(st);
+  });
+  report(errors, badTimes, 'invalid times');
 
-  const direction = trip.direction === 0 ? 'northbound' : 'southbound';
-  const service = services[trip.serviceId];
+  const nonMonotonic = [];
+  Object.entries(byTrip).forEach(([tripId, rows]) => {
+    rows.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+    let previous = -1;
+    for (const st of rows) {
+      const arrival = parseTime(st.arrival_time || st.departure_time);
+      const departure = parseTime(st.departure_time);
+      if (arrival < previous || departure < arrival) {
+        nonMonotonic.push(`stop_times.txt: trip "${tripId}" goes back in time at stop_sequence ${st.stop_sequence} (${st.stop_id})`);
+        break;
+      }
+      previous = departure;
+    }
+  });
+  report(errors, nonMonotonic, 'trips with non-monotonic times');
+
+  // Stations without trips are dropped from the output; worth knowing, not fatal
+  const servedStations = new Set();
+  const parentOf = {};
+  stops.forEach(s => { if (s.parent_station) parentOf[s.stop_id] = s.parent_station; });
+  stopTimes.forEach(st => servedStations.add(parentOf[st.stop_id] || st.stop_id));
+  report(warnings, getMainStations(stops, config, { trips, stopTimes })
+    .filter(s => !servedStations.has(s.id))
+    .map(s => `stops.txt: station "${s.id}" (${s.name}) has no trips and will be left out`),
+    'stations without trips');
+
+  return { errors, warnings };
+}
+
+// Build the webapp schedule data from parsed feed tables, following a feed config (feeds/*.json)
+function buildScheduleData({ stops, trips, stopTimes, calendar, calendarDates, routes }, config = DEFAULT_CONFIG) {
+  const mainStations = getMainStations(stops, config, { trips, stopTimes });
+
+  // Map stop_id to parent station
+  const stopToStation = {};
+  stops.forEach(s => {
+    if (s.parent_station) {
+      stopToStation[s.stop_id] = s.parent_station;
+    }
+  });
+
+  // Build station to 511 API stop IDs mapping (for real-time data): platform stops with stop codes
+  // (config.realtime.stopCodes, e.g. numeric ids like 70011) named after their direction
+  const { stopCodes = '^\\d+$', platforms = {} } = config.realtime || {};
+  const stopCodePattern = new RegExp(stopCodes);
+  const stationTo511Stops = {};
+  stops.forEach(s => {
+    if (s.parent_station && stopCodePattern.test(s.stop_id)) {
+      const stationId = s.parent_station;
+      if (!stationTo511Stops[stationId]) {
+        stationTo511Stops[stationId] = {};
+      }
+      const dir = Object.keys(platforms).find(d => s.stop_name.includes(platforms[d]));
+      if (dir) stationTo511Stops[stationId][dir] = s.stop_id;
+    }
+  });
+
+  // Map trip_id to service info; direction 'n' or 's' from the config's GTFS direction_id for 'n'
+  const northDirectionId = String(config.directions.n.directionId);
+  const tripInfo = {};
+  trips.forEach(t => {
+    tripInfo[t.trip_id] = {
+      serviceId: t.service_id,
+      direction: t.direction_id === northDirectionId ? 'n' : 's',
+      headsign: t.trip_headsign,
+      routeId: t.route_id,
+      trainNum: t.trip_short_name
+    };
+  });
+
+  // Map route_id to route type: the config's train type listing the route's short or long name or id
+  // (the first type for routes none lists)
+  const routeInfo = {};
+  routes.forEach(r => {
+    const names = [r.route_short_name, r.route_long_name, r.route_id].filter(Boolean);
+    const type = config.routeTypes.findIndex(rt => rt.routes.some(name => names.includes(name)));
+    routeInfo[r.route_id] = { type: Math.max(type, 0) };
+  });
 
-  // Determine service type: 0=weekday, 1=weekend, 2=modified (holiday-only)
-  let serviceType;
-  if (service) {
-    serviceType = service.weekday ? 'weekday' : 'weekend';
-  } else {
-    // Holiday-only service (M trains) - only in calendar_dates.txt
-    serviceType = 'modified';
+  // Build service calendar: day-of-week mask (Mon..Sun, GTFS column order), date range and exceptions
+  const DAY_COLUMNS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+  const services = {};
+  calendar.forEach(c => {
+    services[c.service_id] = {
+      days: DAY_COLUMNS.map(d => c[d] === '1' ? '1' : '0').join(''),
+      start: c.start_date,
+      end: c.end_date,
+      add: [],
+      remove: [],
+      inCalendar: true
+    };
+  });
+
+  // Exceptions; services only listed in calendar_dates.txt (e.g. holiday M trains, special events)
+  // run on their added dates only
+  calendarDates.forEach(cd => {
+    if (!services[cd.service_id]) {
+      services[cd.service_id] = { days: '0000000', start: null, end: null, add: [], remove: [], inCalendar: false };
+    }
+    const list = cd.exception_type === '1' ? services[cd.service_id].add : services[cd.service_id].remove;
+    list.push(cd.date);
+  });
+
+  // Build schedule: station -> direction -> [{time, trainNum, routeType, serviceId}]
+  // Only main stations: trips may also stop at excluded ones (shuttle stops, bus bays)
+  const mainStationIds = new Set(mainStations.map(s => s.id));
+  const schedule = {};
+  // Stops of each GTFS trip, for the trips table
+  const tripStops = {};
+
+  stopTimes.forEach(st => {
+    const trip = tripInfo[st.trip_id];
+    if (!trip) return;
+
+    const stationId = stopToStation[st.stop_id];
+    if (!mainStationIds.has(stationId)) return;
+
+    // Trips on a service with no calendar entry never run
+    if (!services[trip.serviceId]) return;
+
+    const direction = trip.direction;
+
+    if (!schedule[stationId]) schedule[stationId] = { n: [], s: [] };
+
+    // Parse times (HH:MM:SS); arrival falls back to departure when the feed leaves it blank
+    const minutes = parseTime(st.departure_time);
+    const arrival = st.arrival_time ? parseTime(st.arrival_time) : minutes;
+
+    schedule[stationId][direction].push({
+      t: minutes, // minutes since midnight
+      a: arrival,
+      n: trip.trainNum,
+      r: routeInfo[trip.routeId]?.type ?? 0,
+      s: trip.serviceId,
+      h: trip.headsign
+    });
+
+    if (!tripStops[st.trip_id]) tripStops[st.trip_id] = [];
+    tripStops[st.trip_id].push({ seq: parseInt(st.stop_sequence, 10), station: stationId, t: minutes, a: arrival });
+  });
+
+  // Sort schedules by time and dedupe
+  Object.keys(schedule).forEach(stationId => {
+    ['n', 's'].forEach(dir => {
+      schedule[stationId][dir] = schedule[stationId][dir]
+        .sort((a, b) => a.t - b.t || a.n.localeCompare(b.n) || a.s.localeCompare(b.s))
+        .filter((item, idx, arr) =>
+          idx === 0 || item.t !== arr[idx-1].t || item.n !== arr[idx-1].n || item.s !== arr[idx-1].s
+        );
+    });
+  });
+
+  // Build station order (for determining valid destinations)
+  const stationOrder = mainStations.map(s => s.id);
+
+  // Services used by at least one trip, referenced by index from the schedule rows
+  const usedServiceIds = new Set(trips.map(t => t.service_id));
+  const serviceIds = Object.keys(services)
+    .filter(id => usedServiceIds.has(id))
+    .sort();
+  const serviceIndex = {};
+  serviceIds.forEach((id, idx) => serviceIndex[id] = idx);
+
+  const compactServices = serviceIds.map(id => {
+    const { days, start, end, add, remove } = services[id];
+    return { id, days, start, end, add: add.sort(), remove: remove.sort() };
+  });
+
+  // Filter out stations with no trains
+  const activeStations = mainStations.filter(s => {
+    const sched = schedule[s.id];
+    return sched && (sched.n.length > 0 || sched.s.length > 0);
+  });
+  const stationIndex = {};
+  activeStations.forEach((s, idx) => stationIndex[s.id] = idx);
+
+  // Trips table - one entry per train, service and direction (duplicate GTFS trips are dropped like
+  // duplicate schedule rows): [trainNum, routeType, service, direction('n'/'s'), stops]
+  // stops are [stationIndex, departure, arrival?] in stop_sequence order, arrival only when it differs
+  const compactTrips = [];
+  const tripIndex = {};
+  const tripIds = {};  // GTFS trip_id -> trips index, to match GTFS-Realtime trip updates
+  trips.forEach(t => {
+    const stopList = tripStops[t.trip_id];
+    if (!stopList) return;
+    const trip = tripInfo[t.trip_id];
+    const dir = trip.direction;
+    const key = `${trip.trainNum}|${trip.serviceId}|${dir}`;
+    if (key in tripIndex) {
+      tripIds[t.trip_id] = tripIndex[key];
+      return;
+    }
+    tripIds[t.trip_id] = compactTrips.length;
+
+    tripIndex[key] = compactTrips.length;
+    compactTrips.push([
+      trip.trainNum,
+      routeInfo[trip.routeId]?.type ?? 0,
+      serviceIndex[trip.serviceId],
+      dir,
+      stopList
+        .filter(stop => stop.station in stationIndex)
+        .sort((a, b) => a.seq - b.seq)
+        .map(stop => {
+          const compact = [stationIndex[stop.station], stop.t];
+          if (stop.a !== stop.t) compact.push(stop.a);
+          return compact;
+        })
+    ]);
+  });
+
+  // Compact the schedule - only keep times as array of
+  // [minutes, trainNum, routeType(index into config.routeTypes, e.g. 0=local), service(index into services), arrival, trip(index into trips)]
+  // Arrival is null when it equals departure, which keeps the file small
+  const compactSchedule = {};
+
+  function compactTrain(t, dir) {
+    return [t.t, t.n, t.r, serviceIndex[t.s], t.a !== t.t ? t.a : null, tripIndex[`${t.n}|${t.s}|${dir}`]];
   }
 
-  if (!schedule[stationId]) schedule[stationId] = { northbound: [], southbound: [] };
-
-  // Parse time (HH:MM:SS)
-  const [h, m] = st.departure_time.split(':').map(Number);
-  const minutes = h * 60 + m;
-
-  schedule[stationId][direction].push({
-    t: minutes, // minutes since midnight
-    n: trip.trainNum,
-    r: routeInfo[trip.routeId]?.name || 'Local',
-    s: serviceType,
-    h: trip.headsign
-  });
-});
-
-// Sort schedules by time and dedupe
-Object.keys(schedule).forEach(stationId => {
-  ['northbound', 'southbound'].forEach(dir => {
-    schedule[stationId][dir] = schedule[stationId][dir]
-      .sort((a, b) => a.t - b.t)
-      .filter((item, idx, arr) =>
-        idx === 0 || item.t !== arr[idx-1].t || item.n !== arr[idx-1].n
-      );
-  });
-});
-
-// Build station order (for determining valid destinations)
-const stationOrder = mainStations.map(s => s.id);
-
-// Compact the schedule - only keep times as array of [minutes, trainNum, routeType(0=local,1=limited,2=express), serviceType(0=weekday,1=weekend,2=modified)]
-const routeTypeMap = { 'Local Weekday': 0, 'Local Weekend': 0, 'Local': 0, 'Limited': 1, 'Express': 2, 'South County': 3 };
-const serviceTypeMap = { 'weekday': 0, 'weekend': 1, 'modified': 2 };
-const compactSchedule = {};
-
-Object.keys(schedule).forEach(stationId => {
-  compactSchedule[stationId] = {
-    n: schedule[stationId].northbound.map(t => [
-      t.t,
-      t.n,
-      routeTypeMap[t.r] ?? 0,
-      serviceTypeMap[t.s] ?? 0
-    ]),
-    s: schedule[stationId].southbound.map(t => [
-      t.t,
-      t.n,
-      routeTypeMap[t.r] ?? 0,
-      serviceTypeMap[t.s] ?? 0
-    ])
+  Object.keys(schedule).forEach(stationId => {
+    compactSchedule[stationId] = {
+      n: schedule[stationId].n.map(t => compactTrain(t, 'n')),
+      s: schedule[stationId].s.map(t => compactTrain(t, 's'))
+    };
+  });
+
+  // Compact holidays - date -> service type (1=weekend schedule, 2=modified schedule)
+  // Only used for the "Weekend"/"Holiday" label; trains are picked from the service calendar
+  const holidays = {};
+  calendarDates.forEach(cd => {
+    if (!holidays[cd.date]) holidays[cd.date] = {};
+    holidays[cd.date][cd.service_id] = {
+      type: parseInt(cd.exception_type), // 1 = added, 2 = removed
+      name: cd.holiday_name
+    };
+  });
+
+  const compactHolidays = {};
+  Object.keys(holidays).forEach(date => {
+    const entries = Object.entries(holidays[date]);
+    // Check if modified service (M trains) is added on this date
+    const hasModifiedAdded = entries.some(([serviceId, h]) =>
+      h.type === 1 && !services[serviceId]?.inCalendar
+    );
+    // Check if regular weekday service is removed
+    const hasWeekdayRemoved = entries.some(([serviceId, h]) =>
+      h.type === 2 && services[serviceId]?.days[0] === '1'
+    );
+
+    if (hasModifiedAdded) {
+      compactHolidays[date] = 2;  // Modified schedule (M trains)
+    } else if (hasWeekdayRemoved) {
+      compactHolidays[date] = 1;  // Weekend schedule on a weekday
+    }
+  });
+
+  // Validity window spans every service period (a new timetable may start mid-month)
+  const serviceDates = compactServices.flatMap(svc => [svc.start, svc.end, ...svc.add]).filter(Boolean).sort();
+
+  // Output data
+  return {
+    feed: getAppFeed(config),
+    // Coordinates rounded to ~1m, for finding the nearest station
+    stations: activeStations.map(s => ({ id: s.id, name: s.name, lat: roundCoord(s.lat), lon: roundCoord(s.lon) })),
+    schedule: compactSchedule,
+    trips: compactTrips,
+    tripIds,
+    services: compactServices,
+    stops511: stationTo511Stops,  // For 511.org real-time API
+    holidays: compactHolidays,
+    validFrom: serviceDates[0],
+    validTo: serviceDates[serviceDates.length - 1]
   };
-});
-
-// Compact holidays - date -> service type (1=weekend schedule, 2=modified schedule)
-const compactHolidays = {};
-Object.keys(holidays).forEach(date => {
-  const entries = Object.entries(holidays[date]);
-  // Check if modified service (M trains) is added on this date
-  const hasModifiedAdded = entries.some(([serviceId, h]) =>
-    h.type === 1 && !services[serviceId]
+}
+
+// Feed config of --config (null after saying why it can't be read)
+function readConfig(file) {
+  if (!file) {
+    console.error('--config needs a feed config file (feeds/<agency>.json)');
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  } catch (e) {
+    console.error(`Cannot read feed config ${file}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+    return null;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const configAt = args.indexOf('--config');
+  const config = configAt >= 0 ? readConfig(args[configAt + 1]) : DEFAULT_CONFIG;
+  if (!config) {
+    process.exitCode = 1;
+    return;
+  }
+  if (configAt >= 0) args.splice(configAt, 2);
+  const gtfsDir = args[0] ? path.resolve(args[0]) : GTFS_DIR;
+
+  const { tables, errors: loadErrors } = loadFeed(gtfsDir);
+  const { errors, warnings } = loadErrors.length > 0
+    ? { errors: loadErrors, warnings: [] }
+    : validateFeed(tables, config);
+
+  warnings.forEach(w => console.warn(`Warning: ${w}`));
+  if (errors.length > 0) {
+    console.error(`GTFS feed in ${gtfsDir} failed validation:`);
+    errors.forEach(e => console.error(`- ${e}`));
+    console.error('No schedule data written.');
+    process.exit(1);
+  }
+
+  const data = buildScheduleData(tables, config);
+
+  // Write to file
+  fs.writeFileSync(
+    path.join(__dirname, 'schedule-data.json'),
+    JSON.stringify(data, null, 2)
   );
-  // Check if regular weekday service is removed
-  const hasWeekdayRemoved = entries.some(([serviceId, h]) =>
-    h.type === 2 && services[serviceId]?.weekday
+
+  // Also write a minified version for production
+  fs.writeFileSync(
+    path.join(__dirname, 'schedule-data.min.json'),
+    JSON.stringify(data)
   );
 
-  if (hasModifiedAdded) {
-    compactHolidays[date] = 2;  // Modified schedule (M trains)
-  } else if (hasWeekdayRemoved) {
-    compactHolidays[date] = 1;  // Weekend schedule on a weekday
-  }
-});
-
-// Filter out stations with no trains
-const activeStations = mainStations.filter(s => {
-  const sched = compactSchedule[s.id];
-  return sched && (sched.n.length > 0 || sched.s.length > 0);
-});
-
-// Output data
-const data = {
-  stations: activeStations.map(s => ({ id: s.id, name: s.name })),
-  schedule: compactSchedule,
-  stops511: stationTo511Stops,  // For 511.org real-time API
-  holidays: compactHolidays,
-  validFrom: calendar[0]?.start_date,
-  validTo: calendar[0]?.end_date
-};
+  // And the compact one (see lib/compact-schedule.mjs)
+  const { encodeSchedule } = await import('./lib/schedule-encoder.mjs');
+  fs.writeFileSync(path.join(__dirname, 'schedule-data.bin'), encodeSchedule(data));
+
+  console.log(`Generated ${config.name} schedule data:`);
+  console.log(`- ${data.stations.length} stations`);
+  console.log(`- ${data.services.length} service periods`);
+  console.log(`- Valid from ${data.validFrom} to ${data.validTo}`);
+  console.log(`- ${Object.keys(data.holidays).length} holiday exceptions`);
+  console.log(`- Minified size: ${(fs.statSync(path.join(__dirname, 'schedule-data.min.json')).size / 1024).toFixed(1)} KB`);
+  console.log(`- Compact size: ${(fs.statSync(path.join(__dirname, 'schedule-data.bin')).size / 1024).toFixed(1)} KB`);
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
 
-// Write to file
-fs.writeFileSync(
-  path.join(__dirname, 'schedule-data.json'),
-  JSON.stringify(data, null, 2)
-);
-
-// Also write a minified version for production
-fs.writeFileSync(
-  path.join(__dirname, 'schedule-data.min.json'),
-  JSON.stringify(data)
-);
-
-console.log('Generated schedule data:');
-console.log(`- ${activeStations.length} stations (${mainStations.length - activeStations.length} inactive filtered out)`);
-console.log(`- Valid from ${data.validFrom} to ${data.validTo}`);
-console.log(`- ${Object.keys(compactHolidays).length} holiday exceptions`);
-console.log(`- Minified size: ${(fs.statSync(path.join(__dirname, 'schedule-data.min.json')).size / 1024).toFixed(1)} KB`);
+module.exports = { parseCSV, loadFeed, validateFeed, buildScheduleData, parseTime, getMainStations, getAppFeed };
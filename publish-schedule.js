@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Publish schedule data to the site: copies it to schedules/<version>.bin (.json for JSON data; named
+// by a hash of its content) and lists it in schedules.json, dropping timetables that are no longer in effect
+// Usage: node publish-schedule.js <schedule-data.bin|schedule-data.min.json> <site-dir>
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Content hash used as the file name: the same data always gets the same version
+function getVersion(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+// Today in Pacific time (YYYYMMDD), whatever the time zone of the machine publishing
+function getTodayKey(now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' }).replace(/-/g, '');
+}
+
+async function publishSchedule(dataFile, siteDir, dateKey = getTodayKey()) {
+  const { SCHEDULE_INDEX_URL, getTimetableUrl, addTimetable } = await import('./lib/schedule-versions.mjs');
+  const { isCompactSchedule, decodeSchedule } = await import('./lib/compact-schedule.mjs');
+  const content = fs.readFileSync(dataFile);
+  const compact = isCompactSchedule(content);
+  const data = compact ? decodeSchedule(content) : JSON.parse(content);
+  const version = getVersion(content);
+  const url = getTimetableUrl(version, compact ? '.bin' : '.json');
+  const timetable = { version, url, validFrom: data.validFrom, validTo: data.validTo };
+
+  const indexFile = path.join(siteDir, SCHEDULE_INDEX_URL);
+  const current = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, 'utf-8')) : null;
+  const { index, removed } = addTimetable(current, timetable, dateKey);
+
+  fs.mkdirSync(path.join(siteDir, path.dirname(timetable.url)), { recursive: true });
+  fs.writeFileSync(path.join(siteDir, timetable.url), content);
+  removed.forEach(t => fs.rmSync(path.join(siteDir, t.url), { force: true }));
+  fs.writeFileSync(indexFile, JSON.stringify(index, null, 2) + '\n');
+  return { timetable, index, removed };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length !== 2) {
+    console.error('Usage: node publish-schedule.js <schedule-data.bin|schedule-data.min.json> <site-dir>');
+    process.exit(2);
+  }
+
+  const { timetable, index, removed } = await publishSchedule(args[0], args[1]);
+  console.log(`Published timetable ${timetable.version} (${timetable.validFrom} to ${timetable.validTo})`);
+  removed.forEach(t => console.log(`- Removed ${t.version} (${t.validFrom} to ${t.validTo})`));
+  console.log(`- ${index.timetables.length} timetable(s) listed in schedules.json`);
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { getVersion, getTodayKey, publishSchedule };
@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+// Look up trains from the command line, offline, in the schedule data the app uses (for scripts, bots
+// and terminal prompts). The timetable logic is the app's own (lib/*.mjs); this reads arguments and prints.
+// Usage: node schedule-cli.js <command> [options]
+//   next <from> <to>      trains between two stations
+//   board <station>       departures from a station, both directions
+//   train <number>        where a train stops
+//   stations              station ids and names
+// Stations are ids, names or close enough ("mountain", "ssf", "millbrea").
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const DEFAULT_DATA = path.join(__dirname, 'schedule-data.min.json');
+
+const USAGE = `Usage: node schedule-cli.js <command> [options]
+
+Commands:
+  next <from> <to>      Trains between two stations
+  board <station>       Departures from a station, both directions
+  train <number>        Where a train stops
+  stations              Station ids and names
+
+Options:
+  --date YYYY-MM-DD     Service day (default: today)
+  --at H:MM             Leave at (default: now, or the start of the service day with --date)
+  --arrive-by H:MM      Arrive by (next)
+  --limit N             Trains listed (next: 6, board: 8 per direction)
+  --types a,b           Train types, as in the app's URLs (e.g. express,limited)
+  --direct              No transfers (next)
+  --dir n|s             One direction only (board)
+  --json                JSON instead of tables
+  --data FILE           Schedule data (default: schedule-data.min.json; compact .bin files work too)
+
+Times are in the timetable's time zone, 9:00, 17:30 or 5:30pm.`;
+
+const OPTIONS = {
+  date: { type: 'string' },
+  at: { type: 'string' },
+  'arrive-by': { type: 'string' },
+  limit: { type: 'string' },
+  types: { type: 'string' },
+  direct: { type: 'boolean' },
+  dir: { type: 'string' },
+  json: { type: 'boolean' },
+  data: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Problems with the command line (exit code 2) or what it asks for (1), printed without a stack trace
+function fail(message, exitCode = 2) {
+  return Object.assign(new Error(message), { exitCode });
+}
+
+// The app's modules (ES modules, so imported on first use)
+async function loadLib() {
+  const [schedule, planner, trips, board, urlState, stationSearch, filters, feed, trainList, compact] = await Promise.all([
+    import('./lib/schedule.mjs'),
+    import('./lib/planner.mjs'),
+    import('./lib/trips.mjs'),
+    import('./lib/board.mjs'),
+    import('./lib/url-state.mjs'),
+    import('./lib/station-search.mjs'),
+    import('./lib/filters.mjs'),
+    import('./lib/feed.mjs'),
+    import('./lib/train-list.mjs'),
+    import('./lib/compact-schedule.mjs')
+  ]);
+  return { ...schedule, ...planner, ...trips, ...board, ...urlState, ...stationSearch, ...filters, ...feed, ...trainList, ...compact };
+}
+
+// Schedule file (compact or JSON) -> data, the way the app loads it
+async function loadData(file) {
+  const { isCompactSchedule, decodeSchedule, normalizeData, ensureTrips } = await loadLib();
+  let data;
+  try {
+    const bytes = fs.readFileSync(file);
+    data = isCompactSchedule(bytes) ? decodeSchedule(bytes) : JSON.parse(bytes.toString('utf-8'));
+  } catch (e) {
+    // Missing or unreadable files and broken JSON are the user's to fix (exit code 1)
+    if (!e.code && !(e instanceof SyntaxError)) throw e;
+    throw fail(`Cannot read schedule data ${file}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`, 1);
+  }
+  return ensureTrips(normalizeData(data));
+}
+
+// "9:00", "17:30", "9am", "5:30pm" -> "HH:MM"
+function parseTimeOption(value, name) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(value.trim());
+  if (!match || (!match[2] && !match[3])) throw fail(`--${name}: expected a time like 9:00, 17:30 or 5:30pm, got "${value}"`);
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const ampm = match[3]?.toLowerCase();
+  if (ampm && (hours < 1 || hours > 12)) throw fail(`--${name}: "${value}" isn't a time`);
+  if (ampm) hours = (hours % 12) + (ampm === 'pm' ? 12 : 0);
+  if (hours > 23 || minutes > 59) throw fail(`--${name}: "${value}" isn't a time`);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Options -> trip plan as the app keeps it in its URL ({mode, date, time}, see parsePlanParams)
+function getPlan(options, lib, clock) {
+  if (options.date && !/^\d{4}-\d{2}-\d{2}$/.test(options.date)) throw fail(`--date: expected YYYY-MM-DD, got "${options.date}"`);
+  if (options.at && options['arrive-by']) throw fail('--at and --arrive-by don\'t go together');
+  const params = new URLSearchParams();
+  if (options.date) params.set('date', options.date);
+  if (options.at) params.set('time', parseTimeOption(options.at, 'at'));
+  if (options['arrive-by']) {
+    params.set('time', parseTimeOption(options['arrive-by'], 'arrive-by'));
+    params.set('mode', 'arrive');
+  }
+  return lib.parsePlanParams(`?${params}`, clock);
+}
+
+function parseLimit(value, fallback) {
+  if (value === undefined) return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) throw fail(`--limit: expected a whole number above 0, got "${value}"`);
+  return limit;
+}
+
+// Station id for a typed name, or a failure naming the candidates
+function resolveStation(lib, data, query) {
+  const found = lib.searchStations(data.stations, query);
+  if (found.length === 1) return found[0].id;
+  if (found.length === 0) throw fail(`No station matches "${query}" (see the stations command)`, 1);
+  throw fail(`"${query}" could be ${found.map(s => `${s.name} (${s.id})`).join(', ')}`, 1);
+}
+
+// Minutes into the service day -> "HH:MM" for JSON (past midnight stays past 24:00, like GTFS)
+function toClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// "YYYY-MM-DD" -> "Mon, Oct 19, 2026"
+function formatDate(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// Rows of cells -> lines with aligned columns (the last column isn't padded)
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+  return rows.map(row => row.map((cell, i) => (i < row.length - 1 ? String(cell).padEnd(widths[i]) : cell)).join('  ').trimEnd());
+}
+
+// Everything the commands work from: the plan's date and minutes, running services, feed and names
+function getContext(lib, data, options, clock) {
+  const plan = getPlan(options, lib, clock);
+  const planDate = lib.getPlanDate(plan, clock);
+  const feed = lib.getFeed(data);
+  return {
+    plan,
+    feed,
+    date: lib.formatDateInput(lib.getServiceDay(planDate, clock.timeZone), clock.timeZone),
+    minutes: lib.getCurrentMinutes(planDate, clock.timeZone),
+    activeServices: lib.getActiveServices(planDate, data.services, clock.timeZone),
+    types: getTypes(lib, feed, options.types),
+    stationName: id => data.stations.find(s => s.id === id)?.name || id,
+    typeName: type => lib.getRouteType(type, feed.routeTypes).name
+  };
+}
+
+// --types -> route types (null for all), as the types URL param reads them
+function getTypes(lib, feed, value) {
+  if (value === undefined) return null;
+  const types = lib.parseTypesParam(value, lib.getTypeNames(feed));
+  if (types === null) throw fail(`--types: expected some of ${lib.getTypeNames(feed).join(', ')}, got "${value}"`);
+  return types;
+}
+
+// "in 13 min" for trains listed from now
+function describeWhen(lib, ctx, time) {
+  if (ctx.plan.mode !== 'now') return '';
+  const { text } = lib.describeEta(time - ctx.minutes);
+  return text === 'Now' ? 'now' : `in ${text}`;
+}
+
+function nextTrains(lib, data, args, options, ctx) {
+  if (args.length !== 2) throw fail('next needs two stations: next <from> <to>');
+  const from = resolveStation(lib, data, args[0]);
+  const to = resolveStation(lib, data, args[1]);
+  const direction = lib.getDirection(data, from, to);
+  if (!direction) throw fail(`From and to are both ${ctx.stationName(from)}`, 1);
+
+  const planned = lib.planJourney(data, {
+    from, to, direction,
+    activeServices: ctx.activeServices,
+    minutes: ctx.minutes,
+    mode: ctx.plan.mode
+  });
+  const filters = { ...lib.FILTER_DEFAULTS, types: ctx.types, direct: !!options.direct };
+  const trains = lib.filterTrains(planned, filters).slice(0, parseLimit(options.limit, lib.BUCKET_SIZE));
+
+  const json = {
+    from: { id: from, name: ctx.stationName(from) },
+    to: { id: to, name: ctx.stationName(to) },
+    date: ctx.date,
+    mode: ctx.plan.mode,
+    time: toClockTime(ctx.minutes),
+    trains: trains.map(t => ({
+      departure: toClockTime(t.time),
+      arrival: toClockTime(t.arrival),
+      duration: t.duration,
+      trains: t.legs ? t.legs.map(l => l.trainNum) : [t.trainNum],
+      type: ctx.typeName(t.routeType),
+      fastest: !!t.fastest,
+      transfers: (t.transfers || []).map(x => ({ station: x.station, wait: x.wait }))
+    }))
+  };
+
+  const when = { now: `from ${lib.formatTime(ctx.minutes)}`, depart: `leaving from ${lib.formatTime(ctx.minutes)}`, arrive: `arriving by ${lib.formatTime(ctx.minutes)}` };
+  const lines = [`${json.from.name} → ${json.to.name} · ${formatDate(ctx.date)} · ${when[ctx.plan.mode]}`];
+  if (trains.length === 0) {
+    if (ctx.activeServices.size === 0) lines.push('No timetable published for this date');
+    else if (planned.length > 0) lines.push('No trains match the filters');
+    else if (ctx.plan.mode === 'arrive') lines.push(`No trains arrive by ${lib.formatTime(ctx.minutes)}`);
+    else lines.push(ctx.plan.mode === 'now' ? 'No more trains today' : `No trains after ${lib.formatTime(ctx.minutes)}`);
+  } else {
+    lines.push(...formatTable([
+      ['Departs', 'Arrives', 'Trip', 'Train', 'Type', ''],
+      ...trains.map(t => {
+        const notes = [
+          t.fastest ? 'fastest' : '',
+          ...(t.transfers || []).map(x => `change at ${ctx.stationName(x.station)} (${x.wait} min wait)`),
+          describeWhen(lib, ctx, t.time)
+        ].filter(Boolean);
+        const trainNums = t.legs ? t.legs.map(l => l.trainNum).join(' → ') : t.trainNum;
+        return [lib.formatTime(t.time), lib.formatTime(t.arrival), `${t.duration} min`, trainNums, ctx.typeName(t.routeType), notes.join(', ')];
+      })
+    ]));
+  }
+  return { json, text: lines.join('\n') };
+}
+
+function departureBoard(lib, data, args, options, ctx) {
+  if (args.length !== 1) throw fail('board needs a station: board <station>');
+  if (options.dir && !['n', 's'].includes(options.dir)) throw fail(`--dir: expected n or s, got "${options.dir}"`);
+  if (ctx.plan.mode === 'arrive') throw fail('--arrive-by goes with next, not board');
+  const station = resolveStation(lib, data, args[0]);
+  const departures = lib.getDepartures(data, station, {
+    activeServices: ctx.activeServices,
+    minutes: ctx.minutes,
+    limit: parseLimit(options.limit, lib.BOARD_DEFAULTS.rows),
+    types: ctx.types,
+    directions: options.dir ? [options.dir] : lib.BOARD_DEFAULTS.directions
+  });
+
+  const json = {
+    station: { id: station, name: ctx.stationName(station) },
+    date: ctx.date,
+    time: toClockTime(ctx.minutes),
+    departures: Object.fromEntries(Object.entries(departures).map(([dir, list]) => [dir, list.map(d => ({
+      departure: toClockTime(d.time),
+      train: d.trainNum,
+      type: ctx.typeName(d.routeType),
+      to: d.terminus ? { id: d.terminus, name: ctx.stationName(d.terminus) } : null
+    }))]))
+  };
+
+  const lines = [`${json.station.name} departures · ${formatDate(ctx.date)} · from ${lib.formatTime(ctx.minutes)}`];
+  Object.entries(departures).forEach(([dir, list]) => {
+    const name = ctx.feed.directions[dir].name;
+    lines.push('', name);
+    if (list.length === 0) {
+      lines.push(ctx.plan.mode === 'now' ? `No more ${name.toLowerCase()} trains today` : `No ${name.toLowerCase()} trains after ${lib.formatTime(ctx.minutes)}`);
+      return;
+    }
+    lines.push(...formatTable([
+      ['Departs', 'Train', 'To', 'Type', ''],
+      ...list.map(d => [lib.formatTime(d.time), d.trainNum, d.terminus ? ctx.stationName(d.terminus) : '', ctx.typeName(d.routeType), describeWhen(lib, ctx, d.time)])
+    ]));
+  });
+  return { json, text: lines.join('\n') };
+}
+
+function trainStops(lib, data, args, options, ctx) {
+  if (args.length !== 1) throw fail('train needs a train number: train <number>');
+  const trainNum = args[0];
+  const indexes = data.trips.map((trip, i) => (trip[0] === trainNum ? i : -1)).filter(i => i >= 0);
+  if (indexes.length === 0) throw fail(`No train ${trainNum} in the timetable`, 1);
+  const index = indexes.find(i => ctx.activeServices.has(data.trips[i][2]));
+  if (index === undefined) throw fail(`Train ${trainNum} doesn't run on ${formatDate(ctx.date)}`, 1);
+
+  const trip = lib.getTrip(data, index);
+  const last = trip.stops[trip.stops.length - 1];
+  const json = {
+    train: trainNum,
+    type: ctx.typeName(trip.routeType),
+    direction: trip.direction,
+    date: ctx.date,
+    stops: trip.stops.map(stop => ({
+      station: { id: stop.station, name: ctx.stationName(stop.station) },
+      arrival: toClockTime(stop.arrival),
+      departure: toClockTime(stop.departure)
+    }))
+  };
+
+  const lines = [
+    `Train ${trainNum} · ${json.type} · ${ctx.feed.directions[trip.direction].name} to ${ctx.stationName(last.station)} · ${formatDate(ctx.date)}`,
+    ...formatTable([
+      ['Station', 'Arrives', 'Departs'],
+      ...trip.stops.map((stop, i) => [
+        ctx.stationName(stop.station),
+        i > 0 ? lib.formatTime(stop.arrival) : '',
+        i < trip.stops.length - 1 ? lib.formatTime(stop.departure) : ''
+      ])
+    ])
+  ];
+  return { json, text: lines.join('\n') };
+}
+
+function listStations(lib, data) {
+  const json = data.stations.map(s => ({ id: s.id, name: s.name }));
+  return { json, text: formatTable([['Id', 'Name'], ...json.map(s => [s.id, s.name])]).join('\n') };
+}
+
+const COMMANDS = { next: nextTrains, board: departureBoard, train: trainStops, stations: listStations };
+
+// Run a command line (arguments after the script name); returns the exit code
+// io: {data (instead of reading --data), now (clock time), out(text), err(text)}
+async function run(argv, { data = null, now, out = text => console.log(text), err = text => console.error(text) } = {}) {
+  try {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+      (options.help ? out : err)(USAGE);
+      return options.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) throw fail(`Unknown command "${command}"\n\n${USAGE}`);
+
+    const lib = await loadLib();
+    data = data || await loadData(options.data || DEFAULT_DATA);
+    const clock = lib.createClock({ timeZone: lib.getFeed(data).timeZone, ...(now !== undefined && { now }) });
+    const ctx = getContext(lib, data, options, clock);
+    const { json, text } = COMMANDS[command](lib, data, args, options, ctx);
+
+    const validTo = data.validTo && `${data.validTo.slice(0, 4)}-${data.validTo.slice(4, 6)}-${data.validTo.slice(6, 8)}`;
+    if (command !== 'stations' && validTo && ctx.date > validTo) {
+      err(`Note: this timetable ends on ${formatDate(validTo)}; times may have changed`);
+    }
+    out(options.json ? JSON.stringify(json, null, 2) : text);
+    return 0;
+  } catch (e) {
+    if (e.exitCode === undefined && !e.code?.startsWith?.('ERR_PARSE_ARGS')) throw e;
+    err(e.exitCode === undefined ? `${e.message}\n\n${USAGE}` : e.message);
+    return e.exitCode ?? 2;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(e => {
+      console.error(e.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run, loadData, parseTimeOption };
@@ -1,18 +1,155 @@
-const CACHE_NAME = 'caltrain-quick-v1';
+const CACHE_NAME = 'caltrain-quick-v23';  // App shell: a new name per release
 const ASSETS = [
   './',
   './index.html',
-  './schedule-data.min.json',
+  './lib/schedule.mjs',
+  './lib/planner.mjs',
+  './lib/trips.mjs',
+  './lib/geo.mjs',
+  './lib/alerts.mjs',
+  './lib/protobuf.mjs',
+  './lib/gtfs-rt.mjs',
+  './lib/live.mjs',
+  './lib/reminders.mjs',
+  './lib/ics.mjs',
+  './lib/saved-trips.mjs',
+  './lib/url-state.mjs',
+  './lib/filters.mjs',
+  './lib/schedule-versions.mjs',
+  './lib/compact-schedule.mjs',
+  './lib/delay-history.mjs',
+  './lib/train-list.mjs',
+  './lib/board.mjs',
+  './lib/feed.mjs',
+  './lib/secrets.mjs',
   './manifest.json',
   './icon-192.png',
   './icon-512.png'
 ];
 
-// Install: cache assets
+// Schedule data has a cache of its own that survives app updates (see lib/schedule-versions.mjs):
+// - schedules/<version>.bin (.json when published from JSON) never change once published: served from
+//   the cache when there
+// - schedules.json and the files of older app versions: network first, like the app shell
+// The app tells the worker which timetables to keep, so an upcoming one is ready for its first day offline
+const SCHEDULES_CACHE = 'caltrain-schedules';
+const SCHEDULE_FILES = ['./schedules.json', './schedule-data.min.json', './schedule-changes.json'];
+
+function isScheduleFile(url) {
+  return SCHEDULE_FILES.some(file => new URL(file, self.registration.scope).href === url.origin + url.pathname);
+}
+
+function isTimetable(url) {
+  return url.href.startsWith(new URL('./schedules/', self.registration.scope).href);
+}
+
+// Endpoints of the live status proxy (live-proxy.js): live answers, never cached, even when the proxy
+// is served from the app's own origin
+const PROXY_ENDPOINTS = ['delays', 'alerts', 'health'];
+
+function isProxyRequest(url) {
+  return PROXY_ENDPOINTS.includes(url.pathname.split('/').pop());
+}
+
+// Cache the timetables to keep (urls relative to the app) and drop the others
+async function keepSchedules(urls) {
+  const keep = urls.map(u => new URL(u, self.registration.scope).href);
+  const cache = await caches.open(SCHEDULES_CACHE);
+  const cached = (await cache.keys()).map(request => request.url);
+  await Promise.all([
+    ...cached.filter(u => isTimetable(new URL(u)) && !keep.includes(u)).map(u => cache.delete(u)),
+    ...keep.filter(u => !cached.includes(u)).map(u => cache.add(u))
+  ]);
+}
+
+// Departure reminders: the app sends the whole schedule whenever it changes (and every minute
+// while open), plus one-off notifications when a starred train's live status changes.
+// The schedule is kept in its own cache so timers can be set again after the worker restarts.
+const REMINDERS_CACHE = 'caltrain-reminders';
+const REMINDERS_URL = './reminders.json';  // Cache key only, never fetched
+let reminderTimer = null;
+
+async function loadReminders() {
+  const cache = await caches.open(REMINDERS_CACHE);
+  const response = await cache.match(REMINDERS_URL);
+  return response ? response.json() : { scheduled: [], shown: [] };
+}
+
+async function saveReminders(reminders) {
+  const cache = await caches.open(REMINDERS_CACHE);
+  await cache.put(REMINDERS_URL, new Response(JSON.stringify(reminders), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+function showReminder({ title, body, tag }) {
+  return self.registration.showNotification(title, {
+    body,
+    tag,
+    renotify: true,
+    icon: './icon-192.png',
+    badge: './icon-192.png'
+  });
+}
+
+// Show notifications that are due (once each, and not after the train has left), then set a
+// timer for the next one
+async function armReminders() {
+  clearTimeout(reminderTimer);
+  const reminders = await loadReminders();
+  const now = Date.now();
+
+  const due = reminders.scheduled.filter(n => n.at <= now && n.until > now && !reminders.shown.includes(n.id));
+  await Promise.all(due.map(showReminder));
+  reminders.shown = [...reminders.shown, ...due.map(n => n.id)]
+    .filter(id => reminders.scheduled.some(n => n.id === id));
+  await saveReminders(reminders);
+
+  const next = reminders.scheduled.find(n => n.at > now);
+  if (next) reminderTimer = setTimeout(armReminders, next.at - now);
+}
+
+async function scheduleReminders(scheduled) {
+  const reminders = await loadReminders();
+  reminders.scheduled = scheduled.sort((a, b) => a.at - b.at);
+  await saveReminders(reminders);
+  await armReminders();
+}
+
+self.addEventListener('message', (e) => {
+  const message = e.data || {};
+  if (message.type === 'reminders') {
+    e.waitUntil(scheduleReminders(message.notifications || []));
+  } else if (message.type === 'notify') {
+    e.waitUntil(showReminder(message.notification));
+  } else if (message.type === 'schedules') {
+    e.waitUntil(keepSchedules(message.keep || []));
+  }
+});
+
+// Periodic background sync (where supported) wakes the worker to catch up on due reminders
+self.addEventListener('periodicsync', (e) => {
+  if (e.tag === 'reminders') e.waitUntil(armReminders());
+});
+
+// Tapping a notification opens the app (or brings it to the front)
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  e.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const open = windows.find(w => 'focus' in w);
+      return open ? open.focus() : self.clients.openWindow('./');
+    })
+  );
+});
+
+// Install: cache assets (and the timetable list, so the first offline start can find its timetable)
 self.addEventListener('install', (e) => {
   e.waitUntil(
     caches.open(CACHE_NAME)
       .then(cache => cache.addAll(ASSETS))
+      .then(() => caches.open(SCHEDULES_CACHE))
+      .then(cache => Promise.all(SCHEDULE_FILES.map(file => cache.add(file).catch(() => {}))))
       .then(() => self.skipWaiting())
   );
 });
@@ -22,22 +159,46 @@ self.addEventListener('activate', (e) => {
   e.waitUntil(
     caches.keys().then(keys => {
       return Promise.all(
-        keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))
+        keys.filter(k => ![CACHE_NAME, SCHEDULES_CACHE, REMINDERS_CACHE].includes(k)).map(k => caches.delete(k))
       );
     }).then(() => self.clients.claim())
+      .then(armReminders)
   );
 });
 
 // Fetch: network first, fallback to cache
+// Pages are cached without their query, so links to a view (?from=...&to=...) open offline too
+// Only the app's own GET requests go through here: live status and alerts (511.org, whose URLs carry
+// the API key, or a proxy) are left to the browser and never cached
 self.addEventListener('fetch', (e) => {
+  if (e.request.method !== 'GET' || !e.request.url.startsWith(self.registration.scope)) return;
+  const url = new URL(e.request.url);
+  if (isProxyRequest(url)) return;
+  const isPage = e.request.mode === 'navigate';
+  const key = isPage ? url.origin + url.pathname : e.request;
+  const cacheName = isTimetable(url) || isScheduleFile(url) ? SCHEDULES_CACHE : CACHE_NAME;
+
+  if (isTimetable(url)) {
+    e.respondWith(
+      caches.match(e.request).then(cached => cached || fetch(e.request).then(response => {
+        if (response.ok) {
+          const clone = response.clone();
+          caches.open(SCHEDULES_CACHE).then(cache => cache.put(e.request, clone));
+        }
+        return response;
+      }))
+    );
+    return;
+  }
+
   e.respondWith(
     fetch(e.request)
       .then(response => {
         // Update cache with fresh response
         const clone = response.clone();
-        caches.open(CACHE_NAME).then(cache => cache.put(e.request, clone));
+        caches.open(cacheName).then(cache => cache.put(key, clone));
         return response;
       })
-      .catch(() => caches.match(e.request))
+      .catch(() => caches.match(key))
   );
 });
@@ -5,99 +5,96 @@
  */
 
 const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const vm = require('vm');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const gtfs = require('./process-gtfs.js');
+const scheduleDiff = require('./diff-schedule.js');
+const publisher = require('./publish-schedule.js');
+const cli = require('./schedule-cli.js');
+const liveProxy = require('./live-proxy.js');
+
+const FIXTURE_FEED = path.join(__dirname, 'fixtures', 'mini-feed');
+const FIXTURE_511 = path.join(__dirname, 'fixtures', '511');
+const FIXTURE_GTFS_RT = path.join(__dirname, 'fixtures', 'gtfs-rt');
+const FIXTURE_ACE_FEED = path.join(__dirname, 'fixtures', 'ace-feed');
 
 // ============================================================================
-// Extract pure functions from index.html for testing
+// Test Runner
 // ============================================================================
 
-// Format minutes to time string (handles times past midnight)
-function formatTime(minutes) {
-  let h = Math.floor(minutes / 60) % 24;  // Wrap to 0-23 for times past midnight
-  const m = minutes % 60;
-  const ampm = h >= 12 ? 'pm' : 'am';
-  h = h % 12 || 12;
-  return `${h}:${m.toString().padStart(2, '0')}${ampm}`;
-}
-
-// Get current minutes since midnight (or since previous midnight for late-night)
-// GTFS service day runs ~4am to ~3am next day
-function getCurrentMinutes(hoursOverride = null, minutesOverride = null) {
-  const now = new Date();
-  const hours = hoursOverride !== null ? hoursOverride : now.getHours();
-  const mins = minutesOverride !== null ? minutesOverride : now.getMinutes();
-  const totalMins = hours * 60 + mins;
-  // Before 3am, add 24 hours to treat as previous day's late-night service
-  return totalMins < 180 ? totalMins + 24 * 60 : totalMins;
-}
-
-// Get service type based on date and holidays
-// Returns: 'weekday', 'weekend', or 'modified'
-function getServiceType(date, holidays = {}) {
-  let now = new Date(date);
-
-  // Before 3am, use previous day's service type
-  if (now.getHours() < 3) {
-    now = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-  }
-
-  const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-  const day = now.getDay();
-
-  // Check holidays first (1=weekend schedule, 2=modified schedule)
-  const holidayType = holidays[dateStr];
-  if (holidayType === 2) {
-    return 'modified';
-  }
-  if (holidayType === 1) {
-    return 'weekend';
-  }
-
-  // Weekend
-  if (day === 0 || day === 6) {
-    return 'weekend';
-  }
+// Tests and section headers are queued and run in order at the end, after the
+// ES modules shared with index.html have been imported (tests may be async)
+const queue = [];
+let passed = 0;
+let failed = 0;
 
-  return 'weekday';
+function section(title) {
+  queue.push({ title });
 }
 
-// Filter trains that stop at both origin and destination
-function filterTrainsByDestination(originTrains, destTrains, serviceFilter, currentMinutes) {
-  const endOfDay = 24 * 60 + 120; // Until 2am
-
-  // Get set of train numbers that stop at destination
-  const destTrainNums = new Set(
-    destTrains
-      .filter(t => t[3] === serviceFilter)
-      .map(t => t[1])
-  );
-
-  // Filter origin trains
-  return originTrains.filter(t => {
-    const [time, trainNum, , svc] = t;
-    return svc === serviceFilter &&
-           time >= currentMinutes &&
-           time <= endOfDay &&
-           destTrainNums.has(trainNum);
-  });
+function test(name, fn) {
+  queue.push({ name, fn });
 }
 
-// ============================================================================
-// Test Runner
-// ============================================================================
+// ES modules (tests.js is CommonJS, so these load asynchronously before the run)
+let planner;
+let trips;
+let geo;
+let alerts;
+let protobuf;
+let gtfsRt;
+let live;
+let reminders;
+let ics;
+let savedTrips;
+let urlState;
+let filters;
+let scheduleVersions;
+let compactSchedule;
+let scheduleEncoder;
+let schedule;
+let delayHistory;
+let trainList;
+let board;
+let feed;
+let secrets;
+let stationSearch;
 
-let passed = 0;
-let failed = 0;
+// App logic from lib/schedule.mjs, called by name throughout
+let formatTime, getCurrentMinutes, getServiceType, getActiveServices, normalizeData, findTrips, markFastest,
+  sortTrips, planTrips, parsePlanParams, buildPlanParams, getPlanDate;
 
-function test(name, fn) {
-  try {
-    fn();
-    console.log(`✓ ${name}`);
-    passed++;
-  } catch (e) {
-    console.log(`✗ ${name}`);
-    console.log(`  ${e.message}`);
-    failed++;
-  }
+async function loadModules() {
+  planner = await import('./lib/planner.mjs');
+  trips = await import('./lib/trips.mjs');
+  geo = await import('./lib/geo.mjs');
+  alerts = await import('./lib/alerts.mjs');
+  protobuf = await import('./lib/protobuf.mjs');
+  gtfsRt = await import('./lib/gtfs-rt.mjs');
+  live = await import('./lib/live.mjs');
+  reminders = await import('./lib/reminders.mjs');
+  ics = await import('./lib/ics.mjs');
+  savedTrips = await import('./lib/saved-trips.mjs');
+  urlState = await import('./lib/url-state.mjs');
+  filters = await import('./lib/filters.mjs');
+  scheduleVersions = await import('./lib/schedule-versions.mjs');
+  compactSchedule = await import('./lib/compact-schedule.mjs');
+  scheduleEncoder = await import('./lib/schedule-encoder.mjs');
+  schedule = await import('./lib/schedule.mjs');
+  delayHistory = await import('./lib/delay-history.mjs');
+  trainList = await import('./lib/train-list.mjs');
+  board = await import('./lib/board.mjs');
+  feed = await import('./lib/feed.mjs');
+  secrets = await import('./lib/secrets.mjs');
+  stationSearch = await import('./lib/station-search.mjs');
+  ({
+    formatTime, getCurrentMinutes, getServiceType, getActiveServices, normalizeData, findTrips, markFastest,
+    sortTrips, planTrips, parsePlanParams, buildPlanParams, getPlanDate
+  } = schedule);
 }
 
 function assertEqual(actual, expected, msg = '') {
@@ -116,7 +113,7 @@ function assertArrayEqual(actual, expected, msg = '') {
 // Tests
 // ============================================================================
 
-console.log('\n=== formatTime tests ===\n');
+section('formatTime');
 
 test('formatTime: morning time 5:10am', () => {
   assertEqual(formatTime(310), '5:10am');
@@ -154,37 +151,46 @@ test('formatTime: single digit minutes padded', () => {
   assertEqual(formatTime(301), '5:01am');
 });
 
-console.log('\n=== getCurrentMinutes tests ===\n');
+section('getCurrentMinutes');
+
+// Pacific wall-clock time 'YYYY-MM-DDTHH:MM', as a moment (the machine running the tests may be in any time zone)
+const pacific = text => {
+  const [y, mo, d, h = 0, mi = 0] = text.match(/\d+/g).map(Number);
+  return schedule.getZonedDate(y, mo, d, h, mi);
+};
+
+// Pacific time on an arbitrary day
+const at = (h, m) => schedule.getZonedDate(2026, 1, 12, h, m);
 
 test('getCurrentMinutes: 10:30am returns 630', () => {
-  assertEqual(getCurrentMinutes(10, 30), 630);
+  assertEqual(getCurrentMinutes(at(10, 30)), 630);
 });
 
 test('getCurrentMinutes: 11:56pm returns 1436', () => {
-  assertEqual(getCurrentMinutes(23, 56), 1436);
+  assertEqual(getCurrentMinutes(at(23, 56)), 1436);
 });
 
 test('getCurrentMinutes: 12:04am (after midnight) returns 1444 (previous day late-night)', () => {
-  assertEqual(getCurrentMinutes(0, 4), 1444);
+  assertEqual(getCurrentMinutes(at(0, 4)), 1444);
 });
 
 test('getCurrentMinutes: 1:30am returns 1530 (previous day late-night)', () => {
-  assertEqual(getCurrentMinutes(1, 30), 1530);
+  assertEqual(getCurrentMinutes(at(1, 30)), 1530);
 });
 
 test('getCurrentMinutes: 2:59am returns 1619 (still previous day)', () => {
-  assertEqual(getCurrentMinutes(2, 59), 1619);
+  assertEqual(getCurrentMinutes(at(2, 59)), 1619);
 });
 
 test('getCurrentMinutes: 3:00am returns 180 (new service day)', () => {
-  assertEqual(getCurrentMinutes(3, 0), 180);
+  assertEqual(getCurrentMinutes(at(3, 0)), 180);
 });
 
 test('getCurrentMinutes: 4:00am returns 240', () => {
-  assertEqual(getCurrentMinutes(4, 0), 240);
+  assertEqual(getCurrentMinutes(at(4, 0)), 240);
 });
 
-console.log('\n=== getServiceType tests ===\n');
+section('getServiceType');
 
 const testHolidays = {
   '20260119': 2,  // MLK Day - modified
@@ -194,45 +200,45 @@ const testHolidays = {
 };
 
 test('getServiceType: regular Monday is weekday', () => {
-  assertEqual(getServiceType('2026-01-12T10:00:00', testHolidays), 'weekday');
+  assertEqual(getServiceType(pacific('2026-01-12T10:00:00'), testHolidays), 'weekday');
 });
 
 test('getServiceType: Saturday is weekend', () => {
-  assertEqual(getServiceType('2026-01-17T10:00:00', testHolidays), 'weekend');
+  assertEqual(getServiceType(pacific('2026-01-17T10:00:00'), testHolidays), 'weekend');
 });
 
 test('getServiceType: Sunday is weekend', () => {
-  assertEqual(getServiceType('2026-01-18T10:00:00', testHolidays), 'weekend');
+  assertEqual(getServiceType(pacific('2026-01-18T10:00:00'), testHolidays), 'weekend');
 });
 
 test('getServiceType: MLK Day (Monday holiday) is modified', () => {
-  assertEqual(getServiceType('2026-01-19T10:00:00', testHolidays), 'modified');
+  assertEqual(getServiceType(pacific('2026-01-19T10:00:00'), testHolidays), 'modified');
 });
 
 test('getServiceType: New Year\'s Day is weekend (holiday override)', () => {
-  assertEqual(getServiceType('2026-01-01T10:00:00', testHolidays), 'weekend');
+  assertEqual(getServiceType(pacific('2026-01-01T10:00:00'), testHolidays), 'weekend');
 });
 
 test('getServiceType: Christmas Eve is modified', () => {
-  assertEqual(getServiceType('2025-12-24T10:00:00', testHolidays), 'modified');
+  assertEqual(getServiceType(pacific('2025-12-24T10:00:00'), testHolidays), 'modified');
 });
 
 test('getServiceType: 1am Sunday uses Saturday service (before 3am rule)', () => {
   // 1am Sunday Jan 18 should use Saturday Jan 17's service type
-  assertEqual(getServiceType('2026-01-18T01:00:00', testHolidays), 'weekend');
+  assertEqual(getServiceType(pacific('2026-01-18T01:00:00'), testHolidays), 'weekend');
 });
 
 test('getServiceType: 1am Monday uses Sunday service (before 3am rule)', () => {
   // 1am Monday Jan 19 (MLK Day) should use Sunday Jan 18's service type
   // Sunday is weekend, not MLK Day's modified
-  assertEqual(getServiceType('2026-01-19T01:00:00', testHolidays), 'weekend');
+  assertEqual(getServiceType(pacific('2026-01-19T01:00:00'), testHolidays), 'weekend');
 });
 
 test('getServiceType: 4am Monday MLK Day uses modified', () => {
-  assertEqual(getServiceType('2026-01-19T04:00:00', testHolidays), 'modified');
+  assertEqual(getServiceType(pacific('2026-01-19T04:00:00'), testHolidays), 'modified');
 });
 
-console.log('\n=== filterTrainsByDestination tests ===\n');
+section('findTrips');
 
 // Sample train data: [time, trainNum, routeType, serviceType]
 // serviceType: 0=weekday, 1=weekend, 2=modified
@@ -253,53 +259,2562 @@ const sampleDestTrains = [
   // Note: 102, 202 do NOT stop at destination (express?)
 ];
 
-test('filterTrainsByDestination: weekday service filters correctly', () => {
-  const result = filterTrainsByDestination(sampleOriginTrains, sampleDestTrains, 0, 300);
+test('findTrips: weekday service filters correctly', () => {
+  const result = findTrips(sampleOriginTrains, sampleDestTrains, new Set([0]), 300);
   assertEqual(result.length, 1);
-  assertEqual(result[0][1], '101');
+  assertEqual(result[0].trainNum, '101');
 });
 
-test('filterTrainsByDestination: weekend service filters correctly', () => {
-  const result = filterTrainsByDestination(sampleOriginTrains, sampleDestTrains, 1, 300);
+test('findTrips: weekend service filters correctly', () => {
+  const result = findTrips(sampleOriginTrains, sampleDestTrains, new Set([1]), 300);
   assertEqual(result.length, 2);
-  assertEqual(result[0][1], '201');
-  assertEqual(result[1][1], '664');
+  assertEqual(result[0].trainNum, '201');
+  assertEqual(result[1].trainNum, '664');
 });
 
-test('filterTrainsByDestination: modified service filters correctly', () => {
-  const result = filterTrainsByDestination(sampleOriginTrains, sampleDestTrains, 2, 300);
+test('findTrips: modified service filters correctly', () => {
+  const result = findTrips(sampleOriginTrains, sampleDestTrains, new Set([2]), 300);
   assertEqual(result.length, 1);
-  assertEqual(result[0][1], 'M101');
+  assertEqual(result[0].trainNum, 'M101');
 });
 
-test('filterTrainsByDestination: respects currentMinutes filter', () => {
+test('findTrips: respects currentMinutes filter', () => {
   // After 6:40am, should not include 201
-  const result = filterTrainsByDestination(sampleOriginTrains, sampleDestTrains, 1, 410);
+  const result = findTrips(sampleOriginTrains, sampleDestTrains, new Set([1]), 410);
   assertEqual(result.length, 1);
-  assertEqual(result[0][1], '664');
+  assertEqual(result[0].trainNum, '664');
 });
 
-test('filterTrainsByDestination: excludes trains not stopping at destination', () => {
+test('findTrips: excludes trains not stopping at destination', () => {
   // Train 102 departs origin but doesn't stop at destination
-  const result = filterTrainsByDestination(sampleOriginTrains, sampleDestTrains, 0, 300);
-  const trainNums = result.map(t => t[1]);
+  const result = findTrips(sampleOriginTrains, sampleDestTrains, new Set([0]), 300);
+  const trainNums = result.map(t => t.trainNum);
   assertEqual(trainNums.includes('102'), false);
 });
 
-test('filterTrainsByDestination: late-night train included when currentMinutes > 1440', () => {
+test('findTrips: late-night train included when currentMinutes > 1440', () => {
   // At 12:04am (1444 mins in service-day time), train 664 at 1454 should show
-  const result = filterTrainsByDestination(sampleOriginTrains, sampleDestTrains, 1, 1444);
+  const result = findTrips(sampleOriginTrains, sampleDestTrains, new Set([1]), 1444);
   assertEqual(result.length, 1);
-  assertEqual(result[0][1], '664');
+  assertEqual(result[0].trainNum, '664');
 });
 
-// ============================================================================
-// Summary
-// ============================================================================
+test('findTrips: arrival and duration come from the destination row', () => {
+  const result = findTrips(sampleOriginTrains, sampleDestTrains, new Set([0]), 300);
+  assertEqual(result[0].time, 310);
+  assertEqual(result[0].arrival, 330);
+  assertEqual(result[0].duration, 20);
+});
+
+test('findTrips: uses stored arrival when it differs from departure', () => {
+  const origin = [[600, '301', 1, 0]];
+  const dest = [[645, '301', 1, 0, 642]];  // Arrives 642, departs 645
+  const result = findTrips(origin, dest, new Set([0]), 300);
+  assertEqual(result[0].arrival, 642);
+  assertEqual(result[0].duration, 42);
+});
+
+test('findTrips: joins on service so same train number on another service is ignored', () => {
+  const origin = [[600, '101', 0, 0]];
+  const dest = [[700, '101', 0, 2]];  // Modified-service train with the same number
+  assertEqual(findTrips(origin, dest, new Set([0]), 300).length, 0);
+});
+
+test('findTrips: skips destination rows that are not after the origin', () => {
+  const origin = [[600, '101', 0, 0]];
+  const dest = [[580, '101', 0, 0]];
+  assertEqual(findTrips(origin, dest, new Set([0]), 300).length, 0);
+});
+
+section('markFastest / sortTrips');
+
+// Local leaves first but a Limited overtakes it
+const overtakeTrips = () => [
+  { time: 600, trainNum: '121', routeType: 0, arrival: 660, duration: 60 },
+  { time: 610, trainNum: '421', routeType: 1, arrival: 650, duration: 40 },
+  { time: 630, trainNum: '123', routeType: 0, arrival: 690, duration: 60 },
+];
+
+test('markFastest: flags shortest duration only', () => {
+  const trips = markFastest(overtakeTrips());
+  assertArrayEqual(trips.map(t => t.fastest), [false, true, false]);
+});
+
+test('markFastest: no marker when all durations are equal', () => {
+  const trips = markFastest(overtakeTrips().filter(t => t.routeType === 0));
+  assertArrayEqual(trips.map(t => t.fastest), [false, false]);
+});
+
+test('sortTrips: departure order is unchanged', () => {
+  assertArrayEqual(sortTrips(overtakeTrips(), 'depart').map(t => t.trainNum), ['121', '421', '123']);
+});
+
+test('sortTrips: arrival order puts overtaking train first', () => {
+  assertArrayEqual(sortTrips(overtakeTrips(), 'arrive').map(t => t.trainNum), ['421', '121', '123']);
+});
+
+section('Trip plan');
+
+test('parsePlanParams: no params means now', () => {
+  assertEqual(parsePlanParams('').mode, 'now');
+  assertEqual(parsePlanParams('?apikey=abc').mode, 'now');
+});
+
+test('parsePlanParams: leave at a date and time', () => {
+  assertArrayEqual(parsePlanParams('?date=2026-01-17&time=8:30'), { mode: 'depart', date: '2026-01-17', time: '08:30' });
+});
+
+test('parsePlanParams: arrive by mode', () => {
+  assertEqual(parsePlanParams('?date=2026-01-17&time=09:00&mode=arrive').mode, 'arrive');
+});
+
+test('parsePlanParams: date without time covers the whole service day', () => {
+  assertEqual(parsePlanParams('?date=2026-01-17').time, '03:00');
+  assertEqual(parsePlanParams('?date=2026-01-17&mode=arrive').time, '23:59');
+});
+
+test('parsePlanParams: ignores malformed values', () => {
+  assertEqual(parsePlanParams('?date=tomorrow&time=soon').mode, 'now');
+});
+
+test('buildPlanParams: round-trips and keeps other params', () => {
+  const plan = { mode: 'arrive', date: '2026-01-17', time: '09:00' };
+  const query = buildPlanParams(plan, '?foo=1');
+  assertEqual(query, 'foo=1&date=2026-01-17&time=09%3A00&mode=arrive');
+  assertArrayEqual(parsePlanParams(query), plan);
+});
+
+test('buildPlanParams: now removes plan params', () => {
+  assertEqual(buildPlanParams({ mode: 'now' }, '?date=2026-01-17&time=09:00&mode=depart&foo=1'), 'foo=1');
+});
+
+test('getPlanDate: Saturday plan picks weekend service', () => {
+  const date = getPlanDate({ mode: 'depart', date: '2026-01-17', time: '10:00' });
+  assertEqual(getServiceType(date, testHolidays), 'weekend');
+  assertEqual(getCurrentMinutes(date), 600);
+});
+
+test('getPlanDate: 1am plan belongs to previous service day', () => {
+  const date = getPlanDate({ mode: 'depart', date: '2026-01-19', time: '01:00' });
+  assertEqual(getServiceType(date, testHolidays), 'weekend');  // Sunday night, not MLK Day
+  assertEqual(getCurrentMinutes(date), 1500);
+});
+
+const planOrigin = [
+  [420, '101', 0, 0], [450, '401', 1, 0], [480, '103', 0, 0], [510, '105', 0, 0],
+];
+const planDest = [
+  [480, '101', 0, 0], [485, '401', 1, 0], [540, '103', 0, 0], [570, '105', 0, 0],
+];
+
+test('planTrips: leave at lists departures from the plan time', () => {
+  const trips = planTrips(planOrigin, planDest, new Set([0]), 450, 'depart', 'depart');
+  assertArrayEqual(trips.map(t => t.trainNum), ['401', '103', '105']);
+});
+
+test('planTrips: arrive by lists latest arrivals first', () => {
+  const trips = planTrips(planOrigin, planDest, new Set([0]), 545, 'arrive', 'depart');
+  assertArrayEqual(trips.map(t => t.trainNum), ['103', '401', '101']);
+});
+
+test('planTrips: arrive by sorted by arrival', () => {
+  const trips = planTrips(planOrigin, planDest, new Set([0]), 545, 'arrive', 'arrive');
+  assertArrayEqual(trips.map(t => t.arrival), [540, 485, 480]);
+});
+
+test('planTrips: arrive by includes trains arriving exactly on time', () => {
+  const trips = planTrips(planOrigin, planDest, new Set([0]), 540, 'arrive', 'depart');
+  assertEqual(trips[0].trainNum, '103');
+});
+
+section('Service calendar');
+
+// Timetable change on Mon 2026-03-16 with overlapping weekend service, a Sunday-only
+// service, a holiday (weekday removed, holiday service added) and a special event train
+const testServices = [
+  { id: 'wk_old', days: '1111100', start: '20260101', end: '20260315', add: [], remove: ['20260119'] },
+  { id: 'wk_new', days: '1111100', start: '20260316', end: '20260630', add: [], remove: [] },
+  { id: 'we', days: '0000011', start: '20260101', end: '20260630', add: [], remove: [] },
+  { id: 'sun', days: '0000001', start: '20260301', end: '20260630', add: [], remove: [] },
+  { id: 'mlk', days: '0000000', start: null, end: null, add: ['20260119'], remove: [] },
+  { id: 'event', days: '0000000', start: null, end: null, add: ['20260317'], remove: [] },
+];
+const activeIds = (date) => [...getActiveServices(pacific(date), testServices)].map(i => testServices[i].id);
+
+test('getActiveServices: last weekday of old timetable', () => {
+  assertArrayEqual(activeIds('2026-03-13T10:00:00'), ['wk_old']);
+});
+
+test('getActiveServices: first weekday of new timetable', () => {
+  assertArrayEqual(activeIds('2026-03-16T10:00:00'), ['wk_new']);
+});
+
+test('getActiveServices: Sunday before the change has weekend and Sunday-only service', () => {
+  assertArrayEqual(activeIds('2026-03-15T10:00:00'), ['we', 'sun']);
+});
+
+test('getActiveServices: Saturday does not get Sunday-only service', () => {
+  assertArrayEqual(activeIds('2026-03-14T10:00:00'), ['we']);
+});
+
+test('getActiveServices: 1am on first day of new timetable still runs Sunday service', () => {
+  assertArrayEqual(activeIds('2026-03-16T01:00:00'), ['we', 'sun']);
+});
+
+test('getActiveServices: special event service is added on top of weekday service', () => {
+  assertArrayEqual(activeIds('2026-03-17T10:00:00'), ['wk_new', 'event']);
+});
+
+test('getActiveServices: holiday removes weekday service and adds holiday service', () => {
+  assertArrayEqual(activeIds('2026-01-19T10:00:00'), ['mlk']);
+});
+
+test('getActiveServices: nothing runs after the last service period', () => {
+  assertArrayEqual(activeIds('2026-07-06T10:00:00'), []);
+});
+
+test('findTrips: overlapping services with the same train number are kept apart', () => {
+  const origin = [[600, '101', 0, 0], [610, '101', 0, 1]];
+  const dest = [[640, '101', 0, 0], [655, '101', 0, 1]];
+  const trips = findTrips(origin, dest, new Set([0, 1]), 0);
+  assertArrayEqual(trips.map(t => t.duration), [40, 45]);
+});
+
+section('normalizeData (legacy service types)');
+
+const legacyServices = () => normalizeData({ holidays: testHolidays }).services;
+const legacyType = (date) => [...getActiveServices(pacific(date), legacyServices())];
+
+test('normalizeData: regular Monday runs weekday service (0)', () => {
+  assertArrayEqual(legacyType('2026-01-12T10:00:00'), [0]);
+});
+
+test('normalizeData: Saturday runs weekend service (1)', () => {
+  assertArrayEqual(legacyType('2026-01-17T10:00:00'), [1]);
+});
+
+test('normalizeData: New Year\'s Day runs weekend service (1)', () => {
+  assertArrayEqual(legacyType('2026-01-01T10:00:00'), [1]);
+});
+
+test('normalizeData: MLK Day runs modified service (2)', () => {
+  assertArrayEqual(legacyType('2026-01-19T10:00:00'), [2]);
+});
+
+test('normalizeData: leaves new-format data alone', () => {
+  const data = { services: testServices, holidays: {} };
+  assertEqual(normalizeData(data).services, testServices);
+});
+
+section('GTFS CSV parser');
+
+test('parseCSV: plain rows keyed by header', () => {
+  const rows = gtfs.parseCSV('a,b\n1,2\n3,4\n');
+  assertArrayEqual(rows, [{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+  assertArrayEqual(rows.columns, ['a', 'b']);
+});
+
+test('parseCSV: quoted field with comma', () => {
+  const rows = gtfs.parseCSV('stop_id,stop_name\nmid,"Mid, Town Station"\n');
+  assertEqual(rows[0].stop_name, 'Mid, Town Station');
+});
+
+test('parseCSV: escaped quotes and line break inside quotes', () => {
+  const rows = gtfs.parseCSV('id,name\n1,"The ""Bullet""\nExpress"\n');
+  assertEqual(rows[0].name, 'The "Bullet"\nExpress');
+});
+
+test('parseCSV: CRLF line endings', () => {
+  const rows = gtfs.parseCSV('a,b\r\n1,2\r\n');
+  assertArrayEqual(rows, [{ a: '1', b: '2' }]);
+});
+
+test('parseCSV: strips UTF-8 BOM from first header', () => {
+  const rows = gtfs.parseCSV('\uFEFFstop_id,stop_name\nx,X\n');
+  assertEqual(rows[0].stop_id, 'x');
+});
+
+test('parseCSV: missing trailing values and blank lines', () => {
+  const rows = gtfs.parseCSV('a,b,c\n1,2\n\n3,,4\n');
+  assertArrayEqual(rows, [{ a: '1', b: '2', c: '' }, { a: '3', b: '', c: '4' }]);
+});
+
+test('parseCSV: no trailing newline', () => {
+  assertArrayEqual(gtfs.parseCSV('a\n1'), [{ a: '1' }]);
+});
 
-console.log('\n=== Summary ===\n');
-console.log(`Passed: ${passed}`);
-console.log(`Failed: ${failed}`);
-console.log('');
+test('parseCSV: unterminated quote throws', () => {
+  assert.throws(() => gtfs.parseCSV('a\n"oops\n'), /Unterminated/);
+});
+
+section('GTFS feed validation');
+
+// Copy the fixture feed so individual tests can break it
+function withFeedCopy(mutate) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caltrain-feed-'));
+  try {
+    fs.readdirSync(FIXTURE_FEED).forEach(f => fs.copyFileSync(path.join(FIXTURE_FEED, f), path.join(dir, f)));
+    mutate(dir);
+    return gtfs.loadFeed(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('loadFeed: fixture feed loads without errors', () => {
+  const { tables, errors } = gtfs.loadFeed(FIXTURE_FEED);
+  assertArrayEqual(errors, []);
+  assertEqual(tables.stops.length, 11);
+});
+
+test('loadFeed: missing required file is an error', () => {
+  const { errors } = withFeedCopy(dir => fs.unlinkSync(path.join(dir, 'routes.txt')));
+  assertArrayEqual(errors, ['routes.txt: required file is missing']);
+});
+
+test('loadFeed: missing optional calendar_dates.txt is fine', () => {
+  const { tables, errors } = withFeedCopy(dir => fs.unlinkSync(path.join(dir, 'calendar_dates.txt')));
+  assertArrayEqual(errors, []);
+  assertEqual(tables.calendarDates.length, 0);
+});
+
+test('loadFeed: missing both calendar files is an error', () => {
+  const { errors } = withFeedCopy(dir => {
+    fs.unlinkSync(path.join(dir, 'calendar.txt'));
+    fs.unlinkSync(path.join(dir, 'calendar_dates.txt'));
+  });
+  assertEqual(errors.length, 1);
+  assert.match(errors[0], /at least one/);
+});
+
+test('loadFeed: missing required column is an error', () => {
+  const { errors } = withFeedCopy(dir => fs.writeFileSync(path.join(dir, 'routes.txt'), 'route_id,route_color\nL,ccc\n'));
+  assertArrayEqual(errors, ['routes.txt: missing required column(s) route_short_name']);
+});
+
+test('validateFeed: fixture feed only warns about the station without trips', () => {
+  const { errors, warnings } = gtfs.validateFeed(gtfs.loadFeed(FIXTURE_FEED).tables);
+  assertArrayEqual(errors, []);
+  assertEqual(warnings.length, 1);
+  assert.match(warnings[0], /"closed"/);
+});
+
+test('validateFeed: dangling trip_id and stop_id references', () => {
+  const { tables } = withFeedCopy(dir => fs.appendFileSync(path.join(dir, 'stop_times.txt'), 't9,10:00:00,10:00:00,nowhere,1\n'));
+  const { errors } = gtfs.validateFeed(tables);
+  assert.ok(errors.some(e => e.includes('trip_id "t9" not found')), errors.join('; '));
+  assert.ok(errors.some(e => e.includes('stop_id "nowhere" not found')), errors.join('; '));
+});
+
+test('validateFeed: dangling service_id and route_id references', () => {
+  const { tables } = withFeedCopy(dir => fs.appendFileSync(path.join(dir, 'trips.txt'), 'Z,nosvc,t9,North,999,0\n'));
+  const { errors } = gtfs.validateFeed(tables);
+  assert.ok(errors.some(e => e.includes('route_id "Z"')), errors.join('; '));
+  assert.ok(errors.some(e => e.includes('service_id "nosvc"')), errors.join('; '));
+});
+
+test('validateFeed: non-monotonic stop times', () => {
+  const { tables } = withFeedCopy(dir => {
+    const file = path.join(dir, 'stop_times.txt');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('t2,07:30:00,07:30:00', 't2,06:50:00,06:50:00'));
+  });
+  const { errors } = gtfs.validateFeed(tables);
+  assertEqual(errors.length, 1);
+  assert.match(errors[0], /trip "t2" goes back in time/);
+});
+
+test('validateFeed: malformed time', () => {
+  const { tables } = withFeedCopy(dir => {
+    const file = path.join(dir, 'stop_times.txt');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('t2,07:30:00,07:30:00', 't2,7.30,7.30'));
+  });
+  const { errors } = gtfs.validateFeed(tables);
+  assertEqual(errors.length, 1);
+  assert.match(errors[0], /invalid time/);
+});
+
+test('validateFeed: caps repeated problems per check', () => {
+  const { tables } = withFeedCopy(dir => {
+    const extra = Array.from({ length: 15 }, (_, i) => `t9,10:${String(i).padStart(2, '0')}:00,10:${String(i).padStart(2, '0')}:00,north_nb,${i}`).join('\n');
+    fs.appendFileSync(path.join(dir, 'stop_times.txt'), extra + '\n');
+  });
+  const { errors } = gtfs.validateFeed(tables);
+  assertEqual(errors.length, 11);
+  assertEqual(errors[10], '... and 5 more dangling trip_id references');
+});
+
+section('GTFS schedule generation');
+
+const fixtureData = gtfs.buildScheduleData(gtfs.loadFeed(FIXTURE_FEED).tables);
+
+test('buildScheduleData: stations north to south, quoted names intact, inactive dropped', () => {
+  assertArrayEqual(fixtureData.stations.map(s => s.name), ['North', 'Mid, Town', 'South']);
+});
+
+test('buildScheduleData: arrival only stored when it differs from departure', () => {
+  assertArrayEqual(fixtureData.schedule.mid.n[0], [381, '101', 0, 3, 380, 0]);
+  assertArrayEqual(fixtureData.schedule.north.n[0], [400, '101', 0, 3, null, 0]);
+});
+
+test('buildScheduleData: trips table keeps stop_sequence order and skipped stations', () => {
+  const express = fixtureData.trips[fixtureData.schedule.south.n[1][5]];
+  assertArrayEqual(express, ['501', 2, 2, 'n', [[2, 420], [0, 450]]]);
+  // After midnight times and arrivals kept per stop
+  assertArrayEqual(fixtureData.trips[2], ['202', 0, 1, 's', [[0, 480], [1, 500], [2, 1480]]]);
+  assertArrayEqual(fixtureData.trips[0][4][1], [1, 381, 380]);
+});
+
+test('buildScheduleData: stops at excluded stations are left out of rows and trips', () => {
+  const { tables } = withFeedCopy(dir => {
+    fs.appendFileSync(path.join(dir, 'stops.txt'), 'shuttle_p,Shuttle Stop Bay 1,37.5,-122.2,0,shuttle\n');
+    fs.appendFileSync(path.join(dir, 'stop_times.txt'), 't1,06:50:00,06:50:00,shuttle_p,4\n');
+  });
+  const data = gtfs.buildScheduleData(tables);
+  assertArrayEqual(Object.keys(data.schedule).sort(), ['mid', 'north', 'south']);
+  assertArrayEqual(data.trips[0][4], fixtureData.trips[0][4]);
+  assert.ok(data.trips.every(trip => trip[4].every(([idx]) => data.stations[idx])));
+  // The compact format and stopping patterns read it
+  assertEqual(compactSchedule.decodeSchedule(scheduleEncoder.encodeSchedule(data)).trips.length, data.trips.length);
+  assertArrayEqual(trips.getTrip(data, 0).stops.map(s => s.station), ['south', 'mid', 'north']);
+});
+
+test('buildScheduleData: GTFS trip ids map to the trips table', () => {
+  assertArrayEqual(fixtureData.tripIds, { t1: 0, t2: 1, t3: 2, t4: 3 });
+});
+
+test('buildScheduleData: every row points at a trip that stops there', () => {
+  Object.entries(fixtureData.schedule).forEach(([stationId, dirs]) => {
+    const idx = fixtureData.stations.findIndex(s => s.id === stationId);
+    Object.entries(dirs).forEach(([dir, rows]) => rows.forEach(row => {
+      const trip = fixtureData.trips[row[5]];
+      assertEqual(trip[0], row[1]);
+      assertEqual(trip[3], dir);
+      assertEqual(trip[4].some(stop => stop[0] === idx && stop[1] === row[0]), true);
+    }));
+  });
+});
+
+test('buildScheduleData: stations keep their coordinates', () => {
+  assertArrayEqual(fixtureData.stations[1], { id: 'mid', name: 'Mid, Town', lat: 37.6, lon: -122.3 });
+});
+
+test('buildScheduleData: services with calendar_dates exceptions', () => {
+  const ids = fixtureData.services.map(svc => svc.id);
+  assertArrayEqual(ids, ['mod', 'we', 'wk_new', 'wk_old']);
+  assertArrayEqual(fixtureData.services[3].remove, ['20260119']);
+  assertArrayEqual(fixtureData.services[0].add, ['20260119']);
+});
+
+test('buildScheduleData: validity window spans all service periods', () => {
+  assertEqual(fixtureData.validFrom, '20260101');
+  assertEqual(fixtureData.validTo, '20260630');
+});
+
+test('buildScheduleData: holiday with quoted name is classified', () => {
+  assertArrayEqual(fixtureData.holidays, { '20260119': 2 });
+});
+
+section('Schedule diff');
+
+const diffBase = () => ({
+  stations: [{ id: 'north', name: 'North' }, { id: 'mid', name: 'Mid' }, { id: 'south', name: 'South' }],
+  schedule: {
+    north: { n: [[400, '101', 0, 0], [450, '501', 2, 0]], s: [[480, '202', 0, 1]] },
+    mid: { n: [[381, '101', 0, 0]], s: [[500, '202', 0, 1]] },
+    south: { n: [[360, '101', 0, 0], [420, '501', 2, 0]], s: [[520, '202', 0, 1]] }
+  },
+  holidays: { '20251225': 1 },
+  validFrom: '20250601',
+  validTo: '20260301'
+});
+
+test('diffSchedules: identical files have no changes', async () => {
+  const report = await scheduleDiff.diffSchedules(diffBase(), diffBase());
+  assertEqual(report.summary, 'No schedule changes');
+  assertArrayEqual(report.highlights, []);
+});
+
+test('diffSchedules: trains added and removed', async () => {
+  const next = diffBase();
+  next.schedule.north.n = next.schedule.north.n.filter(r => r[1] !== '501');
+  next.schedule.south.n = next.schedule.south.n.filter(r => r[1] !== '501');
+  next.schedule.north.n.push([470, '503', 2, 0]);
+  next.schedule.south.n.push([430, '503', 2, 0]);
+  const report = await scheduleDiff.diffSchedules(diffBase(), next);
+  assertArrayEqual(report.trains.added.map(t => t.trainNum), ['503']);
+  assertArrayEqual(report.trains.removed.map(t => t.trainNum), ['501']);
+  assertEqual(report.trains.added[0].routeType, 'Express');
+  assertEqual(report.trains.added[0].direction, 'northbound');
+});
+
+test('diffSchedules: train types named as the app names them', async () => {
+  const next = diffBase();
+  next.schedule.south.s.push([530, '401', 3, 1]);
+  const report = await scheduleDiff.diffSchedules(diffBase(), next);
+  assertEqual(report.trains.added[0].routeType, feed.DEFAULT_FEED.routeTypes[3].name);
+  assertEqual(report.trains.added[0].direction, 'southbound');
+});
+
+test('diffSchedules: uniform shift across all stops', async () => {
+  const next = diffBase();
+  Object.values(next.schedule).forEach(dirs => dirs.n.forEach(r => { if (r[1] === '101') r[0] += 2; }));
+  const report = await scheduleDiff.diffSchedules(diffBase(), next);
+  assertEqual(report.timeShifts.length, 1);
+  assertEqual(report.highlights[0], 'Train 101: all 3 stops +2 min');
+});
+
+test('diffSchedules: per-station shift and new stop', async () => {
+  const next = diffBase();
+  next.schedule.mid.n[0][0] = 384;
+  next.schedule.mid.n.push([435, '501', 2, 0]);
+  const report = await scheduleDiff.diffSchedules(diffBase(), next);
+  assertArrayEqual(report.highlights, [
+    'Train 101: Mid 6:21am → 6:24am (+3 min)',
+    'Train 501: now stops at Mid (7:15am)'
+  ]);
+});
+
+test('diffSchedules: stations added and removed', async () => {
+  const next = diffBase();
+  next.stations = next.stations.filter(s => s.id !== 'mid').concat([{ id: 'far', name: 'Far' }]);
+  const report = await scheduleDiff.diffSchedules(diffBase(), next);
+  assertArrayEqual(report.stations.added.map(s => s.name), ['Far']);
+  assertArrayEqual(report.stations.removed.map(s => s.name), ['Mid']);
+});
+
+test('diffSchedules: holiday and validity changes', async () => {
+  const next = diffBase();
+  next.holidays = { '20251225': 2, '20260101': 1 };
+  next.validTo = '20260901';
+  const report = await scheduleDiff.diffSchedules(diffBase(), next);
+  assertArrayEqual(report.holidays.added, [{ date: '20260101', type: 1 }]);
+  assertArrayEqual(report.holidays.changed, [{ date: '20251225', old: 1, new: 2 }]);
+  assertEqual(report.validity.changed, true);
+  assertEqual(report.summary, '2 holidays changed, valid 2025-06-01 to 2026-09-01');
+});
+
+test('diffSchedules: service periods are named from the newer data format', async () => {
+  const next = diffBase();
+  next.services = [{ id: 'wk_2026' }, { id: 'we_2026' }];
+  next.schedule.north.n.push([700, '999', 0, 0]);
+  const report = await scheduleDiff.diffSchedules(diffBase(), next);
+  assertArrayEqual(report.trains.added[0].services, ['wk_2026']);
+  assertEqual(report.timeShifts.length, 0);
+});
+
+test('formatMarkdown: sections for each kind of change', async () => {
+  const next = diffBase();
+  next.schedule.north.n.push([700, '999', 0, 0]);
+  next.validTo = '20260901';
+  const markdown = await scheduleDiff.formatMarkdown(await scheduleDiff.diffSchedules(diffBase(), next));
+  assert.match(markdown, /^## Schedule changes/);
+  assert.match(markdown, /### Trains added \(1\)\n\n- Train 999 \(Local, northbound, weekday\)/);
+  assert.match(markdown, /### Validity\n\n- 2025-06-01 to 2026-03-01 → 2025-06-01 to 2026-09-01/);
+});
+
+section('Journey planner');
+
+// Southbound line a-b-c-d-e (rows: [departure, trainNum, routeType, service, arrival?])
+// 101 is a local, 301 a bullet that only stops at a and c, 103 a local starting at c
+function plannerData() {
+  const data = {
+    stations: ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, name: `Station ${id.toUpperCase()}` })),
+    schedule: {}
+  };
+  data.stations.forEach(s => data.schedule[s.id] = { n: [], s: [] });
+  const add = (station, row) => data.schedule[station].s.push(row);
+  add('a', [480, '101', 0, 0]); add('b', [490, '101', 0, 0]); add('c', [500, '101', 0, 0]);
+  add('d', [510, '101', 0, 0]); add('e', [530, '101', 0, 0]);
+  add('a', [485, '301', 2, 0]); add('c', [496, '301', 2, 0, 495]);
+  add('c', [505, '103', 0, 0]); add('d', [515, '103', 0, 0]); add('e', [525, '103', 0, 0]);
+  return data;
+}
+
+const plan = (data, options) => planner.findTransferTrips(data, {
+  from: 'a', to: 'e', direction: 's', activeServices: new Set([0]), ...options
+});
+
+test('findTransferTrips: bullet to a hub then a local beats the direct local', () => {
+  const trips = plan(plannerData());
+  assertEqual(trips.length, 1);
+  const [trip] = trips;
+  assertEqual(trip.time, 485);
+  assertEqual(trip.arrival, 525);
+  assertEqual(trip.duration, 40);
+  assertEqual(trip.trainNum, '301');
+  assertEqual(trip.routeType, 2);
+  assertArrayEqual(trip.legs.map(l => `${l.trainNum}:${l.from}-${l.to}`), ['301:a-c', '103:c-e']);
+  assertArrayEqual(trip.transfers, [{ station: 'c', wait: 10 }]);
+});
+
+test('findTransferTrips: minimum transfer time is measured from arrival', () => {
+  assertEqual(plan(plannerData(), { minTransfer: 10 }).length, 1);
+  assertEqual(plan(plannerData(), { minTransfer: 11 }).length, 0);
+});
+
+test('findTransferTrips: connections past the maximum wait are ignored', () => {
+  // 301 can no longer make the 103 (10 min wait), so it catches up with the local at c
+  // instead, and the local itself becomes worth a quick change onto the 103
+  const trips = plan(plannerData(), { maxWait: 9 });
+  assertArrayEqual(trips.map(t => t.legs.map(l => l.trainNum).join('>')), ['101>103', '301>101']);
+  assertArrayEqual(trips.map(t => t.transfers[0].wait), [5, 5]);
+});
+
+test('findTransferTrips: maxTransfers 0 returns nothing', () => {
+  assertEqual(plan(plannerData(), { maxTransfers: 0 }).length, 0);
+});
+
+test('findTransferTrips: dropped when a direct train leaves as late and arrives as soon', () => {
+  const data = plannerData();
+  data.schedule.a.s.push([486, '305', 2, 0]);
+  data.schedule.e.s.push([525, '305', 2, 0]);
+  assertEqual(plan(data).length, 0);
+});
+
+test('findTransferTrips: respects departure time and active services', () => {
+  assertEqual(plan(plannerData(), { minutes: 486 }).length, 0);
+  assertEqual(plan(plannerData(), { activeServices: new Set([1]) }).length, 0);
+});
+
+test('findTransferTrips: only changes trains between origin and destination', () => {
+  // From c, the 103 is direct; boarding 301 at a is out of reach
+  assertEqual(plan(plannerData(), { from: 'c' }).length, 0);
+  // The hub at c is past the destination b
+  assertEqual(plan(plannerData(), { to: 'b' }).length, 0);
+});
+
+test('findTransferTrips: second transfer only with maxTransfers 2', () => {
+  const data = plannerData();
+  // Express 401 from d to e beats the 103 to e
+  data.schedule.d.s.push([518, '401', 2, 0]);
+  data.schedule.e.s.push([522, '401', 2, 0]);
+  const fromBullet = options => plan(data, options).find(t => t.trainNum === '301');
+  assertEqual(fromBullet({ maxTransfers: 1 }).arrival, 525);
+  const trip = fromBullet({ maxTransfers: 2 });
+  assertEqual(trip.legs.length, 3);
+  assertArrayEqual(trip.transfers.map(x => x.station), ['c', 'd']);
+  assertEqual(trip.legs[2].trainNum, '401');
+  assertEqual(trip.arrival, 522);
+});
+
+test('findTransferTrips: unknown stations return nothing', () => {
+  assertEqual(plan(plannerData(), { from: 'nowhere' }).length, 0);
+});
+
+test('planTrips: transfer journeys merge into the direct list', () => {
+  const data = plannerData();
+  const trips = planTrips(data.schedule.a.s, data.schedule.e.s, new Set([0]), 0, 'depart', 'depart', plan(data));
+  assertArrayEqual(trips.map(t => t.trainNum), ['101', '301']);
+  assertEqual(trips[1].fastest, true);
+  const byArrival = planTrips(data.schedule.a.s, data.schedule.e.s, new Set([0]), 0, 'depart', 'arrive', plan(data));
+  assertArrayEqual(byArrival.map(t => t.trainNum), ['301', '101']);
+});
+
+test('planTrips: arrive-by filters transfer journeys by final arrival', () => {
+  const data = plannerData();
+  const transfers = plan(data);
+  assertArrayEqual(planTrips(data.schedule.a.s, data.schedule.e.s, new Set([0]), 526, 'arrive', 'depart', transfers)
+    .map(t => t.trainNum), ['301']);
+  assertEqual(planTrips(data.schedule.a.s, data.schedule.e.s, new Set([0]), 520, 'arrive', 'depart', transfers).length, 0);
+});
+
+section('Stopping patterns');
+
+// Older schedule files: no trips table, arrivals omitted when equal to departure
+function legacyTripData() {
+  return {
+    stations: [{ id: 'north', name: 'North' }, { id: 'mid', name: 'Mid' }, { id: 'south', name: 'South' }],
+    schedule: {
+      north: { n: [[400, '101', 0, 0], [450, '501', 2, 0]], s: [[480, '202', 0, 1]] },
+      mid: { n: [[381, '101', 0, 0, 380]], s: [[500, '202', 0, 1]] },
+      south: { n: [[360, '101', 0, 0], [420, '501', 2, 0]], s: [[520, '202', 0, 1]] }
+    }
+  };
+}
+
+test('ensureTrips: rebuilds trips from station rows and links rows', () => {
+  const data = trips.ensureTrips(legacyTripData());
+  const local = data.trips[data.schedule.north.n[0][5]];
+  assertArrayEqual(local, ['101', 0, 0, 'n', [[2, 360], [1, 381, 380], [0, 400]]]);
+  assertArrayEqual(data.schedule.north.n[0], [400, '101', 0, 0, null, data.schedule.mid.n[0][5]]);
+  assertEqual(data.trips.length, 3);
+});
+
+test('ensureTrips: leaves generated trips tables alone', () => {
+  const data = { ...fixtureData };
+  assertEqual(trips.ensureTrips(data).trips, fixtureData.trips);
+});
+
+test('getTrip: resolves station ids and arrivals', () => {
+  const trip = trips.getTrip(fixtureData, 0);
+  assertEqual(trip.trainNum, '101');
+  assertArrayEqual(trip.stops[1], { station: 'mid', departure: 381, arrival: 380 });
+  assertEqual(trips.getTrip(fixtureData, 99), null);
+});
+
+test('getStoppingPattern: highlights the ride and greys out skipped stations', () => {
+  const pattern = trips.getStoppingPattern(fixtureData, 1, 'south', 'north');
+  assertEqual(pattern.trainNum, '501');
+  assertArrayEqual(pattern.stations.map(s => `${s.id}:${s.stops ? 'stop' : 'pass'}`), ['south:stop', 'mid:pass', 'north:stop']);
+  assertEqual(pattern.stopCount, 1);
+  assertEqual(pattern.skipped, 1);
+  assertEqual(pattern.stations[0].board, true);
+  assertEqual(pattern.stations[2].alight, true);
+});
+
+test('getStoppingPattern: stops outside the ride are not in the segment', () => {
+  const pattern = trips.getStoppingPattern(fixtureData, 0, 'mid', 'north');
+  assertArrayEqual(pattern.stations.map(s => s.segment), [false, true, true]);
+  assertEqual(pattern.stations[1].arrival, 380);
+  assertEqual(pattern.stations[1].departure, 381);
+  assertEqual(pattern.stopCount, 1);
+  assertEqual(pattern.skipped, 0);
+});
+
+test('getStoppingPattern: unknown trip', () => {
+  assertEqual(trips.getStoppingPattern(fixtureData, 42, 'south', 'north'), null);
+});
+
+test('findTransferTrips: legs point at their trips', () => {
+  const data = trips.ensureTrips(plannerData());
+  const [linked] = plan(data);
+  assertArrayEqual(linked.legs.map(l => data.trips[l.trip][0]), ['301', '103']);
+});
+
+section('Nearest station');
+
+const geoStations = [
+  { id: 'san_francisco', name: 'San Francisco', lat: 37.77639, lon: -122.39469 },
+  { id: 'palo_alto', name: 'Palo Alto', lat: 37.44307, lon: -122.16492 },
+  { id: 'mountain_view', name: 'Mountain View', lat: 37.39431, lon: -122.07592 }
+];
+
+test('distanceMeters: known distance and symmetry', () => {
+  // Palo Alto to Mountain View is about 9.5 km as the crow flies
+  const d = geo.distanceMeters(geoStations[1], geoStations[2]);
+  assertEqual(Math.round(d / 100), 95);
+  assertEqual(geo.distanceMeters(geoStations[2], geoStations[1]), d);
+  assertEqual(geo.distanceMeters(geoStations[0], geoStations[0]), 0);
+});
+
+test('findNearestStation: picks the closest station', () => {
+  // University Ave, a few blocks from Palo Alto station
+  const nearest = geo.findNearestStation(geoStations, { lat: 37.4470, lon: -122.1610 });
+  assertEqual(nearest.station.id, 'palo_alto');
+  assertEqual(Math.round(nearest.distance / 10), 56);
+  assertEqual(geo.findNearestStation(geoStations, { lat: 37.40, lon: -122.08 }).station.id, 'mountain_view');
+});
+
+test('findNearestStation: ignores stations without coordinates', () => {
+  const stations = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B', lat: 37.0, lon: -122.0 }];
+  assertEqual(geo.findNearestStation(stations, { lat: 0, lon: 0 }).station.id, 'b');
+  assertEqual(geo.findNearestStation([{ id: 'a', name: 'A' }], { lat: 0, lon: 0 }), null);
+  assertEqual(geo.findNearestStation([], { lat: 0, lon: 0 }), null);
+});
+
+test('hasCoordinates: older schedule files have none', () => {
+  assertEqual(geo.hasCoordinates(geoStations), true);
+  assertEqual(geo.hasCoordinates([{ id: 'a', name: 'A' }]), false);
+  assertEqual(geo.hasCoordinates([{ id: 'a', name: 'A', lat: null, lon: null }]), false);
+  assertEqual(geo.hasCoordinates([]), false);
+});
+
+test('formatWalkingDistance: feet, miles and walking time', () => {
+  assertEqual(geo.formatWalkingDistance(120), '400 ft · 2 min walk');
+  assertEqual(geo.formatWalkingDistance(10), '50 ft · 1 min walk');
+  assertEqual(geo.formatWalkingDistance(644), '0.4 mi · 8 min walk');
+  assertEqual(geo.formatWalkingDistance(9400), '5.8 mi');
+  assertEqual(geo.formatWalkingDistance(40000), '25 mi');
+});
+
+section('Service alerts');
+
+// Saved 511 SituationExchange responses
+const read511 = name => fs.readFileSync(path.join(FIXTURE_511, name), 'utf8');
+
+// Line from San Francisco to San Jose Diridon with the 511 stop codes used by the fixtures
+const alertData = {
+  stations: ['san_francisco', 'menlo_park', 'palo_alto', 'california_ave', 'mountain_view', 'sj_diridon'].map(id => ({ id, name: id })),
+  stops511: {
+    san_francisco: { n: '70011', s: '70012' },
+    menlo_park: { n: '70161', s: '70162' },
+    palo_alto: { n: '70171', s: '70172' },
+    california_ave: { n: '70191', s: '70192' },
+    mountain_view: { n: '70211', s: '70212' },
+    sj_diridon: { n: '70261', s: '70262' }
+  }
+};
+const MORNING = Date.parse('2026-10-20T14:00:00Z');  // 7am Pacific
+
+test('parseAlertsResponse: reads every situation (with byte order mark)', () => {
+  const list = alerts.parseAlertsResponse(read511('situations.json'));
+  assertArrayEqual(list.map(a => a.id), ['CT-1001', 'CT-1002', 'CT-1003', 'CT-0999']);
+  const [incident, busBridge, crowding] = list;
+  assertEqual(incident.severity, 'severe');
+  assertEqual(incident.stops.length, 6);
+  assertEqual(incident.networkWide, false);
+  assertArrayEqual(busBridge.trains, ['507', '509']);
+  assertEqual(busBridge.url, 'https://www.caltrain.com/alerts');
+  assertEqual(crowding.networkWide, true);
+  assertArrayEqual(crowding.periods, [{ start: Date.parse('2026-10-20T00:00:00Z'), end: null }]);
+  assertEqual(crowding.description, '');
+});
+
+test('parseAlertsResponse: single objects, translations and several validity periods', () => {
+  const [alert] = alerts.parseAlertsResponse(JSON.parse(read511('situations-single.json')));
+  assertEqual(alert.summary, 'Elevator out of service at San Jose Diridon');
+  assertEqual(alert.description, 'Use the ramp at the south end of the platform.');
+  assertArrayEqual(alert.stops, ['70262']);
+  assertEqual(alert.periods.length, 2);
+  assertEqual(alerts.isActive(alert, Date.parse('2026-10-20T10:00:00Z')), true);
+  assertEqual(alerts.isActive(alert, Date.parse('2026-10-20T15:00:00Z')), false);
+  assertEqual(alerts.isActive(alert, Date.parse('2026-10-21T01:00:00Z')), true);
+});
+
+test('parseAlertsResponse: no situations', () => {
+  assertArrayEqual(alerts.parseAlertsResponse(read511('situations-empty.json')), []);
+  assertArrayEqual(alerts.parseAlertsResponse({}), []);
+});
+
+test('matchAlerts: station alerts on the ride, train alerts and network-wide alerts', () => {
+  const list = alerts.parseAlertsResponse(read511('situations.json'));
+  const trip = { from: 'mountain_view', to: 'san_francisco', trainNums: ['507', '111'], time: MORNING };
+  const matched = alerts.matchAlerts(list, alertData, trip);
+  // Most severe first; the expired CT-0999 is dropped even though it is at San Francisco
+  assertArrayEqual(matched.map(a => a.id), ['CT-1001', 'CT-1002', 'CT-1003']);
+  assertArrayEqual(matched[0].stations, ['menlo_park', 'palo_alto', 'california_ave']);
+});
+
+test('matchAlerts: stations outside the ride and other trains are ignored', () => {
+  const list = alerts.parseAlertsResponse(read511('situations.json'));
+  const matched = alerts.matchAlerts(list, alertData, { from: 'mountain_view', to: 'sj_diridon', trainNums: ['111'], time: MORNING });
+  assertArrayEqual(matched.map(a => a.id), ['CT-1003']);
+});
+
+test('matchAlerts: validity is checked at the given time', () => {
+  const list = alerts.parseAlertsResponse(read511('situations.json'));
+  const evening = Date.parse('2026-10-21T02:00:00Z');
+  const matched = alerts.matchAlerts(list, alertData, { from: 'palo_alto', to: 'san_francisco', trainNums: ['507'], time: evening });
+  assertArrayEqual(matched.map(a => a.id), ['CT-1002', 'CT-1003']);
+});
+
+test('alertsByTrain: only alerts naming a train', () => {
+  const list = alerts.parseAlertsResponse(read511('situations.json'));
+  const byTrain = alerts.alertsByTrain(alerts.matchAlerts(list, alertData, { from: 'sj_diridon', to: 'san_francisco', trainNums: ['507'], time: MORNING }));
+  assertArrayEqual([...byTrain.keys()], ['507', '509']);
+  assertEqual(byTrain.get('507')[0].id, 'CT-1002');
+});
+
+section('Live status providers');
+
+// GTFS-Realtime fixtures were encoded with the reference gtfs-realtime-bindings. tripupdates.pb holds:
+// 507 (trip_id CT:507:20261020, vehicle label 507) delayed 3 min at SJ Diridon, 5 min leaving
+// Mountain View, 7 at Palo Alto, 8 at SF; 111 cancelled; 113 1 min early at Mountain View and
+// skipping Palo Alto; 115 with only a trip-level delay of 2 min; 117 deleted; 119 with no data at
+// Mountain View and 10 min late at SF; and a vehicle position for 507.
+const readRt = name => fs.readFileSync(path.join(FIXTURE_GTFS_RT, name));
+const liveData = { ...alertData, trips: [['507', 2, 0, 'n', []]], tripIds: { 'CT:507:20261020': 0 } };
+const northToSF = { from: 'mountain_view', to: 'san_francisco', direction: 'n' };
+
+// Stand-in for fetch serving a fixture
+const fixtureFetch = (body, urls = [], status = 200) => async url => {
+  urls.push(url);
+  return {
+    ok: status === 200,
+    status,
+    text: async () => body.toString(),
+    arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length)
+  };
+};
+
+test('decodeMessage: varints, negative int32, strings, packed and unknown fields', () => {
+  const schema = { 1: ['a', 'uint'], 2: ['b', 'int32'], 3: ['s', 'string'], 4: ['list', 'uint', 'repeated'] };
+  const bytes = Uint8Array.from([
+    0x08, 0x96, 0x01,                                                  // a = 150
+    0x10, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01,  // b = -1
+    0x1a, 0x02, 0x68, 0x69,                                            // s = 'hi'
+    0x22, 0x03, 0x01, 0x02, 0x03,                                      // list = [1, 2, 3] (packed)
+    0x28, 0x05,                                                        // field 5: unknown, skipped
+    0x20, 0x04                                                         // list += 4 (unpacked)
+  ]);
+  assertArrayEqual(protobuf.decodeMessage(bytes, schema), { list: [1, 2, 3, 4], a: 150, b: -1, s: 'hi' });
+});
+
+test('decodeFeed: header, trip updates and vehicle positions', () => {
+  const feed = gtfsRt.decodeFeed(readRt('tripupdates.pb'));
+  assertEqual(feed.header.gtfsRealtimeVersion, '2.0');
+  assertEqual(feed.header.timestamp, 1792504800);
+  assertEqual(feed.entity.length, 7);
+  const update = feed.entity[0].tripUpdate;
+  assertEqual(update.trip.tripId, 'CT:507:20261020');
+  assertEqual(update.stopTimeUpdate[1].departure.delay, 300);
+  assertEqual(update.stopTimeUpdate[1].departure.time, 1792505880);
+  assertEqual(feed.entity[2].tripUpdate.stopTimeUpdate[0].departure.delay, -60);
+  const vehicle = feed.entity[6].vehicle;
+  assertEqual(vehicle.position.latitude.toFixed(4), '37.3943');
+  assertEqual(vehicle.stopId, '70211');
+});
+
+test('decodeFeed: truncated feeds throw', () => {
+  assert.throws(() => gtfsRt.decodeFeed(readRt('truncated.pb')), /Truncated protobuf message/);
+});
+
+test('getTripStatuses: delays at the origin, cancellations and deleted entities', () => {
+  const statuses = gtfsRt.getTripStatuses(gtfsRt.decodeFeed(readRt('tripupdates.pb')), liveData, northToSF);
+  assertArrayEqual(Object.keys(statuses).sort(), ['111', '113', '115', '119', '507']);
+  assertArrayEqual(statuses['507'], { delay: 5, cancelled: false, skipped: [] });
+  assertArrayEqual(statuses['111'], { delay: null, cancelled: true, skipped: [] });
+  assertEqual(statuses['113'].delay, -1);
+  assertEqual(statuses['115'].delay, 2);
+  // Updates after the origin don't say anything about it
+  assertEqual(statuses['119'].delay, null);
+});
+
+test('getTripStatuses: delay carried over from the last stop before the origin', () => {
+  const statuses = gtfsRt.getTripStatuses(gtfsRt.decodeFeed(readRt('tripupdates.pb')), liveData,
+    { from: 'menlo_park', to: 'san_francisco', direction: 'n' });
+  assertEqual(statuses['507'].delay, 7);
+  assertEqual(statuses['113'].delay, -1);
+});
+
+test('getTripStatuses: skipped origin or destination', () => {
+  const statuses = gtfsRt.getTripStatuses(gtfsRt.decodeFeed(readRt('tripupdates.pb')), liveData,
+    { from: 'mountain_view', to: 'palo_alto', direction: 'n' });
+  assertArrayEqual(statuses['113'].skipped, ['palo_alto']);
+  assertArrayEqual(statuses['507'].skipped, []);
+});
+
+test('getTripStatuses: train numbers from the vehicle label without a trip id map', () => {
+  const statuses = gtfsRt.getTripStatuses(gtfsRt.decodeFeed(readRt('tripupdates.pb')), alertData, northToSF);
+  assertEqual(statuses['507'].delay, 5);
+});
+
+test('getTripStatuses: vehicle positions alone give no status', () => {
+  const feed = gtfsRt.decodeFeed(readRt('vehiclepositions.pb'));
+  assertEqual(feed.entity[0].vehicle.vehicle.label, '210');
+  assertArrayEqual(gtfsRt.getTripStatuses(feed, liveData, northToSF), {});
+});
+
+test('parseStopMonitoring: delays and cancelled calls', () => {
+  const statuses = live.parseStopMonitoring(read511('stop-monitoring.json'));
+  assertArrayEqual(statuses, {
+    507: { delay: 5, cancelled: false, skipped: [] },
+    111: { delay: null, cancelled: true, skipped: [] },
+    113: { delay: -1, cancelled: false, skipped: [] }
+  });
+});
+
+test('511 provider: StopMonitoring for the origin platform', async () => {
+  const urls = [];
+  const fetch = fixtureFetch(read511('stop-monitoring.json'), urls);
+  const statuses = await live.getProvider('511').fetchStatus({ ...northToSF, data: liveData, apiKey: 'KEY', fetch });
+  assertEqual(statuses['507'].delay, 5);
+  assert.match(urls[0], /StopMonitoring\?api_key=KEY&agency=CT&stopCode=70211&/);
+  assertEqual(await live.getProvider('511').fetchStatus({ ...northToSF, data: liveData, fetch }), null);
+});
+
+test('GTFS-Realtime provider: configurable feed URL with the API key filled in', async () => {
+  const urls = [];
+  const fetch = fixtureFetch(readRt('tripupdates.pb'), urls);
+  const provider = live.getProvider('gtfs-rt');
+  const statuses = await provider.fetchStatus({ ...northToSF, data: liveData, apiKey: 'KEY', fetch });
+  assertEqual(statuses['111'].cancelled, true);
+  assertEqual(urls[0], 'https://api.511.org/transit/tripupdates?api_key=KEY&agency=CT');
+
+  await provider.fetchStatus({ ...northToSF, data: liveData, feedUrl: 'https://example.com/rt.pb', fetch });
+  assertEqual(urls[1], 'https://example.com/rt.pb');
+  // The default URL needs the key
+  assertEqual(await provider.fetchStatus({ ...northToSF, data: liveData, fetch }), null);
+});
+
+test('GTFS-Realtime provider: HTTP errors and broken feeds give null', async () => {
+  const provider = live.getProvider('gtfs-rt');
+  const quiet = console.error;
+  console.error = () => {};
+  try {
+    const failed = await provider.fetchStatus({ ...northToSF, data: liveData, apiKey: 'KEY', fetch: fixtureFetch(Buffer.alloc(0), [], 500) });
+    assertEqual(failed, null);
+    const broken = await provider.fetchStatus({ ...northToSF, data: liveData, apiKey: 'KEY', fetch: fixtureFetch(readRt('truncated.pb')) });
+    assertEqual(broken, null);
+  } finally {
+    console.error = quiet;
+  }
+});
+
+test('getProvider: unknown ids fall back to 511', () => {
+  assertEqual(live.getProvider('nope'), live.providers['511']);
+});
+
+section('Departure reminders');
+
+// Train 507 leaving Palo Alto at 7:43am; 10 min warning, 5 min walk to Palo Alto
+const reminder507 = () => reminders.createReminder({ date: '2026-10-19', trainNum: 507, from: 'palo_alto', to: 'san_francisco', departure: 463 });
+const reminderSettings = { lead: 10, walk: { palo_alto: 5 } };
+const localTime = (d, h, m) => schedule.getZonedDate(2026, 10, d, h, m).getTime();
+
+test('createReminder: train numbers as strings, no live status yet', () => {
+  assertArrayEqual(reminder507(), {
+    date: '2026-10-19', trainNum: '507', from: 'palo_alto', to: 'san_francisco', departure: 463, delay: null, cancelled: false
+  });
+  assertEqual(reminders.getReminderId(reminder507()), '2026-10-19|palo_alto|507');
+});
+
+test('getNotifyTime: lead time plus the walk to the station', () => {
+  assertEqual(reminders.getLeaveTime(reminder507(), reminderSettings), localTime(19, 7, 38));
+  assertEqual(reminders.getNotifyTime(reminder507(), reminderSettings), localTime(19, 7, 28));
+  // No walking time saved for the station
+  assertEqual(reminders.getNotifyTime({ ...reminder507(), from: 'menlo_park' }, reminderSettings), localTime(19, 7, 33));
+  assertEqual(reminders.getNotifyTime(reminder507()), localTime(19, 7, 33));
+});
+
+test('getNotifyTime: delays move it, late-night trains fall on the next calendar day', () => {
+  assertEqual(reminders.getNotifyTime({ ...reminder507(), delay: 6 }, reminderSettings), localTime(19, 7, 34));
+  assertEqual(reminders.getNotifyTime({ ...reminder507(), delay: -2 }, reminderSettings), localTime(19, 7, 26));
+  assertEqual(reminders.getDepartureTime({ ...reminder507(), departure: 24 * 60 + 10 }), localTime(20, 0, 10));
+});
+
+test('planReminders: soonest first, skipping departed and cancelled trains', () => {
+  const list = [
+    { ...reminder507(), trainNum: '509', departure: 483 },
+    reminder507(),
+    { ...reminder507(), trainNum: '111', departure: 475, cancelled: true },
+    { ...reminder507(), trainNum: '103', departure: 400 }
+  ];
+  const planned = reminders.planReminders(list, reminderSettings, localTime(19, 7, 0));
+  assertArrayEqual(planned.map(p => p.reminder.trainNum), ['507', '509']);
+  assertEqual(planned[0].at, localTime(19, 7, 28));
+  assertEqual(planned[0].until, localTime(19, 7, 43));
+  assertEqual(planned[0].leaveAt, localTime(19, 7, 38));
+});
+
+test('planReminders: starred too late for the warning still notifies (right away)', () => {
+  const [planned] = reminders.planReminders([reminder507()], reminderSettings, localTime(19, 7, 40));
+  assert.ok(planned.at < localTime(19, 7, 40));
+});
+
+test('planReminders: a new delay gives a new id under the same tag', () => {
+  const now = localTime(19, 7, 0);
+  const [before] = reminders.planReminders([reminder507()], reminderSettings, now);
+  const [after] = reminders.planReminders([{ ...reminder507(), delay: 5 }], reminderSettings, now);
+  assertEqual(before.tag, after.tag);
+  assert.notStrictEqual(before.id, after.id);
+  assertEqual(after.at, localTime(19, 7, 33));
+});
+
+test('pruneReminders: drops trains that have left, counting the delay', () => {
+  const list = [reminder507(), { ...reminder507(), trainNum: '103', departure: 400 }, { ...reminder507(), trainNum: '101', departure: 415, delay: 50 }];
+  assertArrayEqual(reminders.pruneReminders(list, localTime(19, 7, 0)).map(r => r.trainNum), ['507', '101']);
+});
+
+test('applyLiveStatuses: an on-time first status is not news, a delay is', () => {
+  const where = { from: 'palo_alto', date: '2026-10-19' };
+  const quiet = reminders.applyLiveStatuses([reminder507()], { 507: { delay: 0, cancelled: false } }, where);
+  assertEqual(quiet.changes.length, 0);
+  assertEqual(quiet.reminders[0].delay, null);
+
+  const late = reminders.applyLiveStatuses([reminder507()], { 507: { delay: 5, cancelled: false } }, where);
+  assertEqual(late.changes.length, 1);
+  assertEqual(late.reminders[0].delay, 5);
+  assertArrayEqual(late.changes[0].previous, { delay: null, cancelled: false });
+});
+
+test('applyLiveStatuses: small changes are ignored, larger ones and recoveries notify', () => {
+  const where = { from: 'palo_alto', date: '2026-10-19' };
+  const late = { ...reminder507(), delay: 5 };
+  const wobble = reminders.applyLiveStatuses([late], { 507: { delay: 6, cancelled: false } }, where);
+  assertEqual(wobble.changes.length, 0);
+  assertEqual(wobble.reminders[0].delay, 5);
+
+  const recovered = reminders.applyLiveStatuses([late], { 507: { delay: 0, cancelled: false } }, where);
+  assertEqual(recovered.changes.length, 1);
+  assertEqual(recovered.reminders[0].delay, 0);
+
+  const unknown = reminders.applyLiveStatuses([late], { 507: { delay: null, cancelled: false } }, where);
+  assertEqual(unknown.changes.length, 0);
+});
+
+test('applyLiveStatuses: cancellation notifies once', () => {
+  const where = { from: 'palo_alto', date: '2026-10-19' };
+  const cancelled = reminders.applyLiveStatuses([reminder507()], { 507: { delay: null, cancelled: true } }, where);
+  assertEqual(cancelled.changes.length, 1);
+  assertEqual(cancelled.reminders[0].cancelled, true);
+  const again = reminders.applyLiveStatuses(cancelled.reminders, { 507: { delay: null, cancelled: true } }, where);
+  assertEqual(again.changes.length, 0);
+});
+
+test('applyLiveStatuses: only statuses for the same station and day apply', () => {
+  const status = { 507: { delay: 9, cancelled: false } };
+  assertEqual(reminders.applyLiveStatuses([reminder507()], status, { from: 'menlo_park', date: '2026-10-19' }).changes.length, 0);
+  assertEqual(reminders.applyLiveStatuses([reminder507()], status, { from: 'palo_alto', date: '2026-10-20' }).changes.length, 0);
+  assertEqual(reminders.applyLiveStatuses([reminder507()], null, { from: 'palo_alto', date: '2026-10-19' }).changes.length, 0);
+});
+
+section('Calendar export');
+
+// Train 503 Palo Alto -> SF at 7:43am, arriving 8:22am
+const calendarTrip = (extra = {}) => ({
+  uid: 'test-503@caltrain-quick',
+  summary: 'Caltrain 503: Palo Alto → San Francisco',
+  location: 'Palo Alto Caltrain station',
+  description: 'Express train 503\nChange at Millbrae, 4 min',
+  date: '20261019',
+  departure: 463,
+  arrival: 502,
+  ...extra
+});
+// Content lines of a calendar, unfolded
+const icsLines = text => text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+const eventLines = text => {
+  const lines = icsLines(text);
+  return lines.slice(lines.indexOf('BEGIN:VEVENT'), lines.indexOf('END:VEVENT') + 1);
+};
+// Lines of the VTIMEZONE observance starting at a local time
+const observanceLines = (text, start) => {
+  const lines = icsLines(text);
+  const i = lines.indexOf(`DTSTART:${start}`);
+  return lines.slice(i - 4, i + 2);
+};
+
+test('escapeText: backslashes, separators and newlines', () => {
+  assertEqual(ics.escapeText('a\\b; c, d\ne'), 'a\\\\b\\; c\\, d\\ne');
+});
+
+test('foldLine: 75 octets per line, multi-byte characters kept whole', () => {
+  const folded = ics.foldLine('X'.repeat(80)).split('\r\n');
+  assertArrayEqual(folded.map(l => l.length), [75, 6]);
+  assert.ok(folded[1].startsWith(' '));
+
+  const arrows = ics.foldLine('→'.repeat(30)).split('\r\n');
+  assertArrayEqual(arrows.map(l => Buffer.byteLength(l)), [75, 16]);
+  assertEqual(arrows.join('').replace(/ /g, ''), '→'.repeat(30));
+});
+
+test('formatLocalTime: minutes past midnight of the service day', () => {
+  assertEqual(ics.formatLocalTime('20261019', 463), '20261019T074300');
+  assertEqual(ics.formatLocalTime('20261031', 24 * 60 + 10), '20261101T001000');
+});
+
+test('getServiceDates / getExceptionDates: days pattern, range and exceptions', () => {
+  const range = { days: '1111100', start: '20261123', until: '20261130' };
+  assertArrayEqual(ics.getServiceDates({ ...range, except: ['20261126'] }),
+    ['20261123', '20261124', '20261125', '20261127', '20261130']);
+  // Saturday and out-of-range holidays don't apply
+  assertArrayEqual(ics.getExceptionDates(['20261127', '20261126', '20261128', '20261225', '20261126'], range),
+    ['20261126', '20261127']);
+});
+
+test('buildCalendar: one-off train', () => {
+  const text = ics.buildCalendar([calendarTrip()], { now: new Date(Date.UTC(2026, 9, 19, 14, 5, 9)) });
+  assert.ok(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(text), 'CRLF line endings only');
+  assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  assert.ok(icsLines(text).includes('TZID:America/Los_Angeles'));
+  assertArrayEqual(eventLines(text), [
+    'BEGIN:VEVENT',
+    'UID:test-503@caltrain-quick',
+    'DTSTAMP:20261019T140509Z',
+    'DTSTART;TZID=America/Los_Angeles:20261019T074300',
+    'DTEND;TZID=America/Los_Angeles:20261019T082200',
+    'SUMMARY:Caltrain 503: Palo Alto → San Francisco',
+    'LOCATION:Palo Alto Caltrain station',
+    'DESCRIPTION:Express train 503\\nChange at Millbrae\\, 4 min',
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ]);
+});
+
+test('buildCalendar: weekday commute until the timetable ends, holidays excluded', () => {
+  const repeat = { days: '1111100', until: '20261130', except: ['20261126', '20261127', '20261128', '20260101'] };
+  const lines = eventLines(ics.buildCalendar([calendarTrip({ repeat })]));
+  assert.ok(lines.includes('DTSTART;TZID=America/Los_Angeles:20261019T074300'));
+  // 7:43am PST on the last day
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261130T154300Z'));
+  assert.ok(lines.includes('EXDATE;TZID=America/Los_Angeles:20261126T074300,20261127T074300'));
+});
+
+test('buildCalendar: commute starts on its first running day, UNTIL in daylight time', () => {
+  const repeat = { days: '1111100', until: '20260701', except: [] };
+  const lines = eventLines(ics.buildCalendar([calendarTrip({ date: '20260606', repeat })]));
+  assert.ok(lines.includes('DTSTART;TZID=America/Los_Angeles:20260608T074300'));
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20260701T144300Z'));
+  assert.ok(!lines.some(l => l.startsWith('EXDATE')));
+});
+
+test('buildCalendar: trains after midnight repeat on the next calendar day', () => {
+  // Friday-night train at 12:10am, with Friday 11/27 as a holiday
+  const repeat = { days: '0000100', until: '20261204', except: ['20261127'] };
+  const lines = eventLines(ics.buildCalendar([calendarTrip({ date: '20261119', departure: 1450, arrival: 1490, repeat })]));
+  assert.ok(lines.includes('DTSTART;TZID=America/Los_Angeles:20261121T001000'));
+  assert.ok(lines.includes('DTEND;TZID=America/Los_Angeles:20261121T005000'));
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=SA;UNTIL=20261205T081000Z'));
+  assert.ok(lines.includes('EXDATE;TZID=America/Los_Angeles:20261128T001000'));
+});
+
+test('buildCalendar: UNTIL on the days clocks change', () => {
+  const untilOf = (until, departure = 463) => eventLines(ics.buildCalendar([calendarTrip({ date: '20260101', departure, arrival: departure + 39, repeat: { days: '1111111', until, except: [] } })]))
+    .find(l => l.startsWith('RRULE')).split('UNTIL=')[1];
+  assertEqual(untilOf('20260308'), '20260308T144300Z', '7:43am PDT, the morning clocks spring forward');
+  assertEqual(untilOf('20260307', 1450), '20260308T081000Z', '12:10am PST, before they do');
+  assertEqual(untilOf('20261101'), '20261101T154300Z', '7:43am PST, the morning clocks fall back');
+});
+
+test('buildCalendar: Pacific zone definition for the years of the events', () => {
+  const repeat = { days: '1111100', until: '20270301', except: [] };
+  const text = ics.buildCalendar([calendarTrip({ repeat })]);
+  const lines = icsLines(text);
+  const zone = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+  assertArrayEqual(zone.filter(l => l.startsWith('DTSTART')),
+    ['DTSTART:20260101T000000', 'DTSTART:20260308T020000', 'DTSTART:20261101T020000', 'DTSTART:20270314T020000', 'DTSTART:20271107T020000']);
+  assertArrayEqual(observanceLines(text, '20260308T020000'),
+    ['BEGIN:DAYLIGHT', 'TZOFFSETFROM:-0800', 'TZOFFSETTO:-0700', 'TZNAME:PDT', 'DTSTART:20260308T020000', 'END:DAYLIGHT']);
+  assertArrayEqual(observanceLines(text, '20261101T020000'),
+    ['BEGIN:STANDARD', 'TZOFFSETFROM:-0700', 'TZOFFSETTO:-0800', 'TZNAME:PST', 'DTSTART:20261101T020000', 'END:STANDARD']);
+  assert.ok(lines.includes('PRODID:-//Caltrain Quick//Train export//EN'));
+});
+
+test('buildCalendar: feeds in another time zone', () => {
+  const repeat = { days: '1111100', until: '20261030', except: [] };
+  const text = ics.buildCalendar([calendarTrip({ repeat })], { timeZone: 'Europe/Berlin', name: 'S-Bahn Quick' });
+  const lines = icsLines(text);
+  assert.ok(lines.includes('PRODID:-//S-Bahn Quick//Train export//EN'));
+  assert.ok(lines.includes('TZID:Europe/Berlin'));
+  assert.ok(!text.includes('America/Los_Angeles'));
+  // Clocks go back from 3am CEST to 2am CET on October 25th (names vary with the ICU data)
+  assertArrayEqual(observanceLines(text, '20261025T030000').filter(l => !l.startsWith('TZNAME')),
+    ['BEGIN:STANDARD', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100', 'DTSTART:20261025T030000', 'END:STANDARD']);
+  const event = eventLines(text);
+  assert.ok(event.includes('DTSTART;TZID=Europe/Berlin:20261019T074300'));
+  assert.ok(event.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261030T064300Z'));  // 7:43am CET
+});
+
+test('buildCalendar: commutes that never run are left out', () => {
+  const repeat = { days: '1111100', until: '20261020', except: ['20261019', '20261020'] };
+  assert.ok(!ics.buildCalendar([calendarTrip({ repeat })]).includes('BEGIN:VEVENT'));
+});
+
+section('Saved trips');
+
+const v1State = { homeStation: 'palo_alto', direction: 'n', destination: 'san_francisco', favorites: ['san_francisco', 'millbrae'], sortBy: 'arrive' };
+const savedTrip = fields => ({ id: 'x', name: '', from: 'a', to: 'b', types: null, days: null, start: null, end: null, returnAt: null,
+  maxDuration: null, arriveBefore: null, returnArriveBefore: null, direct: false, ...fields });
+// October 2026: the 19th is a Monday, the 24th a Saturday
+const oct = (d, h, m = 0) => schedule.getZonedDate(2026, 10, d, h, m);
+
+test('migrateState: home station and destination become the first saved trip', () => {
+  const migrated = savedTrips.migrateState(v1State);
+  assertEqual(migrated.version, 2);
+  assertArrayEqual(migrated.trips, [savedTrip({ id: 'trip-1', from: 'palo_alto', to: 'san_francisco' })]);
+  assertEqual(migrated.activeTrip, 'trip-1');
+  // Everything else is kept
+  assertEqual(migrated.homeStation, 'palo_alto');
+  assertArrayEqual(migrated.favorites, ['san_francisco', 'millbrae']);
+  assertEqual(migrated.sortBy, 'arrive');
+});
+
+test('migrateState: no destination, no trip; current state is left alone', () => {
+  const migrated = savedTrips.migrateState({ ...v1State, destination: null });
+  assertArrayEqual(migrated.trips, []);
+  assertEqual(migrated.activeTrip, null);
+
+  const current = { version: 2, trips: [], activeTrip: null };
+  assertEqual(savedTrips.migrateState(current), current);
+  assertEqual(savedTrips.migrateState(savedTrips.migrateState(v1State)).trips.length, 1);
+  assertEqual(savedTrips.migrateState(null), null);
+});
+
+test('createSavedTrip: ids stay unique after deletions', () => {
+  const trips = [savedTrip({ id: 'trip-2' })];
+  assertEqual(savedTrips.createSavedTrip(trips, { from: 'a', to: 'b' }).id, 'trip-3');
+  assertEqual(savedTrips.createSavedTrip([], { from: 'a', to: 'b', name: 'Work', days: '1111100' }).days, '1111100');
+});
+
+test('isSavedTripFor: days of the service day', () => {
+  const weekdays = savedTrip({ days: '1111100' });
+  assert.ok(savedTrips.isSavedTripFor(weekdays, oct(19, 8)));
+  assert.ok(!savedTrips.isSavedTripFor(weekdays, oct(24, 8)));
+  // 1am Saturday is still Friday's service
+  assert.ok(savedTrips.isSavedTripFor(weekdays, oct(24, 1)));
+  assert.ok(savedTrips.isSavedTripFor(savedTrip({}), oct(24, 8)));
+});
+
+test('isSavedTripFor: time windows, including past midnight', () => {
+  const evening = savedTrip({ start: '18:00', end: '20:00' });
+  assert.ok(savedTrips.isSavedTripFor(evening, oct(19, 18)));
+  assert.ok(!savedTrips.isSavedTripFor(evening, oct(19, 20)));
+  const lateNight = savedTrip({ start: '22:00', end: '02:00' });
+  assert.ok(savedTrips.isSavedTripFor(lateNight, oct(19, 23)));
+  assert.ok(savedTrips.isSavedTripFor(lateNight, oct(20, 1)));
+  assert.ok(!savedTrips.isSavedTripFor(lateNight, oct(19, 12)));
+});
+
+test('isReturnTime: from the return time to the end of the service day', () => {
+  const trip = savedTrip({ returnAt: '15:00' });
+  assert.ok(!savedTrips.isReturnTime(trip, oct(19, 14, 59)));
+  assert.ok(savedTrips.isReturnTime(trip, oct(19, 15)));
+  assert.ok(savedTrips.isReturnTime(trip, oct(20, 1)));
+  assert.ok(!savedTrips.isReturnTime(trip, oct(20, 4)));
+  assert.ok(!savedTrips.isReturnTime(savedTrip({}), oct(19, 23)));
+});
+
+test('pickSavedTrip: weekday commute with its way back, weekend trip, evening trip', () => {
+  const trips = [
+    savedTrip({ id: 'work', from: 'palo_alto', to: 'san_francisco', days: '1111100', returnAt: '15:00' }),
+    savedTrip({ id: 'weekend', from: 'san_jose_diridon', to: 'mountain_view', days: '0000011' }),
+    savedTrip({ id: 'gym', from: 'palo_alto', to: 'menlo_park', days: '1111100', start: '18:30', end: '20:00' })
+  ];
+  const pick = date => {
+    const picked = savedTrips.pickSavedTrip(trips, date);
+    return picked && `${picked.trip.id}${picked.reversed ? ' back' : ''}`;
+  };
+  assertEqual(pick(oct(19, 8)), 'work');
+  assertEqual(pick(oct(19, 17)), 'work back');
+  assertEqual(pick(oct(19, 19)), 'gym');
+  assertEqual(pick(oct(24, 11)), 'weekend');
+  assertEqual(savedTrips.pickSavedTrip(trips.slice(0, 1), oct(24, 11)), null);
+});
+
+test('pickSavedTrip: a trip for any time only when nothing more specific applies', () => {
+  const trips = [savedTrip({ id: 'any' }), savedTrip({ id: 'weekdays', days: '1111100' })];
+  assertEqual(savedTrips.pickSavedTrip(trips, oct(19, 8)).trip.id, 'weekdays');
+  assertEqual(savedTrips.pickSavedTrip(trips, oct(24, 8)).trip.id, 'any');
+});
+
+test('filterByTypes: preferred route types, every leg of a journey', () => {
+  const trains = [
+    { trainNum: '101', routeType: 0 },
+    { trainNum: '501', routeType: 2 },
+    { trainNum: '501', routeType: 2, legs: [{ routeType: 2 }, { routeType: 0 }] }
+  ];
+  assertArrayEqual(savedTrips.filterByTypes(trains, [2]).map(t => t.trainNum), ['501']);
+  assertEqual(savedTrips.filterByTypes(trains, [0, 2]).length, 3);
+  assertEqual(savedTrips.filterByTypes(trains, null).length, 3);
+});
+
+// ============================================================================
+section('URL state');
+
+const urlStations = [
+  { id: 'san_francisco', name: 'San Francisco' },
+  { id: 'place_MLBR', name: 'Millbrae' },
+  { id: 'palo_alto', name: 'Palo Alto' },
+  { id: 'sj_diridon', name: 'San Jose Diridon' }
+];
+
+test('stationSlug / findStation: name slugs and station ids', () => {
+  assertEqual(urlState.stationSlug(urlStations[3]), 'san-jose-diridon');
+  assertEqual(urlState.findStation(urlStations, 'san-jose-diridon'), 'sj_diridon');
+  assertEqual(urlState.findStation(urlStations, 'Millbrae'), 'place_MLBR');
+  assertEqual(urlState.findStation(urlStations, 'place_mlbr'), 'place_MLBR');
+  assertEqual(urlState.findStation(urlStations, 'gilroy'), null);
+  assertEqual(urlState.findStation(urlStations, null), null);
+});
+
+test('parseViewParams: stations, return view, types and saved trip', () => {
+  const view = urlState.parseViewParams('?from=millbrae&to=san-francisco&return=1&types=limited,express', urlStations);
+  assertArrayEqual(view, { from: 'place_MLBR', to: 'san_francisco', reversed: true, types: [1, 2], trip: null });
+  assertArrayEqual(urlState.parseViewParams('?types=all', urlStations).types, []);
+  assertEqual(urlState.parseViewParams('?types=bullet', urlStations).types, null);
+  assertEqual(urlState.parseViewParams('?trip=2', urlStations).trip, 2);
+  assertEqual(urlState.parseViewParams('?trip=0', urlStations).trip, null);
+  assertEqual(urlState.parseViewParams('?trip=x', urlStations).trip, null);
+  // A destination that is the origin is dropped
+  assertEqual(urlState.parseViewParams('?from=palo-alto&to=palo_alto', urlStations).to, null);
+});
+
+test('buildViewParams: round trip, keeping the trip plan', () => {
+  const view = { from: 'sj_diridon', to: 'place_MLBR', reversed: true, types: [0, 3] };
+  const query = urlState.buildViewParams(view, urlStations, '?date=2026-10-19&time=08:00&mode=depart&trip=1');
+  assertEqual(query, 'date=2026-10-19&time=08%3A00&mode=depart&from=san-jose-diridon&to=millbrae&return=1&types=local%2Csouth-county');
+  assertArrayEqual(urlState.parseViewParams(query, urlStations), { ...view, trip: null });
+  assertEqual(parsePlanParams(query).time, '08:00');
+});
+
+test('buildViewParams: "all" types, no return view without a destination', () => {
+  assertEqual(urlState.buildViewParams({ from: 'palo_alto', to: null, reversed: true, types: [] }, urlStations), 'from=palo-alto&types=all');
+  assertEqual(urlState.buildViewParams({ from: null, to: null, reversed: false, types: null }, urlStations), '');
+});
+
+test('buildViewParams: API keys never end up in the URL', () => {
+  const view = { from: 'palo_alto', to: 'san_francisco', reversed: false, types: null };
+  const query = urlState.buildViewParams(view, urlStations, '?apikey=abc&key=def&time=08:00');
+  assert.ok(!query.includes('abc') && !query.includes('def'));
+  assertEqual(buildPlanParams({ mode: 'now' }, query), 'from=palo-alto&to=san-francisco');
+});
+
+test('buildShortcuts / buildManifest: first saved trips, absolute URLs', () => {
+  const saved = [1, 2, 3, 4, 5].map(n => ({ id: `trip-${n}`, name: n === 1 ? 'Work' : '', from: 'a', to: 'b' }));
+  const nameOf = trip => trip.name || `Trip ${trip.id}`;
+  const shortcuts = urlState.buildShortcuts(saved, nameOf);
+  assertEqual(shortcuts.length, 4);
+  assertArrayEqual(shortcuts[0], { name: 'Work', short_name: 'Work', url: './?trip=1' });
+  assertEqual(shortcuts[1].name, 'Trip trip-2');
+
+  const manifest = { name: 'Caltrain Quick', start_url: './', icons: [{ src: 'icon-192.png' }] };
+  const built = urlState.buildManifest(manifest, saved.slice(0, 1), 'https://example.test/caltrain/?from=x', nameOf);
+  assertEqual(built.name, 'Caltrain Quick');
+  assertEqual(built.start_url, 'https://example.test/caltrain/');
+  assertEqual(built.scope, 'https://example.test/caltrain/');
+  assertEqual(built.icons[0].src, 'https://example.test/caltrain/icon-192.png');
+  assertEqual(built.shortcuts[0].url, 'https://example.test/caltrain/?trip=1');
+});
+
+// ============================================================================
+section('Train filters');
+
+const filterSample = [
+  { trainNum: '101', routeType: 0, time: 480, arrival: 540, duration: 60 },
+  { trainNum: '401', routeType: 1, time: 490, arrival: 530, duration: 40 },
+  { trainNum: '501', routeType: 2, time: 500, arrival: 531, duration: 31, legs: [{ routeType: 2 }, { routeType: 2 }] },
+  { trainNum: '199', routeType: 0, time: 1420, arrival: 1475, duration: 55 }
+];
+const filtered = f => filters.filterTrains(filterSample, { ...filters.FILTER_DEFAULTS, ...f }).map(t => t.trainNum);
+
+test('filterTrains: no filters keeps every train in order', () => {
+  assertArrayEqual(filtered({}), ['101', '401', '501', '199']);
+  assert.ok(!filters.hasFilters(filters.FILTER_DEFAULTS));
+  assert.ok(!filters.hasFilters({ ...filters.FILTER_DEFAULTS, types: [] }));
+  assert.ok(filters.hasFilters({ ...filters.FILTER_DEFAULTS, direct: true }));
+});
+
+test('filterTrains: types, longest ride and transfers', () => {
+  assertArrayEqual(filtered({ types: [0, 1] }), ['101', '401', '199']);
+  assertArrayEqual(filtered({ maxDuration: 40 }), ['401', '501']);
+  assertArrayEqual(filtered({ direct: true }), ['101', '401', '199']);
+  assertArrayEqual(filtered({ types: [1, 2], maxDuration: 45, direct: true }), ['401']);
+});
+
+test('filterTrains: arriving before, past midnight on the same service day', () => {
+  assertArrayEqual(filtered({ arriveBefore: '08:50' }), ['401']);
+  assertArrayEqual(filtered({ arriveBefore: '09:00' }), ['101', '401', '501']);
+  // 00:30 is the end of the service day, so the 11:40pm train arriving at 12:35am is out
+  assertArrayEqual(filtered({ arriveBefore: '00:30' }), ['101', '401', '501']);
+  assertArrayEqual(filtered({ arriveBefore: '01:00' }), ['101', '401', '501', '199']);
+  assertEqual(filters.toServiceMinutes('02:59'), 1619);
+  assertEqual(filters.toServiceMinutes('03:00'), 180);
+});
+
+test('getTripFilters / setTripFilters: arrival time per direction, the rest both ways', () => {
+  const trip = savedTrips.createSavedTrip([], { from: 'palo_alto', to: 'san_francisco', types: [2] });
+  const updated = filters.setTripFilters(trip, false, { arriveBefore: '09:00', maxDuration: 45 });
+  const back = filters.setTripFilters(updated, true, { arriveBefore: '18:30', direct: true });
+  assertArrayEqual(filters.getTripFilters(back), { types: [2], maxDuration: 45, arriveBefore: '09:00', direct: true });
+  assertArrayEqual(filters.getTripFilters(back, true), { types: [2], maxDuration: 45, arriveBefore: '18:30', direct: true });
+  // Saved before filters existed
+  assertArrayEqual(filters.getTripFilters({ from: 'a', to: 'b', types: null }), filters.FILTER_DEFAULTS);
+});
+
+// ============================================================================
+section('Timetable versions');
+
+const timetable = (version, validFrom, validTo = '20271231') => ({ version, url: `schedules/${version}.json`, validFrom, validTo });
+const versionsOf = list => list.map(t => t.version);
+
+test('pickTimetable: latest in effect, else the first to come', () => {
+  const list = [timetable('spring', '20260301'), timetable('fall', '20261101'), timetable('old', '20250601')];
+  assertEqual(scheduleVersions.pickTimetable(list, '20261019').version, 'spring');
+  assertEqual(scheduleVersions.pickTimetable(list, '20261101').version, 'fall');
+  assertEqual(scheduleVersions.pickTimetable(list.slice(1, 2), '20261019').version, 'fall');
+  assertEqual(scheduleVersions.pickTimetable([], '20261019'), null);
+});
+
+test('addTimetable: keeps the one in effect and upcoming ones, drops older', () => {
+  let { index, removed } = scheduleVersions.addTimetable(null, timetable('spring', '20260301'), '20261019');
+  assertArrayEqual(versionsOf(index.timetables), ['spring']);
+  ({ index, removed } = scheduleVersions.addTimetable(index, timetable('fall', '20261101'), '20261019'));
+  assertArrayEqual(versionsOf(index.timetables), ['spring', 'fall']);
+  assertArrayEqual(removed, []);
+  // Published again after fall started: spring is no longer needed
+  ({ index, removed } = scheduleVersions.addTimetable(index, timetable('fall', '20261101'), '20261105'));
+  assertArrayEqual(versionsOf(index.timetables), ['fall']);
+  assertArrayEqual(versionsOf(removed), ['spring']);
+});
+
+test('addTimetable: a corrected timetable with the same start replaces the first', () => {
+  const first = scheduleVersions.addTimetable(null, timetable('fall', '20261101'), '20261019').index;
+  const { index, removed } = scheduleVersions.addTimetable(first, timetable('fall-fixed', '20261101'), '20261019');
+  assertArrayEqual(versionsOf(index.timetables), ['fall-fixed']);
+  assertArrayEqual(versionsOf(removed), ['fall']);
+});
+
+test('findNewTimetables: published ones the app would use but has not downloaded', () => {
+  const index = { timetables: [timetable('spring', '20260301'), timetable('fall', '20261101')] };
+  assertArrayEqual(versionsOf(scheduleVersions.findNewTimetables(index, [timetable('spring', '20260301')], '20261019')), ['fall']);
+  assertArrayEqual(scheduleVersions.findNewTimetables(index, index.timetables, '20261019'), []);
+  // An older timetable still downloaded doesn't hide a newer one in effect
+  assertArrayEqual(versionsOf(scheduleVersions.findNewTimetables(index, [timetable('old', '20250601')], '20261019')), ['spring', 'fall']);
+  assertArrayEqual(scheduleVersions.findNewTimetables(null, [], '20261019'), []);
+});
+
+test('publishSchedule: content-hashed file listed in schedules.json, old files removed', async () => {
+  const site = fs.mkdtempSync(path.join(os.tmpdir(), 'caltrain-site-'));
+  const source = path.join(site, 'data.json');
+  try {
+    fs.writeFileSync(source, JSON.stringify({ validFrom: '20260301', validTo: '20261231' }));
+    const spring = (await publisher.publishSchedule(source, site, '20261019')).timetable;
+    assertEqual(spring.version, publisher.getVersion(fs.readFileSync(source)));
+    assertEqual(spring.url, `schedules/${spring.version}.json`);
+
+    fs.writeFileSync(source, JSON.stringify({ validFrom: '20261101', validTo: '20270630' }));
+    const { timetable: fall, removed } = await publisher.publishSchedule(source, site, '20261101');
+    assertArrayEqual(versionsOf(removed), [spring.version]);
+    assert.ok(!fs.existsSync(path.join(site, spring.url)));
+    assertEqual(fs.readFileSync(path.join(site, fall.url), 'utf-8'), fs.readFileSync(source, 'utf-8'));
+    assertArrayEqual(JSON.parse(fs.readFileSync(path.join(site, 'schedules.json'), 'utf-8')), { timetables: [fall] });
+  } finally {
+    fs.rmSync(site, { recursive: true, force: true });
+  }
+});
+
+test('publishSchedule: compact files are published as .bin', async () => {
+  const site = fs.mkdtempSync(path.join(os.tmpdir(), 'caltrain-site-'));
+  const source = path.join(site, 'schedule-data.bin');
+  try {
+    fs.writeFileSync(source, scheduleEncoder.encodeSchedule(fixtureData));
+    const { timetable } = await publisher.publishSchedule(source, site, '20260101');
+    assertEqual(timetable.url, `schedules/${timetable.version}.bin`);
+    assertEqual(timetable.validFrom, fixtureData.validFrom);
+  } finally {
+    fs.rmSync(site, { recursive: true, force: true });
+  }
+});
+
+test('getTodayKey: Pacific date, whatever the time zone', () => {
+  assertEqual(publisher.getTodayKey(new Date('2026-10-20T05:00:00Z')), '20261019');
+  assertEqual(publisher.getTodayKey(new Date('2026-10-20T08:00:00Z')), '20261020');
+});
+
+// ============================================================================
+section('Compact schedule format');
+
+const roundTrip = data => compactSchedule.decodeSchedule(scheduleEncoder.encodeSchedule(data));
+
+test('decodeSchedule: round trip of process-gtfs.js output is exact', () => {
+  const bytes = scheduleEncoder.encodeSchedule(fixtureData);
+  assert.ok(compactSchedule.isCompactSchedule(bytes));
+  assert.deepStrictEqual(compactSchedule.decodeSchedule(bytes), fixtureData);
+  assert.ok(bytes.length < JSON.stringify(fixtureData).length);
+});
+
+test('decodeSchedule: trips sharing stops and running times, arrivals, after midnight', () => {
+  const stations = ['a', 'b', 'c'].map(id => ({ id, name: id.toUpperCase() }));
+  const services = [{ id: 'weekday' }, { id: 'weekend' }];
+  const trips = [
+    ['101', 0, 0, 's', [[0, 480], [1, 492, 490], [2, 1450]]],
+    ['201', 0, 1, 's', [[0, 540], [1, 552, 550], [2, 1510]]],  // Same running times
+    ['102', 1, 0, 'n', [[2, 500], [0, 530]]],
+    ['M1', 3, 1, 'n', [[2, 1500, 1499], [1, 1520]]]
+  ];
+  const data = compactSchedule.buildSchedule({ stations, services, trips });
+  const full = { stations, schedule: data, trips, services, tripIds: { 'x-2': 1, 'x-10': 0, 'y': 2, 'x-1': 3 }, validFrom: '20260101' };
+  assert.deepStrictEqual(roundTrip(full), full);
+  // Rows rebuilt like process-gtfs.js writes them
+  assertArrayEqual(data.b.s, [[492, '101', 0, 0, 490, 0], [552, '201', 0, 1, 550, 1]]);
+  assertArrayEqual(data.b.n, [[1520, 'M1', 3, 1, null, 3]]);
+  assertArrayEqual(data.c.n, [[500, '102', 1, 0, null, 2], [1500, 'M1', 3, 1, 1499, 3]]);
+});
+
+test('decodeSchedule: rows the trips table can\'t rebuild are stored as they are', () => {
+  const stations = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+  const trips = [['2', 0, 0, 's', [[0, 480], [1, 500]]], ['1', 0, 0, 's', [[0, 480], [1, 500]]]];
+  // Older generators sorted trains leaving at the same minute differently
+  const schedule = {
+    a: { n: [], s: [[480, '2', 0, 0, null, 0], [480, '1', 0, 0, null, 1]] },
+    b: { n: [], s: [[500, '2', 0, 0, null, 0], [500, '1', 0, 0, null, 1]] }
+  };
+  const data = { stations, schedule, trips, services: [{ id: 'weekday' }] };
+  assert.deepStrictEqual(roundTrip(data), data);
+  assertEqual(roundTrip(data).schedule.a.s[0][1], '2');
+});
+
+test('decodeSchedule: rejects other files, newer versions and truncated ones', () => {
+  const bytes = scheduleEncoder.encodeSchedule(fixtureData);
+  assert.throws(() => compactSchedule.decodeSchedule(new TextEncoder().encode('{"stations":[]}')), /Not a compact schedule/);
+  const newer = bytes.slice();
+  newer[4] = compactSchedule.FORMAT_VERSION + 1;
+  assert.throws(() => compactSchedule.decodeSchedule(newer), /Unsupported schedule file version/);
+  assert.throws(() => compactSchedule.decodeSchedule(bytes.subarray(0, bytes.length - 3)), /Truncated/);
+});
+
+test('encodeSchedule: needs a trips table', () => {
+  assert.throws(() => scheduleEncoder.encodeSchedule({ stations: [], schedule: {} }), /trips table/);
+});
+
+section('Clock and time zones');
+
+const PACIFIC = 'America/Los_Angeles';
+
+test('getZonedTime: wall-clock time in the given zone, whatever the device\'s', () => {
+  const z = schedule.getZonedTime(new Date('2026-01-19T06:30:00Z'), PACIFIC);
+  assertArrayEqual([z.year, z.month, z.day, z.hours, z.minutes, z.weekday], [2026, 1, 18, 22, 30, 0]);
+  assertEqual(schedule.getDateKey(new Date('2026-07-04T06:59:00Z'), PACIFIC), '20260703');
+});
+
+test('getZonedDate: inverse of getZonedTime across clock changes', () => {
+  assertEqual(schedule.getZonedDate(2026, 7, 1, 12, 0, PACIFIC).toISOString(), '2026-07-01T19:00:00.000Z');
+  assertEqual(schedule.getZonedDate(2026, 1, 1, 12, 0, PACIFIC).toISOString(), '2026-01-01T20:00:00.000Z');
+  // 2:30am doesn't exist when clocks spring forward: it's 3:30am PDT
+  assertEqual(schedule.getZonedDate(2026, 3, 8, 2, 30, PACIFIC).toISOString(), '2026-03-08T10:30:00.000Z');
+  // 1:30am happens twice when they fall back: the first one (PDT)
+  assertEqual(schedule.getZonedDate(2026, 11, 1, 1, 30, PACIFIC).toISOString(), '2026-11-01T08:30:00.000Z');
+});
+
+test('getCurrentMinutes: before 3am rolls over in the given zone', () => {
+  assertEqual(getCurrentMinutes(new Date('2026-01-19T10:59:00Z'), PACIFIC), 1619);  // 2:59am
+  assertEqual(getCurrentMinutes(new Date('2026-01-19T11:00:00Z'), PACIFIC), 180);   // 3:00am
+  assertEqual(getCurrentMinutes(new Date('2026-01-19T11:00:00Z'), 'America/New_York'), 360);
+});
+
+test('getCurrentMinutes: wall-clock minutes on DST change nights', () => {
+  // Spring forward: 1:59am PST is followed by 3:00am PDT
+  assertEqual(getCurrentMinutes(new Date('2026-03-08T09:59:00Z'), PACIFIC), 1559);
+  assertEqual(getCurrentMinutes(new Date('2026-03-08T10:00:00Z'), PACIFIC), 180);
+  // Fall back: 1:30am comes twice, both late-night service of Saturday
+  assertEqual(getCurrentMinutes(new Date('2026-11-01T08:30:00Z'), PACIFIC), 1530);
+  assertEqual(getCurrentMinutes(new Date('2026-11-01T09:30:00Z'), PACIFIC), 1530);
+  assertEqual(getCurrentMinutes(new Date('2026-11-01T11:00:00Z'), PACIFIC), 180);
+});
+
+test('getServiceType: service day in the given zone around DST changes and holidays', () => {
+  // 00:30 PDT on Monday after spring forward is still Sunday's service (24 hours earlier would be Saturday)
+  assertEqual(schedule.getDateKey(schedule.getServiceDay(new Date('2026-03-09T07:30:00Z'), PACIFIC), PACIFIC), '20260308');
+  const holidays = { '20260308': 2 };
+  assertEqual(getServiceType(new Date('2026-03-09T07:30:00Z'), holidays, PACIFIC), 'modified');
+  assertEqual(getServiceType(new Date('2026-03-09T10:00:00Z'), holidays, PACIFIC), 'weekday');
+  // Friday evening in California is already Saturday in UTC
+  assertEqual(getServiceType(new Date('2026-01-17T03:00:00Z'), testHolidays, PACIFIC), 'weekday');
+  assertEqual(getServiceType(new Date('2026-01-19T16:00:00Z'), testHolidays, PACIFIC), 'modified');
+});
+
+test('getActiveServices: Sunday-night trains after fall back use Saturday\'s services', () => {
+  const services = [
+    { id: 'weekday', days: '1111100', start: null, end: null, add: [], remove: [] },
+    { id: 'weekend', days: '0000011', start: null, end: null, add: [], remove: [] }
+  ];
+  assertArrayEqual([...getActiveServices(new Date('2026-11-01T09:30:00Z'), services, PACIFIC)], [1]);
+  assertArrayEqual([...getActiveServices(new Date('2026-11-03T09:30:00Z'), services, PACIFIC)], [0]);
+});
+
+test('createClock: fixed now and zone for plans', () => {
+  const clock = schedule.createClock({ now: new Date('2026-01-17T07:30:00Z'), timeZone: PACIFIC });  // Fri 11:30pm
+  assertEqual(clock.now().toISOString(), '2026-01-17T07:30:00.000Z');
+  assertEqual(parsePlanParams('?time=8:00', clock).date, '2026-01-16');
+  const date = getPlanDate({ mode: 'depart', date: '2026-03-08', time: '08:00' }, clock);
+  assertEqual(date.toISOString(), '2026-03-08T15:00:00.000Z');
+  assertEqual(getPlanDate({ mode: 'now' }, clock).getTime(), clock.now().getTime());
+  let ticks = 0;
+  assertEqual(schedule.createClock({ now: () => ++ticks * 60000 }).now().getTime(), 60000);
+});
+
+section('Pacific time matrix');
+
+// Moments (UTC) around DST changes, the 3am service day boundary and holidays (2026 clocks change on
+// March 8 and November 1), with the service day, minutes and service type the app should use
+const matrixHolidays = { '20260119': 2, '20261126': 1, '20261127': 2, '20270101': 1 };
+const pacificMatrix = [
+  ['Friday 3:59pm PST', '2026-01-16T23:59:00Z', '20260116', 959, 'weekday'],
+  ['Friday 5:30pm PST, already Saturday in UTC', '2026-01-17T01:30:00Z', '20260116', 1050, 'weekday'],
+  ['MLK Day 2:59am, still Sunday', '2026-01-19T10:59:00Z', '20260118', 1619, 'weekend'],
+  ['MLK Day 3:00am', '2026-01-19T11:00:00Z', '20260119', 180, 'modified'],
+  ['spring forward, 1:59am PST', '2026-03-08T09:59:00Z', '20260307', 1559, 'weekend'],
+  ['spring forward, a minute later 3:00am PDT', '2026-03-08T10:00:00Z', '20260308', 180, 'weekend'],
+  ['Monday 12:30am PDT after spring forward', '2026-03-09T07:30:00Z', '20260308', 1470, 'weekend'],
+  ['Monday 3:00am PDT after spring forward', '2026-03-09T10:00:00Z', '20260309', 180, 'weekday'],
+  ['fall back, first 1:30am (PDT)', '2026-11-01T08:30:00Z', '20261031', 1530, 'weekend'],
+  ['fall back, second 1:30am (PST)', '2026-11-01T09:30:00Z', '20261031', 1530, 'weekend'],
+  ['fall back, 2:59am PST', '2026-11-01T10:59:00Z', '20261031', 1619, 'weekend'],
+  ['fall back, 3:00am PST', '2026-11-01T11:00:00Z', '20261101', 180, 'weekend'],
+  ['Monday 2:30am PST after fall back', '2026-11-02T10:30:00Z', '20261101', 1590, 'weekend'],
+  ['Thanksgiving 11:30pm', '2026-11-27T07:30:00Z', '20261126', 1410, 'weekend'],
+  ['night after Thanksgiving, 2:30am', '2026-11-27T10:30:00Z', '20261126', 1590, 'weekend'],
+  ['day after Thanksgiving, 3:00am', '2026-11-27T11:00:00Z', '20261127', 180, 'modified'],
+  ['New Year\'s Eve 11:59pm', '2027-01-01T07:59:00Z', '20261231', 1439, 'weekday'],
+  ['New Year\'s Day 1:00am, still New Year\'s Eve service', '2027-01-01T09:00:00Z', '20261231', 1500, 'weekday'],
+  ['New Year\'s Day 4:00am', '2027-01-01T12:00:00Z', '20270101', 240, 'weekend']
+];
+
+pacificMatrix.forEach(([label, instant, dateKey, minutes, serviceType]) => {
+  test(`${label}: service day ${dateKey}, minute ${minutes}, ${serviceType}`, () => {
+    const date = new Date(instant);
+    assertEqual(schedule.getDateKey(schedule.getServiceDay(date)), dateKey);
+    assertEqual(getCurrentMinutes(date), minutes);
+    assertEqual(getServiceType(date, matrixHolidays), serviceType);
+    assertArrayEqual([...getActiveServices(date, normalizeData({ holidays: matrixHolidays }).services)],
+      [['weekday', 'weekend', 'modified'].indexOf(serviceType)]);
+  });
+});
+
+test('Pacific time matrix: same answers whatever the device time zone', () => {
+  const { execFileSync } = require('child_process');
+  const instants = pacificMatrix.map(row => row[1]);
+  const expected = pacificMatrix.map(row => [row[2], row[3]]);
+  const code = `import('./lib/schedule.mjs').then(s => console.log(JSON.stringify(${JSON.stringify(instants)}` +
+    '.map(i => [s.getDateKey(s.getServiceDay(new Date(i))), s.getCurrentMinutes(new Date(i))]))))';
+  ['Asia/Tokyo', 'Europe/London', 'America/New_York', 'Pacific/Honolulu'].forEach(TZ => {
+    const output = execFileSync(process.execPath, ['-e', code], { cwd: __dirname, env: { ...process.env, TZ } });
+    assertArrayEqual(JSON.parse(output), expected, TZ);
+  });
+});
+
+test('getUtcOffset and getTimeZoneName: Pacific daylight and standard time', () => {
+  assertEqual(schedule.getUtcOffset(new Date('2026-07-01T12:00:00Z')), -420);
+  assertEqual(schedule.getUtcOffset(new Date('2026-01-01T12:00:00Z')), -480);
+  assertEqual(schedule.getUtcOffset(new Date('2026-01-01T12:00:00Z'), 'Asia/Kolkata'), 330);
+  assertEqual(schedule.getTimeZoneName(new Date('2026-07-01T12:00:00Z')), 'PDT');
+  assertEqual(schedule.getTimeZoneName(new Date('2026-11-01T09:30:00Z')), 'PST');
+});
+
+test('saved trips and reminders use Pacific time whatever the device time zone', () => {
+  const weekdays = savedTrip({ days: '1111100', start: '06:00', end: '10:00' });
+  assert.ok(savedTrips.isSavedTripFor(weekdays, new Date('2026-10-19T14:00:00Z')));  // Monday 7am PDT
+  assert.ok(!savedTrips.isSavedTripFor(weekdays, new Date('2026-10-20T02:00:00Z')));  // Monday 7pm PDT
+  // Reminder for a train at 8:00am on the Sunday clocks fall back: 16:00 UTC
+  assertEqual(reminders.toTimestamp('2026-11-01', 480), Date.parse('2026-11-01T16:00:00Z'));
+  assertEqual(reminders.toTimestamp('2026-10-31', 24 * 60 + 90), Date.parse('2026-11-01T08:30:00Z'));
+});
+
+test('reminders of a feed in another time zone use its clocks', () => {
+  // 7:43am in Berlin (CEST) is 5:43 UTC; walk 5 min, warn 10 min before
+  const berlin = { ...reminder507(), from: 'alexanderplatz' };
+  const settings = { lead: 10, walk: { alexanderplatz: 5 } };
+  assertEqual(reminders.getDepartureTime(berlin, 'Europe/Berlin'), Date.parse('2026-10-19T05:43:00Z'));
+  assertEqual(reminders.getLeaveTime(berlin, settings, 'Europe/Berlin'), Date.parse('2026-10-19T05:38:00Z'));
+  const planned = reminders.planReminders([berlin], settings, Date.parse('2026-10-19T05:00:00Z'), 'Europe/Berlin');
+  assertEqual(planned[0].at, Date.parse('2026-10-19T05:28:00Z'));
+  assertEqual(planned[0].until, Date.parse('2026-10-19T05:43:00Z'));
+  // Departed in Berlin, hours before it would be in California
+  assertEqual(reminders.pruneReminders([berlin], Date.parse('2026-10-19T06:00:00Z'), 'Europe/Berlin').length, 0);
+  assertEqual(reminders.pruneReminders([berlin], Date.parse('2026-10-19T06:00:00Z')).length, 1);
+});
+
+section('Delay history');
+
+const observed = (date, trainNum, delay, station = 'palo_alto', cancelled = false) =>
+  ({ id: `${date}|${station}|${trainNum}`, date, trainNum, station, departure: 463, delay, cancelled, observedAt: 0 });
+
+test('createObservations: trains leaving within the hour with a known delay or cancelled', () => {
+  const trains = [
+    { time: 463, trainNum: '507' },
+    { time: 475, trainNum: '111' },
+    { time: 480, trainNum: '409', legs: [{ trainNum: '409' }, { trainNum: '702' }] },
+    { time: 490, trainNum: '113' },
+    { time: 600, trainNum: '515' }
+  ];
+  const statuses = {
+    507: { delay: 5, cancelled: false, skipped: [] },
+    111: { delay: null, cancelled: true, skipped: [] },
+    409: { delay: -1, cancelled: false, skipped: [] },
+    113: { delay: null, cancelled: false, skipped: [] },
+    515: { delay: 3, cancelled: false, skipped: [] }
+  };
+  const list = delayHistory.createObservations(statuses, trains, { date: '2026-10-19', station: 'palo_alto', currentMinutes: 455, now: 1 });
+  assertArrayEqual(list.map(o => [o.trainNum, o.delay, o.cancelled]), [['507', 5, false], ['111', null, true], ['409', -1, false]]);
+  assertEqual(list[0].id, '2026-10-19|palo_alto|507');
+  assertEqual(list[0].departure, 463);
+});
+
+test('getReliability: average delay and on-time share over the past 30 days', () => {
+  const history = [
+    observed('2026-10-19', '137', 2),
+    observed('2026-10-16', '137', 10),
+    observed('2026-10-15', '137', 0),
+    observed('2026-10-14', '137', null, 'palo_alto', true),
+    observed('2026-09-20', '137', 3),           // First of the 30 days
+    observed('2026-09-19', '137', 30),          // Too old
+    observed('2026-10-19', '137', 8, 'menlo_park'),
+    observed('2026-10-19', '139', 8)
+  ];
+  const stats = delayHistory.getReliability(history, { trainNum: 137, station: 'palo_alto', today: '2026-10-19' });
+  assertArrayEqual(stats, { days: 5, averageDelay: 3.75, onTimeShare: 0.6, cancelled: 1 });
+  assertEqual(delayHistory.getReliability(history, { trainNum: '140', station: 'palo_alto', today: '2026-10-19' }), null);
+});
+
+test('describeReliability: late, early, on time and always cancelled', () => {
+  assertEqual(delayHistory.describeReliability({ days: 10, averageDelay: 4.2, onTimeShare: 0.7, cancelled: 0 }, '137'),
+    'Train 137 is on average 4 min late, on time 70% of the past 30 days (10 days seen)');
+  assertEqual(delayHistory.describeReliability({ days: 5, averageDelay: -1, onTimeShare: 0.8, cancelled: 1 }, '507'),
+    'Train 507 is on average 1 min early, on time 80% of the past 30 days (5 days seen, cancelled 1)');
+  assertEqual(delayHistory.describeReliability({ days: 1, averageDelay: 0.2, onTimeShare: 1, cancelled: 0 }, '101'),
+    'Train 101 is on average on time, on time 100% of the past 30 days (1 day seen)');
+  assertEqual(delayHistory.describeReliability({ days: 2, averageDelay: null, onTimeShare: 0, cancelled: 2 }, '101'),
+    'Train 101 was cancelled every time in the past 30 days (2 days seen)');
+});
+
+test('pruneHistory: keeps the last 90 service days', () => {
+  const history = [observed('2026-07-22', '101', 0), observed('2026-07-21', '101', 0), observed('2026-10-19', '101', 0)];
+  assertArrayEqual(delayHistory.pruneHistory(history, '2026-10-19').map(o => o.date), ['2026-07-22', '2026-10-19']);
+});
+
+test('historyToCsv: oldest first with station names, quoting where needed', () => {
+  const history = [
+    { ...observed('2026-10-19', '507', 5), observedAt: Date.parse('2026-10-19T14:40:00Z') },
+    { ...observed('2026-10-18', '111', null, 'a,b', true), departure: 475, observedAt: Date.parse('2026-10-18T14:50:00Z') }
+  ];
+  assertEqual(delayHistory.historyToCsv(history, id => id === 'palo_alto' ? 'Palo Alto' : id),
+    'date,train,station,scheduled_minutes,delay_minutes,cancelled,observed_at\n' +
+    '2026-10-18,111,"a,b",475,,yes,2026-10-18T14:50:00.000Z\n' +
+    '2026-10-19,507,Palo Alto,463,5,no,2026-10-19T14:40:00.000Z\n');
+});
+
+section('Train list text');
+
+test('splitIntoBuckets: next six, six later, the rest', () => {
+  const trains = Array.from({ length: 14 }, (_, i) => ({ time: 600 + i }));
+  const buckets = schedule.splitIntoBuckets(trains, 'depart');
+  assertArrayEqual(buckets.map(b => [b.id, b.label, b.trains.length]),
+    [['nextTrains', 'Next trains', 6], ['laterTrains', 'Later', 6], ['restTrains', 'Rest of day', 2]]);
+  assertArrayEqual(schedule.splitIntoBuckets(trains.slice(0, 3), 'arrive').map(b => [b.label, b.trains.length]),
+    [['Latest arrivals', 3], ['Earlier', 0], ['Earlier in the day', 0]]);
+});
+
+test('describeEta: now, soon, minutes and hours', () => {
+  assertArrayEqual(schedule.describeEta(null), { text: '', className: '' });
+  assertArrayEqual(schedule.describeEta(0), { text: 'Now', className: 'eta-now' });
+  assertArrayEqual(schedule.describeEta(10), { text: '10 min', className: 'eta-soon' });
+  assertArrayEqual(schedule.describeEta(59), { text: '59 min', className: '' });
+  assertEqual(schedule.describeEta(60).text, '1h');
+  assertEqual(schedule.describeEta(135).text, '2h 15m');
+});
+
+test('describeLiveStatus: cancellations and skips always, delays within the hour', () => {
+  const names = id => id.toUpperCase();
+  assertEqual(schedule.describeLiveStatus(null, 5), null);
+  assertEqual(schedule.describeLiveStatus({ delay: 4, cancelled: true, skipped: [] }, 200).text, 'Cancelled');
+  assertEqual(schedule.describeLiveStatus({ delay: null, cancelled: false, skipped: ['a', 'b'] }, 200, names).text, 'Skips A, B');
+  assertArrayEqual(schedule.describeLiveStatus({ delay: 4, cancelled: false, skipped: [] }, 30), { text: '+4 min', className: 'status-late' });
+  assertEqual(schedule.describeLiveStatus({ delay: 0, cancelled: false, skipped: [] }, 30).text, 'On time');
+  assertEqual(schedule.describeLiveStatus({ delay: -2, cancelled: false, skipped: [] }, 30).text, '-2 min');
+  assertEqual(schedule.describeLiveStatus({ delay: 4, cancelled: false, skipped: [] }, 61), null);
+  assertEqual(schedule.describeLiveStatus({ delay: 4, cancelled: false, skipped: [] }, null), null);
+});
+
+section('Train list accessibility');
+
+// Trips as planTrips lists them, leaving every 12 minutes from 7:00am
+const listTrips = count => Array.from({ length: count }, (_, i) => ({
+  time: 420 + i * 12, trainNum: String(101 + i * 2), routeType: i % 3, svc: 0, trip: null,
+  arrival: 460 + i * 12, duration: 40, fastest: i === 1
+}));
+
+const listView = (overrides = {}) => ({
+  currentMinutes: 410, liveStatuses: {}, expandedTrain: null, expandedSection: null,
+  stationName: id => id.toUpperCase(), alerts: () => [], starred: () => false,
+  renderDetails: t => `<ol class="stops"><li>Stops of train ${t.trainNum}</li></ol>`,
+  ...overrides
+});
+
+// Train list rendered into a jsdom document: {document, container, render(trips, view)}
+function renderList(trips, view) {
+  const { document } = new JSDOM('<!DOCTYPE html><body><div id="trainList"></div></body>').window;
+  const container = document.getElementById('trainList');
+  const render = (t, v) => trainList.patchChildren(container, trainList.renderTrainSections(schedule.splitIntoBuckets(t, 'depart'), v));
+  render(trips, view);
+  return { document, container, render };
+}
+
+// What a screen reader names an element: aria-label, else the ids it's labelled by, else its text
+function accessibleName(el) {
+  if (el.hasAttribute('aria-label')) return el.getAttribute('aria-label');
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (labelledBy) return labelledBy.split(' ').map(id => el.ownerDocument.getElementById(id).textContent).join(' ').replace(/\s+/g, ' ').trim();
+  return el.textContent.replace(/\s+/g, ' ').trim();
+}
+
+test('train list: lists of rows, each a named button with its state, and a star', () => {
+  const { container } = renderList(listTrips(14), listView({ liveStatuses: { 101: { delay: 3, cancelled: false, skipped: [] } } }));
+
+  const lists = [...container.querySelectorAll('ul')];
+  assertArrayEqual(lists.map(l => [l.getAttribute('role'), accessibleName(l), l.children.length]),
+    [['list', 'Next trains 6 trains, 7:00am - 8:00am', 6], ['list', 'Later', 6], ['list', 'Rest of day', 2]]);
+  assert(lists.every(l => [...l.children].every(row => row.nodeName === 'LI')), 'rows are list items');
+
+  const first = container.querySelector('.train-toggle');
+  assertEqual(first.getAttribute('type'), 'button');
+  assertEqual(first.getAttribute('aria-expanded'), 'false');
+  assertEqual(first.hasAttribute('aria-controls'), false, 'no stops to point at while closed');
+  assertEqual(accessibleName(first), '7:00am Local, train 101, arrives 7:40am, 40 min trip, leaves in 10 minutes, 3 min late');
+
+  const star = container.querySelector('.star-btn');
+  assertEqual(star.getAttribute('aria-pressed'), 'false');
+  assertEqual(accessibleName(star), 'Remind me before train 101 leaves');
+  assert([...container.querySelectorAll('button')].every(b => accessibleName(b) !== ''), 'every button has a name');
+});
+
+test('train list: section toggles say whether they are open and what they open', () => {
+  const { container, document } = renderList(listTrips(14), listView({ expandedSection: 'laterTrains' }));
+  const toggles = [...container.querySelectorAll('.section-toggle')];
+  assertArrayEqual(toggles.map(b => [b.getAttribute('aria-expanded'), b.getAttribute('aria-controls'), accessibleName(b)]), [
+    ['true', 'laterTrains', 'Later 6 trains, 8:12am - 9:12am'],
+    ['false', 'restTrains', 'Rest of day 2 trains, 9:24am - 9:36am']
+  ]);
+  assert(toggles.every(b => document.getElementById(b.getAttribute('aria-controls'))), 'controlled lists exist');
+  assert(toggles.every(b => b.parentNode.nodeName === 'H2'), 'toggles are headings');
+  assertEqual(container.querySelector('.section-toggle svg').getAttribute('aria-hidden'), 'true');
+  assertEqual(document.getElementById('laterTrains').classList.contains('open'), true);
+  assertEqual(document.getElementById('restTrains').classList.contains('open'), false);
+});
+
+test('train list: an open row points at its stopping pattern', () => {
+  const trips = listTrips(3);
+  const { container, document } = renderList(trips, listView({ expandedTrain: trainList.getTrainKey(trips[1]) }));
+  const toggle = container.querySelectorAll('.train-toggle')[1];
+  assertEqual(toggle.getAttribute('aria-expanded'), 'true');
+  const stops = document.getElementById(toggle.getAttribute('aria-controls'));
+  assert(stops, 'aria-controls names the stops');
+  assertEqual(stops.textContent, 'Stops of train 103');
+  assertEqual(stops.closest('.train').dataset.train, '432|103');
+});
+
+test('patchChildren: a refresh keeps focus and rows, updating only what changed', () => {
+  const trips = listTrips(8);
+  const { container, document, render } = renderList(trips, listView());
+  const row = container.querySelector('[data-train="432|103"]');
+  const toggle = row.querySelector('.train-toggle');
+  toggle.focus();
+  assertEqual(document.activeElement, toggle);
+
+  // A minute later, with a delay: same nodes, new ETA and name
+  render(trips, listView({ currentMinutes: 411, liveStatuses: { 103: { delay: 2, cancelled: false, skipped: [] } } }));
+  assertEqual(document.activeElement, toggle, 'focus stays on the row');
+  assertEqual(container.querySelector('[data-train="432|103"]'), row, 'row node kept');
+  assertEqual(row.querySelector('.train-eta').textContent, '21 min');
+  assertEqual(row.querySelector('.live-status').textContent, '+2 min');
+  assert(accessibleName(toggle).endsWith('leaves in 21 minutes, 2 min late'), accessibleName(toggle));
+
+  // The first train has left: its row goes, the others move up a bucket
+  render(trips.slice(1), listView({ currentMinutes: 425 }));
+  assertEqual(document.activeElement, toggle);
+  assertEqual(container.querySelector('[data-train="420|101"]'), null);
+  assertArrayEqual([...document.getElementById('nextTrains').children].map(li => li.dataset.train),
+    ['432|103', '444|105', '456|107', '468|109', '480|111', '492|113']);
+  assertEqual(container.querySelector('#laterTrains').children.length, 1);
+});
+
+test('describeNextTrain: announced as it gets close, again when it changes', () => {
+  const trips = listTrips(3);
+  const next = minutes => trainList.describeNextTrain(trips, listView({ currentMinutes: minutes }));
+  assertEqual(next(400), null, 'more than 15 minutes away');
+  assertEqual(next(405).text, 'Next train in 15 minutes: 7:00am Local, train 101');
+  assertEqual(next(406).id, next(405).id, 'no new announcement every minute');
+  assert(next(410).id !== next(405).id, 'again at 10 minutes');
+  assertEqual(next(419).text, 'Next train in 1 minute: 7:00am Local, train 101');
+  assertEqual(next(420).text, 'Next train leaving now: 7:00am Local, train 101');
+  assertEqual(next(421).text, 'Next train in 11 minutes: 7:12am Limited, train 103');
+  assertEqual(trainList.describeNextTrain(trips, listView({ currentMinutes: null })), null, 'no ETAs when planning ahead');
+
+  const late = trainList.describeNextTrain(trips, listView({ currentMinutes: 410, liveStatuses: { 101: { delay: 4, cancelled: false, skipped: [] } } }));
+  assertEqual(late.text, 'Next train in 10 minutes: 7:00am Local, train 101, 4 min late');
+  assert(late.id !== next(410).id, 'a new delay is announced');
+  const cancelled = trainList.describeNextTrain(trips, listView({ currentMinutes: 410, liveStatuses: { 101: { delay: null, cancelled: true, skipped: [] } } }));
+  assertEqual(cancelled, null, 'the next running train is 22 minutes away');
+});
+
+test('getFocusTarget: arrows, Home and End move between rows and open sections only', () => {
+  const { container } = renderList(listTrips(14), listView());
+  const controls = trainList.getListControls(container);
+  assertArrayEqual(controls.map(el => el.closest('.train')?.dataset.train || el.dataset.section),
+    ['420|101', '432|103', '444|105', '456|107', '468|109', '480|111', 'laterTrains', 'restTrains']);
+  assertEqual(trainList.getFocusTarget(controls, controls[0], 'ArrowDown'), controls[1]);
+  assertEqual(trainList.getFocusTarget(controls, controls[0], 'ArrowUp'), controls[0]);
+  assertEqual(trainList.getFocusTarget(controls, controls[2], 'End'), controls[7]);
+  assertEqual(trainList.getFocusTarget(controls, controls[7], 'Home'), controls[0]);
+  assertEqual(trainList.getFocusTarget(controls, controls[1], 'Enter'), null);
+  assertEqual(trainList.getFocusTarget(controls, container, 'ArrowDown'), null);
+
+  const { container: opened } = renderList(listTrips(14), listView({ expandedSection: 'restTrains' }));
+  assertEqual(trainList.getListControls(opened).length, 10, 'rows of the open section join in');
+});
+
+section('Departure board');
+
+const boardStations = [{ id: 'millbrae', name: 'Millbrae' }, { id: 'palo_alto', name: 'Palo Alto' }];
+
+test('parseBoardParams: station, rows, refresh, direction and types, within limits', () => {
+  assertEqual(board.parseBoardParams('?from=palo-alto', boardStations), null);
+  assertEqual(board.parseBoardParams('?board=nowhere', boardStations), null);
+  assertArrayEqual(board.parseBoardParams('?board=palo-alto', boardStations),
+    { station: 'palo_alto', rows: 8, refresh: 30, directions: ['n', 's'], types: null });
+  assertArrayEqual(board.parseBoardParams('?board=MILLBRAE&rows=50&refresh=5&dir=s&types=express,limited', boardStations),
+    { station: 'millbrae', rows: 20, refresh: 15, directions: ['s'], types: [2, 1] });
+  assertArrayEqual(board.parseBoardParams('?board=millbrae&rows=x&dir=up', boardStations).rows, 8);
+});
+
+test('buildBoardParams: only what differs from the defaults, read back the same', () => {
+  assertEqual(board.buildBoardParams({ station: 'palo_alto' }, boardStations), 'board=palo-alto');
+  const kiosk = { station: 'millbrae', rows: 12, refresh: 60, directions: ['n'], types: [2] };
+  const query = board.buildBoardParams(kiosk, boardStations);
+  assertEqual(query, 'board=millbrae&rows=12&refresh=60&dir=n&types=express');
+  assertArrayEqual(board.parseBoardParams(`?${query}`, boardStations), kiosk);
+});
+
+test('getDepartures: both directions, running services from a time on, with where trains go', () => {
+  const all = new Set([0, 1, 2, 3]);
+  const south = board.getDepartures(fixtureData, 'south', { activeServices: all, minutes: 400 });
+  assertArrayEqual(south.n.map(d => [d.time, d.trainNum, d.terminus]), [[420, '501', 'north'], [540, 'M101', 'north']]);
+  assertArrayEqual(south.s, [], 'train 202 ends at South: an arrival, not a departure');
+
+  const north = board.getDepartures(fixtureData, 'north', { activeServices: all, minutes: 0 });
+  assertArrayEqual(north.n, []);
+  assertArrayEqual(north.s.map(d => [d.time, d.trainNum, d.direction, d.terminus, d.trip]), [[480, '202', 's', 'south', 2]]);
+
+  const weekday = board.getDepartures(fixtureData, 'south', { activeServices: new Set([2, 3]), minutes: 0, limit: 1, directions: ['n'] });
+  assertArrayEqual(Object.keys(weekday), ['n']);
+  assertArrayEqual(weekday.n.map(d => d.trainNum), ['101']);
+  const express = board.getDepartures(fixtureData, 'south', { activeServices: all, minutes: 0, types: [2] });
+  assertArrayEqual(express.n.map(d => d.trainNum), ['501']);
+});
+
+test('renderBoard: a labelled table per platform, with ETAs and live status', () => {
+  const departures = board.getDepartures(fixtureData, 'south', { activeServices: new Set([0, 1, 2, 3]), minutes: 350 });
+  const { document } = new JSDOM('<!DOCTYPE html><body><div id="board"></div></body>').window;
+  const container = document.getElementById('board');
+  const stationName = id => fixtureData.stations.find(st => st.id === id).name;
+  const view = {
+    minutes: 350, currentMinutes: 350, stationName,
+    liveStatuses: { n: { 101: { delay: 3, cancelled: false, skipped: [] }, 501: { delay: null, cancelled: true, skipped: [] } } }
+  };
+  trainList.patchChildren(container, board.renderBoard(departures, view));
+
+  const tables = [...container.querySelectorAll('table')];
+  assertEqual(tables.length, 1);
+  assertEqual(document.getElementById(tables[0].getAttribute('aria-labelledby')).textContent, 'Northbound platform');
+  assertArrayEqual([...tables[0].querySelectorAll('th')].map(th => [th.textContent, th.getAttribute('scope')]),
+    ['Departs', 'Train', 'To', 'Type', 'Status'].map(name => [name, 'col']));
+  const rows = [...tables[0].querySelectorAll('tbody tr')].map(tr => [...tr.cells].map(td => td.textContent.trim()));
+  assertArrayEqual(rows, [
+    ['6:00am', '101', 'North', 'Local', '+3 min10 min'],
+    ['7:00am', '501', 'North', 'Express', 'Cancelled1h 10m'],
+    ['9:00am', 'M101', 'North', 'Local', '3h 10m']
+  ]);
+  assertEqual(tables[0].querySelectorAll('tr.cancelled').length, 1);
+  assertEqual(container.querySelector('[data-direction="s"] .no-trains').textContent, 'No more southbound trains today');
+
+  // Planning ahead: no ETAs, and the empty side says from when
+  trainList.patchChildren(container, board.renderBoard(departures, { ...view, currentMinutes: null }));
+  assertEqual(container.querySelector('.train-eta').textContent, '');
+  assertEqual(container.querySelector('[data-direction="s"] .no-trains').textContent, 'No southbound trains after 5:50am');
+});
+
+section('Feed configs');
+
+const caltrainConfig = require('./feeds/caltrain.json');
+const aceConfig = require('./feeds/ace.json');
+const aceTables = gtfs.loadFeed(FIXTURE_ACE_FEED).tables;
+const aceData = gtfs.buildScheduleData(aceTables, aceConfig);
+
+test('getMainStations: excluded names, stripped names and station orders', () => {
+  const names = config => gtfs.getMainStations(aceTables.stops, config, aceTables).map(s => s.name);
+  assertArrayEqual(names(aceConfig), ['Stockton', 'Lathrop/Manteca', 'Tracy', 'Livermore', 'Fremont-Centerville', 'San Jose']);
+  // By longitude San Jose comes before Fremont: the line bends south
+  const byLongitude = { ...aceConfig, stations: { ...aceConfig.stations, order: 'east-to-west' } };
+  assertArrayEqual(names(byLongitude).slice(-2), ['San Jose', 'Fremont-Centerville']);
+  const listed = { ...aceConfig, stations: { ...aceConfig.stations, order: ['san_jose', 'tracy', 'nowhere'] } };
+  assertArrayEqual(names(listed), ['San Jose', 'Tracy']);
+  const unknown = { ...aceConfig, stations: { ...aceConfig.stations, order: 'clockwise' } };
+  assert.throws(() => names(unknown), /Unknown station order "clockwise"/);
+});
+
+test('buildScheduleData: ACE feed with its config', () => {
+  assertArrayEqual(gtfs.validateFeed(aceTables, aceConfig), { errors: [], warnings: [] });
+  assertEqual(aceData.stations.some(s => s.id === 'stockton_bus'), false, 'bus bay left out');
+  // direction_id 0 is westbound on ACE: toward San Jose, the last station
+  assertArrayEqual(aceData.schedule.livermore.s.map(r => r.slice(0, 2)), [[325, '1'], [385, '3']]);
+  assertArrayEqual(aceData.schedule.livermore.n.map(r => r.slice(0, 2)), [[1000, '2']]);
+  assertArrayEqual(aceData.trips.map(t => [t[0], t[3]]), [['1', 's'], ['3', 's'], ['2', 'n']]);
+  assertArrayEqual(aceData.stops511.livermore, { s: '80041', n: '80042' });
+  // Matched by route_long_name
+  assertEqual(aceData.schedule.livermore.s[0][2], 0);
+});
+
+test('buildScheduleData: route types from the config, by short or long name or route id', () => {
+  const config = {
+    ...aceConfig,
+    routeTypes: [
+      { name: 'Other', slug: 'other', color: '#000', background: '#fff', routes: ['Other'] },
+      { name: 'ACE', slug: 'ace', color: '#000', background: '#fff', routes: ['Altamont Corridor Express'] }
+    ]
+  };
+  assertEqual(gtfs.buildScheduleData(aceTables, config).schedule.livermore.s[0][2], 1);
+  const byId = { ...config, routeTypes: [config.routeTypes[0], { ...config.routeTypes[1], routes: ['ACE'] }] };
+  assertEqual(gtfs.buildScheduleData(aceTables, byId).schedule.livermore.s[0][2], 1);
+  assertArrayEqual(fixtureData.schedule.south.n.map(r => [r[1], r[2]]), [['101', 0], ['501', 2], ['M101', 0]]);
+});
+
+test('buildScheduleData: the feed the app needs, without generator-only settings', () => {
+  assertArrayEqual(aceData.feed, {
+    id: 'ace', name: 'ACE', timeZone: 'America/Los_Angeles', defaultStation: 'livermore', holidayUrl: null,
+    routeTypes: [{ name: 'ACE', slug: 'ace', color: '#5B2C83', background: '#EDE4F5' }],
+    directions: { n: { name: 'Eastbound', label: 'East (Stockton)' }, s: { name: 'Westbound', label: 'West (San Jose)' } },
+    realtime: { agency: 'CE' }
+  });
+  assertArrayEqual(roundTrip(aceData).feed, aceData.feed, 'kept by the compact format');
+});
+
+test('process-gtfs.js: a missing or broken --config is reported in one line, exit code 1', () => {
+  const { spawnSync } = require('child_process');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caltrain-config-'));
+  try {
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{"name": ');
+    for (const [file, reason] of [[path.join(dir, 'missing.json'), 'no such file'], [broken, 'JSON']]) {
+      const result = spawnSync(process.execPath, ['process-gtfs.js', FIXTURE_FEED, '--config', file], { cwd: __dirname, encoding: 'utf-8' });
+      assertEqual(result.status, 1);
+      assert.ok(result.stderr.startsWith(`Cannot read feed config ${file}: `), result.stderr);
+      assert.ok(result.stderr.includes(reason), result.stderr);
+      assertEqual(result.stderr.trim().split('\n').length, 1);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('DEFAULT_FEED: Caltrain as in feeds/caltrain.json, for schedule data without a feed', () => {
+  assertArrayEqual(feed.DEFAULT_FEED, gtfs.getAppFeed(caltrainConfig));
+  assertArrayEqual(fixtureData.feed, feed.DEFAULT_FEED);
+  assertArrayEqual(feed.getFeed({ stations: [] }), feed.DEFAULT_FEED);
+  assertEqual(feed.getFeed(aceData).name, 'ACE');
+  assertArrayEqual(urlState.ROUTE_TYPE_NAMES, ['local', 'limited', 'express', 'south-county']);
+});
+
+test('App: train types, badge colors, URLs and board headings of the feed', () => {
+  const ace = feed.getFeed(aceData);
+  assertArrayEqual(trainList.getRouteType(0, ace.routeTypes), { name: 'ACE', class: 'type-ace' });
+  assertArrayEqual(trainList.getRouteType(3), { name: 'S. County', class: 'type-south-county' });
+  assertEqual(feed.getRouteTypeStyles(ace), '.type-ace { background: #EDE4F5; color: #5B2C83; }');
+  const hostile = { routeTypes: [{ slug: 'x}body{', color: 'red;}', background: '#fff' }] };
+  assertEqual(feed.getRouteTypeStyles(hostile), '.type-xbody { background: #fff; color: red; }');
+
+  const typeNames = feed.getTypeNames(ace);
+  assertArrayEqual(urlState.parseViewParams('?types=ace', aceData.stations, typeNames).types, [0]);
+  assertEqual(urlState.parseViewParams('?types=express', aceData.stations, typeNames).types, null);
+  assertEqual(board.buildBoardParams({ station: 'livermore', types: [0] }, aceData.stations, typeNames), 'board=livermore&types=ace');
+
+  const departures = board.getDepartures(aceData, 'livermore', { activeServices: new Set([0]), minutes: 0 });
+  const directionNames = { n: ace.directions.n.name, s: ace.directions.s.name };
+  const html = board.renderBoard(departures, {
+    minutes: 0, currentMinutes: null, liveStatuses: {}, routeTypes: ace.routeTypes, directionNames,
+    stationName: id => aceData.stations.find(st => st.id === id).name
+  });
+  assert.match(html, />Eastbound platform</);
+  assert.match(html, /<span class="train-type type-ace">ACE<\/span>/);
+});
+
+test('Live status: 511 agency code of the feed', async () => {
+  const urls = [];
+  const args = { data: aceData, from: 'livermore', to: 'san_jose', direction: 's', apiKey: 'KEY' };
+  await live.getProvider('511').fetchStatus({ ...args, agency: 'CE', fetch: fixtureFetch(read511('stop-monitoring.json'), urls) });
+  assert.match(urls[0], /StopMonitoring\?api_key=KEY&agency=CE&stopCode=80041&/);
+  await live.getProvider('gtfs-rt').fetchStatus({ ...args, agency: 'CE', fetch: fixtureFetch(readRt('tripupdates.pb'), urls) });
+  assertEqual(urls[1], 'https://api.511.org/transit/tripupdates?api_key=KEY&agency=CE');
+  // Feeds without realtime
+  assertEqual(await live.getProvider('511').fetchStatus({ ...args, agency: null, fetch: fixtureFetch('', urls) }), null);
+  assertEqual(urls.length, 2);
+});
+
+section('Station search');
+
+test('searchStations: ids, names, prefixes, words, initials and typos', () => {
+  const stations = [...urlStations, { id: 'south_sf', name: 'South San Francisco' }];
+  const ids = query => stationSearch.searchStations(stations, query).map(s => s.id);
+  assertArrayEqual(ids('palo_alto'), ['palo_alto']);
+  assertArrayEqual(ids('Palo Alto'), ['palo_alto']);
+  assertArrayEqual(ids('millb'), ['place_MLBR']);
+  assertArrayEqual(ids('diridon'), ['sj_diridon']);
+  assertArrayEqual(ids('ssf'), ['south_sf']);
+  assertArrayEqual(ids('sf'), ['san_francisco']);
+  assertArrayEqual(ids('millbrea'), ['place_MLBR']);
+  assertArrayEqual(ids('san'), ['san_francisco', 'sj_diridon'], 'ambiguous');
+  assertArrayEqual(ids('oakland'), []);
+  assertArrayEqual(ids(''), []);
+});
+
+section('Command-line client');
+
+// Run the client on the mini feed: {code, out, err} (a copy of the data, as the client reads a file)
+async function runCli(args, now) {
+  const out = [];
+  const err = [];
+  const data = JSON.parse(JSON.stringify(fixtureData));
+  const code = await cli.run(args, { data, now, out: text => out.push(text), err: text => err.push(text) });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+test('next: trains between two stations for a date, as a table', async () => {
+  const { code, out } = await runCli(['next', 'south', 'north', '--date', '2026-03-17']);
+  assertEqual(code, 0);
+  assertEqual(out, [
+    'South → North · Tue, Mar 17, 2026 · leaving from 3:00am',
+    'Departs  Arrives  Trip    Train  Type',
+    '7:00am   7:30am   30 min  501    Express'
+  ].join('\n'));
+});
+
+test('next: close-enough station names, --json, and the app\'s arrive-by plan', async () => {
+  const { out } = await runCli(['next', 'sou', 'nort', '--date', '2026-01-20', '--json']);
+  const json = JSON.parse(out);
+  assertArrayEqual([json.from.id, json.to.id, json.date, json.mode], ['south', 'north', '2026-01-20', 'depart']);
+  assertArrayEqual(json.trains, [{ departure: '06:00', arrival: '06:40', duration: 40, trains: ['101'], type: 'Local', fastest: false, transfers: [] }]);
+
+  assert.match((await runCli(['next', 'south', 'north', '--date', '2026-03-17', '--arrive-by', '7:15'])).out, /No trains arrive by 7:15am$/);
+  const byEight = JSON.parse((await runCli(['next', 'south', 'north', '--date', '2026-03-17', '--arrive-by', '8am', '--json'])).out);
+  assertArrayEqual([byEight.mode, byEight.time, byEight.trains.map(t => t.trains[0])], ['arrive', '08:00', ['501']]);
+  assert.match((await runCli(['next', 'south', 'north', '--date', '2026-03-17', '--types', 'local'])).out, /No trains match the filters$/);
+});
+
+test('next: from now, with time to departure, in the timetable time zone', async () => {
+  // 6:50am Pacific on Tue, Mar 17, 2026
+  const { out } = await runCli(['next', 'south', 'north'], new Date('2026-03-17T13:50:00Z'));
+  assert.match(out, /^South → North · Tue, Mar 17, 2026 · from 6:50am\n/);
+  assert.match(out, /7:00am {3}7:30am {3}30 min {2}501 {4}Express {2}in 10 min$/);
+});
+
+test('board: departures both ways, leaving out trains that end at the station', async () => {
+  const { out } = await runCli(['board', 'north', '--date', '2026-01-24']);
+  assertEqual(out, [
+    'North departures · Sat, Jan 24, 2026 · from 3:00am',
+    '',
+    'Northbound',
+    'No northbound trains after 3:00am',
+    '',
+    'Southbound',
+    'Departs  Train  To     Type',
+    '8:00am   202    South  Local'
+  ].join('\n'));
+  const json = JSON.parse((await runCli(['board', 'north', '--date', '2026-01-24', '--dir', 's', '--json'])).out);
+  assertArrayEqual(json.departures, { s: [{ departure: '08:00', train: '202', type: 'Local', to: { id: 'south', name: 'South' } }] });
+});
+
+test('train: where a train stops on a date', async () => {
+  const { code, out } = await runCli(['train', '202', '--date', '2026-01-24']);
+  assertEqual(code, 0);
+  assertEqual(out, [
+    'Train 202 · Local · Southbound to South · Sat, Jan 24, 2026',
+    'Station    Arrives  Departs',
+    'North               8:00am',
+    'Mid, Town  8:20am   8:20am',
+    'South      12:40am'
+  ].join('\n'));
+  const json = JSON.parse((await runCli(['train', '202', '--date', '2026-01-24', '--json'])).out);
+  assertArrayEqual(json.stops.map(stop => [stop.station.id, stop.arrival]), [['north', '08:00'], ['mid', '08:20'], ['south', '24:40']]);
+});
+
+test('Errors: unknown or ambiguous stations and trains (exit 1), bad command lines (exit 2)', async () => {
+  const notRunning = await runCli(['train', '202', '--date', '2026-01-20']);
+  assertArrayEqual([notRunning.code, notRunning.err], [1, 'Train 202 doesn\'t run on Tue, Jan 20, 2026']);
+  assertArrayEqual(Object.values(await runCli(['train', '999'])).slice(0, 2), [1, '']);
+  assertEqual((await runCli(['next', 'south', 'oakland'])).err, 'No station matches "oakland" (see the stations command)');
+  assertEqual((await runCli(['next', 'north', 'nort'])).err, 'From and to are both North');
+
+  for (const args of [['fly'], ['next', 'south'], ['next', 'south', 'north', '--at', '25:00'], ['board', 'south', '--limit', '0'],
+    ['next', 'south', 'north', '--date', '17/03/2026'], ['next', 'south', 'north', '--bogus'], ['board', 'south', '--arrive-by', '9:00']]) {
+    assertEqual((await runCli(args)).code, 2, args.join(' '));
+  }
+  assertArrayEqual(['9:00', '17:30', '5:30pm', '12am', '12:15pm'].map(t => cli.parseTimeOption(t, 'at')), ['09:00', '17:30', '17:30', '00:00', '12:15']);
+});
+
+test('loadData: missing and malformed data files exit with 1 and a one-line message', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caltrain-cli-'));
+  try {
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{"stations": [');
+    for (const [file, reason] of [[path.join(dir, 'missing.json'), /: no such file$/], [broken, /JSON/]]) {
+      const err = [];
+      const code = await cli.run(['stations', '--data', file], { out: () => {}, err: text => err.push(text) });
+      assertEqual(code, 1);
+      assertEqual(err.length, 1);
+      assert.ok(err[0].startsWith(`Cannot read schedule data ${file}`), err[0]);
+      assert.match(err[0], reason);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('loadData: compact schedule files read like the JSON ones', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caltrain-cli-'));
+  try {
+    const file = path.join(dir, 'schedule-data.bin');
+    fs.writeFileSync(file, scheduleEncoder.encodeSchedule(fixtureData));
+    const out = [];
+    const code = await cli.run(['next', 'south', 'north', '--date', '2026-03-17', '--json', '--data', file], { out: text => out.push(text), err: () => {} });
+    assertEqual(code, 0);
+    assertArrayEqual(JSON.parse(out[0]).trains.map(t => t.trains[0]), ['501']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+section('Live status proxy');
+
+const PROXY_KEY = 'd2c1a2b3-0000-4000-8000-0123456789ab';
+
+// Local stand-in for the 511 API, serving the fixtures to the right key. Records the requests;
+// `status` makes it fail, `wait` holds answers (ms)
+async function startStub511() {
+  const stub = { requests: [], status: 200, wait: 0 };
+  const bodies = { '/transit/StopMonitoring': 'stop-monitoring.json', '/transit/servicealerts': 'situations.json' };
+  stub.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    stub.requests.push(url);
+    setTimeout(() => {
+      if (url.searchParams.get('api_key') !== PROXY_KEY) return res.writeHead(401).end('Invalid API key');
+      if (stub.status !== 200 || !bodies[url.pathname]) return res.writeHead(stub.status === 200 ? 404 : stub.status).end();
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(read511(bodies[url.pathname]));
+    }, stub.wait);
+  });
+  await listen(stub.server);
+  return stub;
+}
+
+// Listen on a free local port -> base URL
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Run fn({stub, url, get(path)}) against a proxy in front of a stub 511 (closed afterwards)
+// get -> {status, headers, text, json}; options as createProxy takes them
+async function withProxy(options, fn) {
+  const stub = await startStub511();
+  const proxy = liveProxy.createProxy({ apiKey: PROXY_KEY, upstream: `http://127.0.0.1:${stub.server.address().port}/transit`, ...options });
+  const quiet = console.error;
+  console.error = () => {};
+  try {
+    const url = await listen(proxy);
+    const get = async pathname => {
+      const response = await fetch(url + pathname);
+      const text = await response.text();
+      return { status: response.status, headers: response.headers, text, json: text ? JSON.parse(text) : null };
+    };
+    await fn({ stub, url, get });
+  } finally {
+    console.error = quiet;
+    await close(proxy);
+    await close(stub.server);
+  }
+}
+
+test('proxy: delays at a stop from StopMonitoring, with the key kept on the server', () => withProxy({}, async ({ stub, get }) => {
+  const { status, headers, text, json } = await get('/delays?agency=CT&stopCode=70211');
+  assertEqual(status, 200);
+  assertEqual(headers.get('x-cache'), 'miss');
+  assertEqual(headers.get('access-control-allow-origin'), '*');
+  assertEqual(json.stopCode, '70211');
+  assertEqual(json.agency, 'CT');
+  assertArrayEqual(json.trains['507'], { delay: 5, cancelled: false, skipped: [] });
+  assertEqual(json.trains['111'].cancelled, true);
+  assert.ok(!text.includes(PROXY_KEY));
+  assertEqual(stub.requests[0].pathname, '/transit/StopMonitoring');
+  assertEqual(stub.requests[0].searchParams.get('stopCode'), '70211');
+  assertEqual(stub.requests[0].searchParams.get('format'), 'json');
+}));
+
+test('proxy: responses cached per stop for the TTL', async () => {
+  let time = Date.parse('2026-10-20T14:00:00Z');
+  await withProxy({ ttl: 60, now: () => time }, async ({ stub, get }) => {
+    await get('/delays?stopCode=70211');
+    time += 30 * 1000;
+    const cached = await get('/delays?stopCode=70211');
+    assertEqual(cached.headers.get('x-cache'), 'hit');
+    assertEqual(cached.headers.get('cache-control'), 'max-age=30');
+    assertEqual(cached.json.fetchedAt, '2026-10-20T14:00:00.000Z');
+    assertEqual(stub.requests.length, 1);
+
+    await get('/delays?stopCode=70212');
+    assertEqual(stub.requests.length, 2);
+    time += 31 * 1000;
+    assertEqual((await get('/delays?stopCode=70211')).headers.get('x-cache'), 'miss');
+    assertEqual(stub.requests.length, 3);
+  });
+});
+
+test('proxy: requests for a stop while it is being fetched share one upstream call', () => withProxy({}, async ({ stub, get }) => {
+  stub.wait = 50;
+  const answers = await Promise.all([1, 2, 3].map(() => get('/delays?stopCode=70211')));
+  assertArrayEqual(answers.map(a => a.status), [200, 200, 200]);
+  assertEqual(answers[2].json.trains['507'].delay, 5);
+  assertEqual(stub.requests.length, 1);
+}));
+
+test('proxy: upstream rate limit serves stale responses, or 429 with Retry-After', async () => {
+  let time = 0;
+  await withProxy({ ttl: 10, limit: 2, window: 60, now: () => time }, async ({ stub, get }) => {
+    await get('/delays?stopCode=70211');
+    await get('/delays?stopCode=70212');
+    time += 20 * 1000;
+    const limited = await get('/delays?stopCode=70161');
+    assertEqual(limited.status, 429);
+    assertEqual(limited.headers.get('retry-after'), '40');
+    const stale = await get('/delays?stopCode=70211');
+    assertEqual(stale.status, 200);
+    assertEqual(stale.headers.get('x-cache'), 'stale');
+    assertEqual(stale.headers.get('cache-control'), 'no-cache');
+    assertEqual(stub.requests.length, 2);
+
+    time += 41 * 1000;
+    assertEqual((await get('/delays?stopCode=70161')).status, 200);
+    assertEqual(stub.requests.length, 3);
+  });
+});
+
+test('proxy: upstream failures give 502, or the last response when there is one', async () => {
+  let time = 0;
+  await withProxy({ ttl: 10, now: () => time }, async ({ stub, get }) => {
+    await get('/delays?stopCode=70211');
+    stub.status = 500;
+    time += 20 * 1000;
+    const stale = await get('/delays?stopCode=70211');
+    assertEqual(stale.headers.get('x-cache'), 'stale');
+    assertEqual(stale.json.trains['507'].delay, 5);
+    const failed = await get('/delays?stopCode=70212');
+    assertEqual(failed.status, 502);
+    assertEqual(failed.json.error, 'Upstream request failed');
+  });
+  // A wrong key is an upstream failure too, and isn't repeated back
+  await withProxy({ apiKey: 'wrong' }, async ({ get }) => {
+    const failed = await get('/delays?stopCode=70211');
+    assertEqual(failed.status, 502);
+    assert.ok(!failed.text.includes('wrong'));
+  });
+});
+
+test('proxy: a hung 511 call times out into the stale and 502 answers', async () => {
+  let time = 0;
+  let hang = false;
+  const hangingFetch = (...args) => hang ? new Promise(() => {}) : fetch(...args);
+  await withProxy({ ttl: 10, timeout: 0.05, fetch: hangingFetch, now: () => time }, async ({ get }) => {
+    await get('/delays?stopCode=70211');
+    hang = true;
+    time += 20 * 1000;
+    const stale = await get('/delays?stopCode=70211');
+    assertEqual(stale.headers.get('x-cache'), 'stale');
+    assertEqual(stale.json.trains['507'].delay, 5);
+    assertEqual((await get('/delays?stopCode=70212')).status, 502);
+    // The failed call isn't waited on again
+    assertEqual((await get('/delays?stopCode=70212')).status, 502);
+  });
+});
+
+test('proxy: bad parameters, methods and paths never reach 511', () => withProxy({}, async ({ stub, url, get }) => {
+  assertEqual((await get('/delays')).status, 400);
+  assertEqual((await get('/delays?stopCode=70211%26api_key%3Dx')).status, 400);
+  assertEqual((await get('/delays?stopCode=70211&agency=C%20T')).status, 400);
+  assertEqual((await get('/StopMonitoring?stopCode=70211')).status, 404);
+  assertEqual((await fetch(`${url}/delays?stopCode=70211`, { method: 'POST' })).status, 405);
+  assertEqual((await fetch(`${url}/delays`, { method: 'OPTIONS' })).status, 204);
+  assertEqual(stub.requests.length, 0);
+  assertArrayEqual((await get('/health')).json, { ok: true, cached: 0, upstreamCalls: 0 });
+}));
+
+test('proxy: service alerts passed through and cached', () => withProxy({ origin: 'https://trains.example.com' }, async ({ stub, get }) => {
+  const { json, headers } = await get('/alerts?agency=CT');
+  assertEqual(headers.get('access-control-allow-origin'), 'https://trains.example.com');
+  assertArrayEqual(alerts.parseAlertsResponse(json).map(a => a.id), ['CT-1001', 'CT-1002', 'CT-1003', 'CT-0999']);
+  await get('/alerts?agency=CT');
+  assertEqual(stub.requests.length, 1);
+  assertEqual(stub.requests[0].pathname, '/transit/servicealerts');
+}));
+
+test('proxy provider: live status through the proxy, no API key in the app', () => withProxy({}, async ({ stub, url }) => {
+  const provider = live.getProvider('proxy');
+  const statuses = await provider.fetchStatus({ ...northToSF, data: liveData, proxyUrl: `${url}/` });
+  assertEqual(statuses['507'].delay, 5);
+  assertEqual(statuses['113'].delay, -1);
+  assertEqual(stub.requests[0].searchParams.get('stopCode'), '70211');
+  assertEqual(await provider.fetchStatus({ ...northToSF, data: liveData }), null);
+}));
+
+test('createRateLimiter: sliding window', () => {
+  const limiter = liveProxy.createRateLimiter(2, 1000);
+  assertArrayEqual([limiter.take(0), limiter.take(100), limiter.take(200)], [true, true, false]);
+  assertEqual(limiter.retryAfter(200), 1);
+  assertEqual(limiter.take(1000), true);
+  assertEqual(limiter.take(1050), false);
+  assertEqual(limiter.take(1100), true);
+});
+
+// sw.js in a sandbox with a stub network and Cache Storage -> {fetchEvent(url, method), puts, responded}
+function loadServiceWorker() {
+  const listeners = {};
+  const worker = { puts: [], responded: [] };
+  const cache = { put: async (key, response) => worker.puts.push(typeof key === 'string' ? key : key.url), match: async () => undefined };
+  const context = {
+    self: { registration: { scope: 'https://trains.example.com/app/' }, addEventListener: (type, fn) => { listeners[type] = fn; } },
+    caches: { open: async () => cache, match: async () => undefined },
+    fetch: async () => new Response('{}'),
+    URL, Response, console
+  };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, 'sw.js'), 'utf8'), context);
+  worker.fetchEvent = async (url, method = 'GET') => {
+    listeners.fetch({ request: { url, method, mode: 'cors' }, respondWith: response => worker.responded.push(url) && response });
+    await new Promise(resolve => setTimeout(resolve, 10));
+  };
+  return worker;
+}
+
+test('service worker: 511 and proxy requests are never cached', async () => {
+  const worker = loadServiceWorker();
+  await worker.fetchEvent(`https://api.511.org/transit/StopMonitoring?api_key=${PROXY_KEY}&agency=CT&stopCode=70211&format=json`);
+  await worker.fetchEvent(`https://api.511.org/transit/servicealerts?api_key=${PROXY_KEY}&agency=CT&format=json`);
+  await worker.fetchEvent('https://proxy.example.com/delays?agency=CT&stopCode=70211');
+  await worker.fetchEvent('https://trains.example.com/app/index.html', 'POST');
+  // A proxy served from the app's own origin, at its root or under a path
+  await worker.fetchEvent('https://trains.example.com/app/delays?agency=CT&stopCode=70211');
+  await worker.fetchEvent('https://trains.example.com/app/proxy/alerts?agency=CT');
+  await worker.fetchEvent('https://trains.example.com/app/proxy/health');
+  assertArrayEqual(worker.responded, []);
+  assertArrayEqual(worker.puts, []);
+  // The app's own files still are
+  await worker.fetchEvent('https://trains.example.com/app/lib/live.mjs');
+  assertArrayEqual(worker.puts, ['https://trains.example.com/app/lib/live.mjs']);
+});
+
+test('secrets: API keys encrypted under a key that cannot be exported', async () => {
+  const key = await secrets.createSecretKey();
+  const sealed = await secrets.encryptSecret(key, PROXY_KEY);
+  assert.ok(!Buffer.from(sealed.data).toString('latin1').includes(PROXY_KEY));
+  assertEqual(await secrets.decryptSecret(key, sealed), PROXY_KEY);
+  await assert.rejects(crypto.subtle.exportKey('raw', key));
+  // Another key (or altered data) doesn't decrypt
+  assertEqual(await secrets.decryptSecret(await secrets.createSecretKey(), sealed), null);
+  sealed.data[0] ^= 1;
+  assertEqual(await secrets.decryptSecret(key, sealed), null);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+async function run() {
+  await loadModules();
+
+  for (const entry of queue) {
+    if (entry.title) {
+      console.log(`\n=== ${entry.title} tests ===\n`);
+      continue;
+    }
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed++;
+    } catch (e) {
+      console.log(`✗ ${entry.name}`);
+      console.log(`  ${e.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n=== Summary ===\n');
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log('');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
 
-process.exit(failed > 0 ? 1 : 0);
+run();